@@ -22,16 +22,56 @@ function Install-GFE-Fix() {
     # Get root directory path 
     $gfxPath = (Get-ItemPropertyValue -Path "HKLM:\SOFTWARE\NVIDIA Corporation\Global\GFExperience" -Name "FullPath").Replace("NVIDIA GeForce Experience.exe","") + "www\"
 
+    $installedPath = $gfxPath + "app.js"
+
+    # The repository's app.js is a patched 3.20.1.57, it may only replace that build.
+    # Other builds are patched in place by the patcher, which needs Node.js.
+    $patchedPath = $PSScriptRoot + "\app.js"
+    $patcherPath = $PSScriptRoot + "\patcher"
+    If (Get-Command "node" -ErrorAction SilentlyContinue) {
+        # Exit codes: 0 known build, 3 unknown build, anything else the check itself failed
+        # (missing packages: npm install in patcher, unparsable app.js)
+        $report = & node $($patcherPath + "\fingerprint.js") $installedPath 2>$null
+        If ($LASTEXITCODE -eq 3) {
+            "Unknown GeForce Experience app.js build, skipping installation (run patcher\fingerprint.js for details)"
+            Exit
+        } ElseIf ($LASTEXITCODE -ne 0) {
+            "Fingerprint check failed (exit code $LASTEXITCODE), skipping installation. Run it by hand : node patcher\fingerprint.js `"$installedPath`""
+            Exit
+        }
+
+        $report = $report | Out-String | ConvertFrom-Json
+        If ($report.patched) {
+            "Skipping Installation, GeForce Experience $($report.version) app.js is already patched"
+            Exit
+        }
+
+        $patchedPath = $PSScriptRoot + "\app-patched.js"
+        & node $($patcherPath + "\index.js") $installedPath $patchedPath
+        If ($LASTEXITCODE -ne 0) {
+            "Patching GeForce Experience $($report.version) app.js failed, skipping installation"
+            Exit
+        }
+    } Else {
+        $installedHash = (Get-FileHash -Path $installedPath -Algorithm "SHA256").Hash
+        $originalHash = (Get-FileHash -Path $($PSScriptRoot + "\3.20.1.57\app-3.20.1.57-orig.js") -Algorithm "SHA256").Hash
+        If (($installedHash -ne $originalHash) -and ($installedHash -ne (Get-FileHash -Path $patchedPath -Algorithm "SHA256").Hash)) {
+            "The included app.js only replaces an unmodified GeForce Experience 3.20.1.57, skipping installation."
+            "Install Node.js and run npm install in patcher to patch other versions."
+            Exit
+        }
+    }
+
     # Get file hashes for the two app.js files to compare them
-    $oldHash = Get-FileHash -Path $($gfxPath + "app.js") -Algorithm "MD5"
-    $newHash = Get-FileHash -Path $($PSScriptRoot + "\app.js") -Algorithm "MD5"
+    $oldHash = Get-FileHash -Path $installedPath -Algorithm "MD5"
+    $newHash = Get-FileHash -Path $patchedPath -Algorithm "MD5"
 
     # If file in gfx dir is the same as the pending installation, skip installation
     If ($oldHash.Hash -eq $newHash.Hash) {
         "Skipping Installation, fixed file already installed"
     } else {
         # Copy the app.js file to the powershell script directory as a backup
-        Copy-Item $($gfxPath + "app.js") -Destination $($PSScriptRoot + "\backup_app.js")
+        Copy-Item $installedPath -Destination $($PSScriptRoot + "\backup_app.js")
 
         # Kill GFX if running
         Stop-Process -Name "NVIDIA GeForce Experience" -Force
@@ -40,10 +80,10 @@ function Install-GFE-Fix() {
         Remove-Item -Path $($gfxPath + "app.js.bak")
 
         # backup js file within gfx directory
-        Rename-Item -Path $($gfxPath + "app.js") -NewName "app.js.bak" -Force
+        Rename-Item -Path $installedPath -NewName "app.js.bak" -Force
 
         # Copy new app.js file into directory
-        Copy-Item $($PSScriptRoot + "\app.js") -Destination $gfxPath
+        Copy-Item $patchedPath -Destination $installedPath
 
         "Successfully Replaced"
     }
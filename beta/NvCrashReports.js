@@ -0,0 +1,211 @@
+'use strict'
+
+//
+// Local crash reports.
+//
+// Every NvNode exception that GFE would send to NVIDIA as automatic feedback
+// (SendNodeJSExceptionFeedback in NvNode_index.js) is first stored here, one
+// JSON file per report, with an index.json listing them. The setting in
+// settings.json decides what happens next:
+//
+//     upload  the report is sent to NVIDIA, as GFE does (default)
+//     review  the report is queued until it is uploaded or discarded through
+//             NvCrashReportsAPI.js
+//     local   the report is only kept here
+//
+// Everything is synchronous: reports are stored from the uncaughtException
+// handler, right before NvNode exits.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+const modes = ['upload', 'review', 'local'];
+const defaultMode = 'upload';
+
+// The oldest reports are deleted beyond maxReportCount.
+const maxReportCount = 50;
+
+// Longer messages are truncated.
+const maxMessageLength = 64 * 1024;
+
+//! Report states: stored (mode "local"), queued (mode "review"), uploaded or
+//! uploadFailed.
+function CreateStore(directoryPath) {
+
+    var nextSequence = 1;
+
+    function EnsureDirectory() {
+        try {
+            fs.mkdirSync(directoryPath);
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+    }
+
+    function ReportPath(id) {
+        return path.join(directoryPath, id + '.json');
+    }
+
+    function ReadJson(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT' || e instanceof SyntaxError) {
+                return undefined;
+            }
+            throw e;
+        }
+    }
+
+    function WriteJson(filePath, data) {
+        EnsureDirectory();
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    }
+
+    function Summary(report) {
+        return {
+            id: report.id,
+            time: report.time,
+            source: report.source,
+            title: report.message.split('\n')[0],
+            status: report.status
+        };
+    }
+
+    //! Returns the index, oldest report first. It is rebuilt from the report
+    //! files when missing or unreadable.
+    function ReadIndex() {
+        var index = ReadJson(path.join(directoryPath, 'index.json'));
+        if (Array.isArray(index)) {
+            return index;
+        }
+
+        var files;
+        try {
+            files = fs.readdirSync(directoryPath);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            return [];
+        }
+
+        return files.filter(function (name) {
+            return /^crash-[\w-]+\.json$/.test(name);
+        }).map(function (name) {
+            return ReadJson(path.join(directoryPath, name));
+        }).filter(function (report) {
+            return report && typeof report.message === 'string';
+        }).map(Summary).sort(function (a, b) {
+            return a.time.localeCompare(b.time);
+        });
+    }
+
+    function WriteIndex(index) {
+        WriteJson(path.join(directoryPath, 'index.json'), index);
+    }
+
+    function Find(index, id) {
+        for (var i = 0; i < index.length; i++) {
+            if (index[i].id === id) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function UnknownReport(id) {
+        var err = new Error('Unknown crash report: ' + id);
+        err.invalidArgument = true;
+        return err;
+    }
+
+    function DeleteReportFile(id) {
+        try {
+            fs.unlinkSync(ReportPath(id));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+
+    return {
+        //! Returns the current mode: upload, review or local.
+        mode: function () {
+            var settings = ReadJson(path.join(directoryPath, 'settings.json'));
+            return settings && modes.indexOf(settings.mode) >= 0 ? settings.mode : defaultMode;
+        },
+
+        setMode: function (mode) {
+            if (modes.indexOf(mode) < 0) {
+                var err = new Error('Expected a mode among ' + modes.join(', '));
+                err.invalidArgument = true;
+                throw err;
+            }
+            WriteJson(path.join(directoryPath, 'settings.json'), { mode: mode });
+        },
+
+        //! Stores a report and returns it. Its status follows the current mode:
+        //! "queued" in review mode, "stored" otherwise, until it is uploaded.
+        add: function (source, message) {
+            var time = new Date().toISOString();
+            var report = {
+                id: 'crash-' + time.replace(/[:.]/g, '-') + '-' + process.pid + '-' + nextSequence++,
+                time: time,
+                source: source,
+                status: this.mode() === 'review' ? 'queued' : 'stored',
+                message: String(message).slice(0, maxMessageLength),
+                node: process.version
+            };
+
+            // The index is read first: rebuilt after the report is written, it
+            // would already hold it.
+            var index = ReadIndex();
+            WriteJson(ReportPath(report.id), report);
+            index.push(Summary(report));
+            index.splice(0, Math.max(0, index.length - maxReportCount)).forEach(function (removed) {
+                DeleteReportFile(removed.id);
+            });
+            WriteIndex(index);
+            return report;
+        },
+
+        //! Returns the summaries of the stored reports, newest first.
+        list: function () {
+            return ReadIndex().reverse();
+        },
+
+        //! Returns a stored report. Throws if it doesn't exist.
+        read: function (id) {
+            var report = Find(ReadIndex(), id) >= 0 ? ReadJson(ReportPath(id)) : undefined;
+            if (!report) {
+                throw UnknownReport(id);
+            }
+            return report;
+        },
+
+        setStatus: function (id, status) {
+            var report = this.read(id);
+            var index = ReadIndex();
+            report.status = status;
+            index[Find(index, id)].status = status;
+            WriteJson(ReportPath(id), report);
+            WriteIndex(index);
+        },
+
+        //! Deletes a stored report. Throws if it doesn't exist.
+        remove: function (id) {
+            var index = ReadIndex();
+            var position = Find(index, id);
+            if (position < 0) {
+                throw UnknownReport(id);
+            }
+            index.splice(position, 1);
+            DeleteReportFile(id);
+            WriteIndex(index);
+        }
+    };
+}
+
+module.exports = {
+    modes: modes,
+    createStore: CreateStore
+};
@@ -0,0 +1,107 @@
+'use strict'
+
+//
+// Local crash reports (see NvCrashReports.js).
+//
+//     GET  /CrashReports/v.1.0/Reports              lists the stored reports,
+//                                                   newest first, and the mode.
+//     GET  /CrashReports/v.1.0/Reports/:id          returns a stored report.
+//     POST /CrashReports/v.1.0/Reports/:id/Upload   sends a report to NVIDIA.
+//     POST /CrashReports/v.1.0/Reports/:id/Discard  deletes a report.
+//     GET  /CrashReports/v.1.0/Settings             returns { mode }.
+//     POST /CrashReports/v.1.0/Settings             sets { mode }: upload,
+//                                                   review or local.
+//
+
+var jsonLines = require('./NvJsonLines.js');
+
+const version = '1.0.0';
+
+//! store   the crash report store of NvCrashReports.js.
+//! upload  function (report) sending a report to NVIDIA, returns an error or
+//!         undefined.
+module.exports = function (app, io, logger, store, upload) {
+
+    app.get('/CrashReports/v.1.0/Reports', function (req, res) {
+        try {
+            jsonLines.replyWithJson(res, { mode: store.mode(), reports: store.list() });
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'CrashReports');
+        }
+    });
+
+    app.get('/CrashReports/v.1.0/Reports/:id', function (req, res) {
+        try {
+            jsonLines.replyWithJson(res, store.read(req.params.id));
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'CrashReports');
+        }
+    });
+
+    app.post('/CrashReports/v.1.0/Reports/:id/Upload', function (req, res) {
+        try {
+            var report = store.read(req.params.id);
+            var uploadError = upload(report);
+            store.setStatus(report.id, uploadError ? 'uploadFailed' : 'uploaded');
+            if (uploadError) {
+                throw new Error('Upload failed: ' + uploadError);
+            }
+            logger.info('CrashReports: uploaded ' + report.id);
+            jsonLines.replyWithJson(res, { id: report.id, status: 'uploaded' });
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'CrashReports');
+        }
+    });
+
+    app.post('/CrashReports/v.1.0/Reports/:id/Discard', function (req, res) {
+        try {
+            store.remove(req.params.id);
+            logger.info('CrashReports: discarded ' + req.params.id);
+            res.writeHead(200);
+            res.end();
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'CrashReports');
+        }
+    });
+
+    app.get('/CrashReports/v.1.0/Settings', function (req, res) {
+        try {
+            jsonLines.replyWithJson(res, { mode: store.mode() });
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'CrashReports');
+        }
+    });
+
+    app.post('/CrashReports/v.1.0/Settings', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                store.setMode(body && body.mode);
+                logger.info('CrashReports: mode set to ' + body.mode);
+                jsonLines.replyWithJson(res, { mode: body.mode });
+            }
+            catch (err) {
+                jsonLines.replyWithError(res, err, logger, 'CrashReports');
+            }
+        });
+    });
+
+    return {
+        initialize: function () {
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+            // Reports are written synchronously, nothing is pending.
+        }
+    };
+};
@@ -0,0 +1,78 @@
+'use strict'
+
+//
+// Driver packages on disk.
+//
+// GFE keeps the location of the driver packages it downloaded (downloadStatus
+// downloadedLocation and extractedPath), but not whether they are still there:
+// the downloader deletes old packages, and so may the user. The BaiGfe patched
+// UI only offers a rollback to a previously installed driver whose package is
+// still on disk, NvNode checks it for it:
+//
+//     POST /DriverPackages/v.1.0/Check  returns, for each absolute path of
+//                                       "paths", whether a file or directory
+//                                       is there.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var jsonLines = require('./NvJsonLines.js');
+
+const version = '1.0.0';
+
+// More paths than the packages the UI lists.
+const maxPathCount = 100;
+
+module.exports = function (app, io, logger) {
+
+    function Exists(filePath) {
+        try {
+            var stat = fs.statSync(filePath);
+            return stat.isFile() || stat.isDirectory();
+        }
+        catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    app.post('/DriverPackages/v.1.0/Check', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                var paths = body && body.paths;
+                if (!Array.isArray(paths) || paths.length > maxPathCount || !paths.every(function (filePath) {
+                    return typeof filePath === 'string' && path.isAbsolute(filePath);
+                })) {
+                    throw jsonLines.invalidArgument('Expected "paths", at most ' + maxPathCount + ' absolute paths');
+                }
+
+                var result = {};
+                paths.forEach(function (filePath) {
+                    result[filePath] = Exists(filePath);
+                });
+                jsonLines.replyWithJson(res, { paths: result });
+            }
+            catch (err) {
+                jsonLines.replyWithError(res, err, logger, 'DriverPackages');
+            }
+        });
+    });
+
+    return {
+        initialize: function () {
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+            // Nothing is pending, the checks are synchronous.
+        }
+    };
+};
@@ -0,0 +1,236 @@
+'use strict'
+
+//
+// Rolling JSON-lines files, shared by the BaiGfe modules that keep local logs
+// (NvTelemetryAuditAPI.js, NvLocalTracingAPI.js, NvLogger.js), and the JSON
+// request bodies and replies of the BaiGfe API modules.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+// <name>.jsonl is rotated to <name>.1.jsonl and so on when it reaches
+// maxFileSize, the oldest file is deleted.
+const defaultRotation = {
+    extension: '.jsonl',
+    maxFileSize: 1024 * 1024,
+    maxFileCount: 5
+};
+
+// Largest accepted request body.
+const maxBodySize = 1024 * 1024;
+
+//! Returns a rolling JSON-lines file named <name>.jsonl in the given directory,
+//! which is created on first use. options overrides extension, maxFileSize
+//! and maxFileCount; with flushDelay (milliseconds), append() only queues the
+//! records, they are written together that long after the first one or on
+//! flush(), and write errors are dropped.
+function CreateRollingFile(directoryPath, name, options) {
+
+    const rotation = Object.assign({}, defaultRotation, options);
+    const maxFileSize = rotation.maxFileSize;
+    const maxFileCount = rotation.maxFileCount;
+
+    // Both are reset when a write fails, in case the directory was deleted.
+    var directoryCreated = false;
+    var fileSize = null;
+
+    var pendingLines = '';
+    var flushTimer = null;
+
+    function FilePath(index) {
+        return path.join(directoryPath, index ? name + '.' + index + rotation.extension : name + rotation.extension);
+    }
+
+    function FileSize(filePath) {
+        try {
+            return fs.statSync(filePath).size;
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            return 0;
+        }
+    }
+
+    function Rotate() {
+        try {
+            fs.unlinkSync(FilePath(maxFileCount - 1));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        for (let index = maxFileCount - 2; index >= 0; index--) {
+            try {
+                fs.renameSync(FilePath(index), FilePath(index + 1));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        }
+    }
+
+    function Write(lines) {
+        try {
+            if (!directoryCreated) {
+                fs.mkdirSync(directoryPath, { recursive: true });
+                directoryCreated = true;
+            }
+            if (fileSize === null) {
+                fileSize = FileSize(FilePath(0));
+            }
+
+            var size = Buffer.byteLength(lines);
+            if (fileSize + size > maxFileSize) {
+                Rotate();
+                fileSize = 0;
+            }
+            fs.appendFileSync(FilePath(0), lines);
+            fileSize += size;
+        }
+        catch (e) {
+            directoryCreated = false;
+            fileSize = null;
+            throw e;
+        }
+    }
+
+    function Flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (pendingLines) {
+            var lines = pendingLines;
+            pendingLines = '';
+            Write(lines);
+        }
+    }
+
+    return {
+        //! Appends the records, one JSON line each.
+        append: function (records) {
+            var lines = records.map(function (record) {
+                return JSON.stringify(record) + '\n';
+            }).join('');
+
+            if (!rotation.flushDelay) {
+                Write(lines);
+                return;
+            }
+
+            pendingLines += lines;
+            if (!flushTimer) {
+                flushTimer = setTimeout(function () {
+                    try {
+                        Flush();
+                    } catch (e) {
+                        // Dropped, see above.
+                    }
+                }, rotation.flushDelay);
+                flushTimer.unref();
+            }
+        },
+
+        //! Writes the queued records now.
+        flush: Flush,
+
+        //! Returns every stored record, oldest first. Lines that can't be parsed are
+        //! passed to onInvalidLine(filePath) and skipped.
+        read: function (onInvalidLine) {
+            Flush();
+            var records = [];
+            for (let index = maxFileCount - 1; index >= 0; index--) {
+                let content;
+                try {
+                    content = fs.readFileSync(FilePath(index), 'utf8');
+                } catch (e) {
+                    if (e.code !== 'ENOENT') throw e;
+                    continue;
+                }
+
+                content.split('\n').forEach(function (line) {
+                    if (!line) {
+                        return;
+                    }
+                    try {
+                        records.push(JSON.parse(line));
+                    } catch (e) {
+                        if (onInvalidLine) {
+                            onInvalidLine(FilePath(index));
+                        }
+                    }
+                });
+            }
+            return records;
+        }
+    };
+}
+
+//! Returns an error answered with a 400 by ReplyWithError.
+function InvalidArgument(message) {
+    var err = new Error(message);
+    err.invalidArgument = true;
+    return err;
+}
+
+//! Replies with the data as JSON, not to be cached.
+function ReplyWithJson(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(data));
+}
+
+//! Logs the error as "<moduleName>: <stack>" and replies with { error }, a 400
+//! for InvalidArgument errors and a 500 for the others.
+function ReplyWithError(res, err, logger, moduleName) {
+    logger.error(moduleName + ': ' + (err.stack || err));
+    res.writeHead(err.invalidArgument ? 400 : 500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+}
+
+//! Reads and parses the JSON body of an Express request, then calls
+//! callback(err, body) once. err has invalidArgument set when the body is too
+//! large or isn't JSON.
+function ReadJsonBody(req, callback) {
+    var chunks = [];
+    var size = 0;
+    var done = false;
+
+    function Done(err, body) {
+        if (!done) {
+            done = true;
+            callback(err, body);
+        }
+    }
+
+    req.on('error', Done);
+    req.on('aborted', function () {
+        Done(new Error('Request aborted'));
+    });
+    req.on('data', function (chunk) {
+        size += chunk.length;
+        if (size <= maxBodySize) {
+            chunks.push(chunk);
+        }
+    });
+    req.on('end', function () {
+        if (size > maxBodySize) {
+            Done(InvalidArgument('Request body is larger than ' + maxBodySize + ' bytes'));
+            return;
+        }
+        var body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+            Done(InvalidArgument('Request body is not valid JSON: ' + e.message));
+            return;
+        }
+        Done(null, body);
+    });
+}
+
+module.exports = {
+    createRollingFile: CreateRollingFile,
+    readJsonBody: ReadJsonBody,
+    invalidArgument: InvalidArgument,
+    replyWithJson: ReplyWithJson,
+    replyWithError: ReplyWithError
+};
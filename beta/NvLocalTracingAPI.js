@@ -0,0 +1,67 @@
+'use strict'
+
+//
+// Local tracing spans.
+//
+// With BaiGfe tracing.mode "local", the patched UI reports its opentracing
+// spans here instead of to NVIDIA's collector. They are kept in rolling
+// JSON-lines files (see NvJsonLines.js):
+//
+//     POST /Tracing/v.1.0/Spans  appends a JSON array of finished spans.
+//     GET  /Tracing/v.1.0/Spans  lists the spans, oldest first. Query
+//                                parameter: limit (only the last N spans).
+//
+
+var jsonLines = require('./NvJsonLines.js');
+
+const version = '1.0.0';
+
+module.exports = function (app, io, logger, directoryPath) {
+
+    var spansFile = jsonLines.createRollingFile(directoryPath, 'spans');
+
+    app.post('/Tracing/v.1.0/Spans', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, spans) {
+            try {
+                if (err) throw err;
+                if (!Array.isArray(spans)) {
+                    throw jsonLines.invalidArgument('Expected an array of spans');
+                }
+                spansFile.append(spans);
+                res.writeHead(200);
+                res.end();
+            }
+            catch (err) {
+                jsonLines.replyWithError(res, err, logger, 'LocalTracing');
+            }
+        });
+    });
+
+    app.get('/Tracing/v.1.0/Spans', function (req, res) {
+        try {
+            var spans = spansFile.read(function (filePath) {
+                logger.error('LocalTracing: skipping invalid line in ' + filePath);
+            });
+            var limit = parseInt(req.query.limit, 10);
+
+            jsonLines.replyWithJson(res, limit > 0 ? spans.slice(-limit) : spans);
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'LocalTracing');
+        }
+    });
+
+    return {
+        initialize: function () {
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+            // Spans are written synchronously, nothing is pending.
+        }
+    };
+};
@@ -0,0 +1,57 @@
+'use strict'
+
+//
+// Languages GFE's UI is translated to: the values /Settings/v.1.0/Language
+// accepts, with the names the UI shows for them. The UI uses the Windows codes
+// zh-CHS and zh-CHT for Chinese.
+//
+
+const locales = [
+    { code: 'cs-CZ', name: 'Čeština' },
+    { code: 'da-DK', name: 'Dansk' },
+    { code: 'de-DE', name: 'Deutsch' },
+    { code: 'el-GR', name: 'Ελληνικά' },
+    { code: 'en-GB', name: 'English (UK)' },
+    { code: 'en-US', name: 'English (US)' },
+    { code: 'es-ES', name: 'Español (España)' },
+    { code: 'es-MX', name: 'Español (América Latina)' },
+    { code: 'fi-FI', name: 'Suomi' },
+    { code: 'fr-FR', name: 'Français' },
+    { code: 'hu-HU', name: 'Magyar' },
+    { code: 'it-IT', name: 'Italiano' },
+    { code: 'ja-JP', name: '日本語' },
+    { code: 'ko-KR', name: '한국어' },
+    { code: 'nb-NO', name: 'Norsk' },
+    { code: 'nl-NL', name: 'Nederlands' },
+    { code: 'pl-PL', name: 'Polski' },
+    { code: 'pt-BR', name: 'Português (Brasil)' },
+    { code: 'pt-PT', name: 'Português (Portugal)' },
+    { code: 'ru-RU', name: 'Русский' },
+    { code: 'sk-SK', name: 'Slovenčina' },
+    { code: 'sl-SI', name: 'Slovenščina' },
+    { code: 'sv-SE', name: 'Svenska' },
+    { code: 'th-TH', name: 'ไทย' },
+    { code: 'tr-TR', name: 'Türkçe' },
+    { code: 'uk-UA', name: 'Українська' },
+    { code: 'zh-CHS', name: '中文(简体)' },
+    { code: 'zh-CHT', name: '中文(繁體)' }
+];
+
+//! Returns the code of a supported language, else throws an error with
+//! invalidArgument set.
+function Validate(code) {
+    var supported = typeof code === 'string' && locales.some(function (locale) {
+        return locale.code === code;
+    });
+    if (!supported) {
+        var err = new Error('Unsupported language: ' + JSON.stringify(code));
+        err.invalidArgument = true;
+        throw err;
+    }
+    return code;
+}
+
+module.exports = {
+    locales: locales,
+    validate: Validate
+};
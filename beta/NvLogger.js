@@ -0,0 +1,157 @@
+'use strict'
+
+//
+// Structured NvNode log.
+//
+// Writes nvnode.log as JSON lines, one record per call, rotated by size (see
+// NvJsonLines.js). Records are written in batches, within 200 ms of the call,
+// and on exit:
+//
+//     {"time":"...","level":"info","message":"Server is listening at http://127.0.0.1:52134"}
+//     {"time":"...","level":"debug","message":"Response finished","requestId":12,"method":"GET","url":"/up","status":200,"durationMs":3}
+//
+// debug, info, warn and error format their arguments like console.log;
+// record(level, message, fields) adds fields to the record. Records below the
+// current level are dropped. Values of X_LOCAL_SECURITY_COOKIE (header, query
+// parameter or field) and the secrets given to addSecret, like the security
+// cookie, never reach the file.
+//
+
+var util = require('util');
+var path = require('path');
+
+var jsonLines = require('./NvJsonLines.js');
+
+const levels = ['debug', 'info', 'warn', 'error'];
+
+// Names the modules may use for the levels above.
+const aliases = { trace: 'debug', log: 'info', warning: 'warn', fatal: 'error' };
+
+const rotation = {
+    extension: '.log',
+    maxFileSize: 5 * 1024 * 1024,
+    maxFileCount: 5,
+    flushDelay: 200
+};
+
+const redacted = '<redacted>';
+const securityCookieKey = /^x_local_security_cookie$/i;
+const securityCookieValue = /(X_LOCAL_SECURITY_COOKIE["']?\s*[=:]\s*["']?)[^&"'\s,;}]+/gi;
+
+// Fields nested deeper are written as is.
+const maxDepth = 5;
+
+//! Returns a logger writing to filePath, which must end with ".log". The
+//! initial level is "debug".
+module.exports = function (filePath) {
+
+    var file = jsonLines.createRollingFile(path.dirname(filePath), path.basename(filePath, rotation.extension), rotation);
+    var currentLevel = 'debug';
+    var secrets = [];
+    var destroyed = false;
+
+    function Flush() {
+        try {
+            file.flush();
+        } catch (e) {
+            // Nowhere left to report it.
+        }
+    }
+
+    process.on('exit', Flush);
+
+    function RedactString(text) {
+        secrets.forEach(function (secret) {
+            text = text.split(secret).join(redacted);
+        });
+        return text.replace(securityCookieValue, '$1' + redacted);
+    }
+
+    function Redact(value, depth) {
+        if (typeof value === 'string') {
+            return RedactString(value);
+        }
+        if (value === null || typeof value !== 'object' || depth >= maxDepth) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(function (item) {
+                return Redact(item, depth + 1);
+            });
+        }
+
+        var copy = {};
+        Object.keys(value).forEach(function (key) {
+            copy[key] = securityCookieKey.test(key) ? redacted : Redact(value[key], depth + 1);
+        });
+        return copy;
+    }
+
+    function Write(level, message, fields) {
+        if (destroyed || levels.indexOf(level) < levels.indexOf(currentLevel)) {
+            return;
+        }
+
+        var record = { time: new Date().toISOString(), level: level, message: RedactString(message) };
+        if (fields) {
+            var redactedFields = Redact(fields, 0);
+            Object.keys(redactedFields).forEach(function (key) {
+                if (!(key in record)) {
+                    record[key] = redactedFields[key];
+                }
+            });
+        }
+
+        try {
+            file.append([record]);
+        } catch (e) {
+            // Nowhere left to report it.
+        }
+    }
+
+    var logger = {
+        //! Writes a record with extra fields, e.g. { requestId, status }.
+        record: function (level, message, fields) {
+            Write(aliases[level] || level, String(message), fields);
+        },
+
+        level: function () {
+            return currentLevel;
+        },
+
+        //! Sets the lowest level written: debug, info, warn or error.
+        setLevel: function (level) {
+            if (levels.indexOf(level) < 0) {
+                var err = new Error('Expected a log level among ' + levels.join(', '));
+                err.invalidArgument = true;
+                throw err;
+            }
+            currentLevel = level;
+        },
+
+        //! Redacts a value, like the security cookie, from every later record.
+        addSecret: function (secret) {
+            if (secret) {
+                secrets.push(String(secret));
+            }
+        },
+
+        //! Writes the pending records now.
+        flush: Flush,
+
+        destroyLogger: function () {
+            Flush();
+            destroyed = true;
+        }
+    };
+
+    // The *Sync variants are the same, records are flushed on exit anyway.
+    levels.concat(Object.keys(aliases)).forEach(function (name) {
+        var level = aliases[name] || name;
+        logger[name] = logger[name + 'Sync'] = function () {
+            Write(level, util.format.apply(util, arguments));
+        };
+    });
+
+    return logger;
+};
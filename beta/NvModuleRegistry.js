@@ -0,0 +1,323 @@
+'use strict'
+
+//
+// Registry of the NVIDIA modules loaded by NvNode (see NvNode_index.js).
+//
+// Each module is declared once:
+//
+//     {
+//         name: 'ShadowPlayAPI',
+//         optional: true,                    // a failure is reported, NvNode goes on
+//         preload: false,                    // loaded before NvContainer is up
+//         dependencies: ['NvBackendAPI'],    // initialized first, skipped if unavailable
+//         after: ['NvGalleryAPI'],           // initialized first if enabled, whatever the outcome
+//         signedFile: 'NvShadowPlayAPINode.node',
+//         load: function (modules) { ... }, // returns the module, modules.get(name) gives the others
+//         initialize: function (module) { ... }, // defaults to module.initialize(), null for none
+//         cleanup: 'Cleanup'                 // name of the method called on shutdown,
+//                                            // which may return a promise
+//     }
+//
+// The load order is the declaration order, moved only as far as the
+// dependencies require. Optional modules can be disabled by the manifest.
+//
+
+var fs = require('fs');
+
+//! Reads the manifest and returns the names of the modules it disables:
+//!
+//!     { "disabled": ["NvAbHubAPI"] }
+//!
+//! A missing manifest disables nothing; an invalid one is logged and ignored.
+function ReadManifest(filePath, logger) {
+    var manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.error('Ignoring module manifest ' + filePath + ': ' + err.message);
+        }
+        return [];
+    }
+
+    if (!manifest || !Array.isArray(manifest.disabled) || !manifest.disabled.every(function (name) {
+        return typeof name === 'string';
+    })) {
+        logger.error('Ignoring module manifest ' + filePath + ': expected { "disabled": [module names] }');
+        return [];
+    }
+    return manifest.disabled;
+}
+
+//! Returns the definitions sorted so that every module comes after the ones it
+//! depends on. Throws on unknown dependencies and cycles.
+function SortDefinitions(definitions) {
+    var byName = {};
+    definitions.forEach(function (definition) {
+        if (byName[definition.name]) {
+            throw new Error('Module ' + definition.name + ' is declared twice');
+        }
+        byName[definition.name] = definition;
+    });
+
+    var sorted = [];
+    var visiting = [];
+
+    function Visit(definition) {
+        if (sorted.indexOf(definition) >= 0) {
+            return;
+        }
+        if (visiting.indexOf(definition) >= 0) {
+            throw new Error('Module dependency cycle: ' + visiting.concat(definition).map(function (visited) {
+                return visited.name;
+            }).join(' -> '));
+        }
+
+        visiting.push(definition);
+        definition.dependencies.concat(definition.after).forEach(function (name) {
+            if (!byName[name]) {
+                throw new Error('Module ' + definition.name + ' depends on unknown module ' + name);
+            }
+            Visit(byName[name]);
+        });
+        visiting.pop();
+        sorted.push(definition);
+    }
+
+    definitions.forEach(Visit);
+    return sorted;
+}
+
+//! Creates the registry of the given module definitions.
+//! options.disabled            names of the modules not to load.
+//! options.onOptionalModuleError(err)  reports the failure of an optional module.
+function CreateRegistry(definitions, logger, options) {
+
+    var sorted = SortDefinitions(definitions.map(function (definition) {
+        return Object.assign({
+            optional: false,
+            preload: false,
+            dependencies: [],
+            after: [],
+            initialize: function (module) {
+                return module.initialize();
+            }
+        }, definition);
+    }));
+
+    // Module states: pending, disabled, loading (created, not initialized yet),
+    // loaded, failed or skipped.
+    var entries = {};
+    sorted.forEach(function (definition) {
+        entries[definition.name] = { definition: definition, state: 'pending', module: undefined, error: undefined, started: undefined };
+    });
+
+    (options.disabled || []).forEach(function (name) {
+        var entry = entries[name];
+        if (!entry) {
+            logger.error('Cannot disable unknown module ' + name);
+        } else if (!entry.definition.optional) {
+            logger.error('Cannot disable mandatory module ' + name);
+        } else {
+            logger.info(name + ': disabled by the module manifest');
+            entry.state = 'disabled';
+        }
+    });
+
+    var registry;
+
+    function Entry(name) {
+        var entry = entries[name];
+        if (!entry) {
+            throw new Error('Unknown module ' + name);
+        }
+        return entry;
+    }
+
+    //! Marks a module as failed; the error is thrown back for mandatory modules.
+    function Fail(entry, err, message) {
+        logger.error(entry.definition.name + ': ' + message);
+        entry.state = 'failed';
+        entry.module = undefined;
+        entry.error = err;
+
+        if (!entry.definition.optional) {
+            throw err;
+        }
+        if (options.onOptionalModuleError) {
+            options.onOptionalModuleError(err);
+        }
+    }
+
+    //! Creates a module, returns it or undefined if it is unavailable.
+    function Load(name) {
+        var entry = Entry(name);
+        if (entry.state !== 'pending') {
+            return entry.module;
+        }
+
+        try {
+            logger.info(name + ': Loading module...');
+            entry.module = entry.definition.load(registry);
+            entry.state = 'loading';
+            logger.info(name + ': module loaded');
+        } catch (err) {
+            Fail(entry, err, 'Module load failed');
+        }
+        return entry.module;
+    }
+
+    //! Loads and initializes a module once its dependencies are. The promise
+    //! rejects only when a mandatory module fails.
+    function Start(name) {
+        var entry = Entry(name);
+        if (entry.started) {
+            return entry.started;
+        }
+
+        var definition = entry.definition;
+        var previous = definition.dependencies.concat(definition.after).map(Start);
+
+        entry.started = Promise.all(previous).then(function () {
+            if (entry.state === 'disabled') {
+                return;
+            }
+
+            var missing = definition.dependencies.filter(function (dependency) {
+                return !Available(dependency);
+            });
+            if (missing.length) {
+                var message = 'requires ' + missing.join(', ');
+                if (!definition.optional) {
+                    Fail(entry, new Error(name + ' ' + message), 'Cannot load module');
+                }
+                logger.info(name + ': skipped, ' + message);
+                entry.state = 'skipped';
+                return;
+            }
+
+            if (!Load(name) || !definition.initialize) {
+                if (entry.state === 'loading') {
+                    entry.state = 'loaded';
+                }
+                return;
+            }
+
+            logger.info(name + ': initializing...');
+            return Promise.resolve().then(function () {
+                return definition.initialize(entry.module);
+            }).then(function () {
+                entry.state = 'loaded';
+            }, function (err) {
+                Fail(entry, err, 'Initialization failed');
+            });
+        });
+        return entry.started;
+    }
+
+    function Available(name) {
+        var state = entries[name].state;
+        return state === 'loading' || state === 'loaded';
+    }
+
+    registry = {
+        //! Returns the enabled module definitions, in load order.
+        enabled: function () {
+            return sorted.filter(function (definition) {
+                return entries[definition.name].state !== 'disabled';
+            });
+        },
+
+        //! Returns a module if it is created and didn't fail, else undefined.
+        get: function (name) {
+            return Available(name) ? entries[name].module : undefined;
+        },
+
+        //! Returns { state, error } per module, in load order.
+        states: function () {
+            var states = {};
+            sorted.forEach(function (definition) {
+                var entry = entries[definition.name];
+                states[definition.name] = { state: entry.state, error: entry.error };
+            });
+            return states;
+        },
+
+        //! Creates a module without initializing it. Throws if a mandatory module
+        //! fails.
+        load: Load,
+
+        //! Loads and initializes a module and the ones it depends on.
+        start: Start,
+
+        //! Loads and initializes every enabled module, independent ones in parallel.
+        startAll: function () {
+            return Promise.all(sorted.map(function (definition) {
+                return Start(definition.name);
+            }));
+        },
+
+        //! Resolves with { name: version } for the available modules; a version
+        //! may be a promise, a failing one is left out.
+        versions: function () {
+            var versions = {};
+            return Promise.all(sorted.filter(function (definition) {
+                return Available(definition.name);
+            }).map(function (definition) {
+                return Promise.resolve().then(function () {
+                    return entries[definition.name].module.version();
+                }).then(function (version) {
+                    versions[definition.name] = version;
+                }, function (err) {
+                    logger.error(definition.name + ' version not found: ' + err);
+                });
+            })).then(function () {
+                return versions;
+            });
+        },
+
+        //! Runs the cleanup hooks of the available modules one after the other, in
+        //! reverse load order; a hook may return a promise. Resolves with the
+        //! names of the modules whose cleanup failed or didn't finish within
+        //! timeoutMs.
+        cleanup: function (timeoutMs) {
+            var unfinished = [];
+
+            return sorted.slice().reverse().reduce(function (previous, definition) {
+                return previous.then(function () {
+                    var module = registry.get(definition.name);
+                    if (!module || !definition.cleanup) {
+                        return;
+                    }
+
+                    var timer;
+                    var timeout = new Promise(function (resolve, reject) {
+                        timer = setTimeout(function () {
+                            reject('timed out after ' + timeoutMs + ' ms');
+                        }, timeoutMs);
+                    });
+
+                    logger.info(definition.name + ': cleaning up...');
+                    return Promise.race([Promise.resolve().then(function () {
+                        return module[definition.cleanup]();
+                    }), timeout]).then(function () {
+                        clearTimeout(timer);
+                    }, function (err) {
+                        clearTimeout(timer);
+                        logger.error(definition.name + ': cleanup failed: ' + (err.stack || err));
+                        unfinished.push(definition.name);
+                    });
+                });
+            }, Promise.resolve()).then(function () {
+                return unfinished;
+            });
+        }
+    };
+
+    return registry;
+}
+
+module.exports = {
+    readManifest: ReadManifest,
+    createRegistry: CreateRegistry
+};
@@ -13,33 +13,76 @@
 // Common utility and checks                                                  //
 ////////////////////////////////////////////////////////////////////////////////
 
-if (process.version !== 'v11.13.0') {
-    var err = 'nodejs version 11.13.0 is required, you are using ' + process.version;
-    throw err;
-}
+//
+// Node version and NVIDIA native modules, see NvPlatform.js: NVNODE_STUBS
+// replaces them with JavaScript stubs, e.g. to run NvNode on Linux.
+//
+
+var nvPlatform = require('./NvPlatform.js');
+nvPlatform.checkRuntime(process.version);
+
+var platform = nvPlatform.createPlatform(__dirname, process.env.NVNODE_STUBS);
 
 process.env.UV_THREADPOOL_SIZE = 64;
 
-var nvUtil = require('./NvUtil.node');
+var nvUtil = platform.require('NvUtil.node');
 nvUtil.ClaimSingleInstance();
 
+var childProcess = require('child_process');
 var fs = require('fs');
-var logger = require('./Logger.js')(nvUtil, GetNvNodeAppdataDirectoryPath() + '\\nvnode.log');
+var path = require('path');
+var jsonLines = require('./NvJsonLines.js');
+var nvLocales = require('./NvLocales.js');
+var logger = require('./NvLogger.js')(path.join(GetNvNodeAppdataDirectoryPath(), 'nvnode.log'));
+
+if (platform.stubsPath) {
+    logger.info('Using the stub modules of ' + platform.stubsPath);
+}
 
-var openSslConfigPath = GetNvNodeAppdataDirectoryPath() + '\\openssl.cfg';
+var openSslConfigPath = path.join(GetNvNodeAppdataDirectoryPath(), 'openssl.cfg');
 process.env.OPENSSL_CONF = openSslConfigPath;
 
-function SendNodeJSExceptionFeedback(message) {
+var crashReports = require('./NvCrashReports.js').createStore(path.join(GetNvNodeAppdataDirectoryPath(), 'CrashReports'));
+
+//! Sends a crash report to NVIDIA. Returns an error, or undefined on success.
+function UploadCrashReport(report) {
     if (NvBackendAPI && typeof NvBackendAPI.addNodeJSCrashFeedbackSync === "function") {
-        var err = NvBackendAPI.addNodeJSCrashFeedbackSync(message);
-        if (err) {
-            logger.error("Failed to send automatic feedback about NodeJS exception, reason: " + err);
-        } else {
-            logger.info("Successfully sent automatic feedback about NodeJS exception");
-        }
+        return NvBackendAPI.addNodeJSCrashFeedbackSync(report.message);
     }
-    else {
-        logger.error("Failed to send automatic feedback about NodeJS exception, NvBackend plugin is not loaded or does not have AddFeedback functionality.");
+    return "NvBackend plugin is not loaded or does not have AddFeedback functionality.";
+}
+
+//! Stores the report of an exception, then sends it to NVIDIA only if the crash
+//! report mode is "upload" (see NvCrashReports.js).
+function SendNodeJSExceptionFeedback(message, source) {
+    var mode = 'upload';
+    var report;
+    try {
+        mode = crashReports.mode();
+        report = crashReports.add(source || 'feedback', message);
+    } catch (e) {
+        logger.error("Failed to store crash report: " + e);
+    }
+
+    if (mode !== 'upload') {
+        logger.info("Automatic feedback about NodeJS exception " + (mode === 'review' ? "queued for review" : "kept locally") +
+            (report ? ": " + report.id : ""));
+        return;
+    }
+
+    var err = UploadCrashReport(report || { message: String(message) });
+    if (err) {
+        logger.error("Failed to send automatic feedback about NodeJS exception, reason: " + err);
+    } else {
+        logger.info("Successfully sent automatic feedback about NodeJS exception");
+    }
+
+    if (report) {
+        try {
+            crashReports.setStatus(report.id, err ? 'uploadFailed' : 'uploaded');
+        } catch (e) {
+            logger.error("Failed to update crash report " + report.id + ": " + e);
+        }
     }
 }
 
@@ -52,9 +95,9 @@ function OnUnhandledError(err) {
             else {
                 logger.error(err);
             }
-            SendNodeJSExceptionFeedback(err.toString());
+            SendNodeJSExceptionFeedback(err.toString(), 'unhandledError');
         } else {
-            SendNodeJSExceptionFeedback('undefined error');
+            SendNodeJSExceptionFeedback('undefined error', 'unhandledError');
         }
     } catch (e) {
         logger.error(e);
@@ -84,9 +127,9 @@ function GfeIsInStandbyMode() {
         return false;
     }
 
-    var path = GetNvidiaAppdataDirectoryPath() + '\\NVIDIA GeForce Experience\\CefCache';
+    var cefCachePath = path.join(GetNvidiaAppdataDirectoryPath(), 'NVIDIA GeForce Experience', 'CefCache');
     try {
-        var st = fs.statSync(path);
+        var st = fs.statSync(cefCachePath);
         return !st.isDirectory();
     }
     catch (err) {
@@ -96,7 +139,7 @@ function GfeIsInStandbyMode() {
 
 if (GfeIsInStandbyMode()) {
     logger.infoSync('nodejs is exiting as GFE is in standby mode');
-    Shutdown();
+    ExitDuringStartup();
 }
 
 const nvTelemetryServiceName = 'NvTelemetryContainer';
@@ -116,39 +159,30 @@ try {
 }
 catch (err) {
     logger.error(err);
-    Shutdown();
+    ExitDuringStartup();
 }
 
 function GetNvidiaAppdataDirectoryPath() {
-    return nvUtil.GetLocalAppdataPath() + '\\NVIDIA Corporation';
+    return path.join(nvUtil.GetLocalAppdataPath(), 'NVIDIA Corporation');
 }
 
 function GetNvNodeAppdataDirectoryPath() {
-    var path = GetNvidiaAppdataDirectoryPath();
-
-    try {
-        fs.mkdirSync(path);
-    } catch (e) {
-        if (e.code !== 'EEXIST') throw e;
-    }
-
-    path = path + '\\NvNode';
-    try {
-        fs.mkdirSync(path);
-    } catch (e) {
-        if (e.code !== 'EEXIST') throw e;
-    }
-
-    return path;
+    var directoryPath = path.join(GetNvidiaAppdataDirectoryPath(), 'NvNode');
+    fs.mkdirSync(directoryPath, { recursive: true });
+    return directoryPath;
 }
 
-logger.info('Loading fast-boot dependency...');
-var fastboot = require("fast-boot");
-fastboot.start({ cacheFile: './module-locations-cache.json' });
-logger.info('fast-boot ready');
+// fast-boot replaces the module resolution of Node, only the one of GFE's Node
+// is known to work with it.
+if (nvPlatform.isBundledRuntime(process.version)) {
+    logger.info('Loading fast-boot dependency...');
+    var fastboot = require("fast-boot");
+    fastboot.start({ cacheFile: './module-locations-cache.json' });
+    logger.info('fast-boot ready');
+}
 
 logger.info('Loading ExpressJS dependency...');
-var app = require('./node_modules/express/index.js')();
+var app = require('express')();
 logger.info('ExpressJS ready');
 
 
@@ -160,7 +194,7 @@ logger.info('HTTP ready');
 
 
 logger.info('Loading Socket.IO dependency...');
-var io = require('./node_modules/socket.io/lib/index.js')(httpServer);
+var io = require('socket.io')(httpServer);
 logger.info('Socket.IO ready');
 
 logger.info('Loading "on-finished" dependency...');
@@ -168,22 +202,35 @@ var onFinished = require('on-finished');
 
 //
 // Process each request:
-// 1) Enable CORS and check security cookie.
+// 1) Check the origin, enable CORS and check security cookie.
 // 2) Log requests and responses for debug purposes.
 //
 
 const securityCheckEnabled = nvUtil.IsSecurityCheckEnabled();
-const securityCookie = nvUtil.GenerateRandom(16);
+var nvSecurity = require('./NvSecurity.js');
+var security = nvSecurity.createSecurity(nvSecurity.readSettings(platform.filePath('NvNodeSecurity.json'), logger),
+    nvUtil.GenerateRandom(16), logger);
 
 var nextRequestId = 1;
 
 app.use(function (req, res, next) {
-    res.header('Access-Control-Allow-Origin', '*');
+    var origin = req.headers.origin;
+    if (origin !== undefined && !security.isOriginAllowed(origin)) {
+        logger.record('error', 'Rejecting request from origin not allowed', { method: req.method, url: req.originalUrl, origin: origin });
+        res.writeHead(403, { 'Content-Type': 'text/html;charset=utf-8' });
+        res.end('Origin is not allowed');
+        return;
+    }
+
+    if (origin !== undefined) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+    }
     res.header('Access-Control-Allow-Methods', 'GET,POST');
     res.header('Access-Control-Allow-Headers', 'X_LOCAL_SECURITY_COOKIE, Content-Type, Content-Length');
 
-    if (req.method !== 'OPTIONS' && securityCheckEnabled && req.headers.x_local_security_cookie != securityCookie) {
-        logger.error('Rejecting request with invalid security cookie: ' + req.method + ' ' + req.originalUrl);
+    if (req.method !== 'OPTIONS' && securityCheckEnabled && !security.acceptsCookie(req.headers.x_local_security_cookie)) {
+        logger.record('error', 'Rejecting request with invalid security cookie', { method: req.method, url: req.originalUrl });
         res.writeHead(403, { 'Content-Type': 'text/html;charset=utf-8' });
         res.end('Security token is invalid');
         return;
@@ -192,15 +239,28 @@ app.use(function (req, res, next) {
     var requestId = nextRequestId;
     nextRequestId++;
 
-    logger.debug('Incoming request  #' + requestId + ': ' + req.method + ' ' + req.originalUrl);
+    var startTime = Date.now();
+
+    logger.record('debug', 'Incoming request', { requestId: requestId, method: req.method, url: req.originalUrl });
     onFinished(res, function (err, res) {
-        logger.debug('Response finished #' + requestId + ': ' + req.method + ' ' + req.originalUrl + ' with status ' + res.statusCode);
+        logger.record('debug', 'Response finished', {
+            requestId: requestId,
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Date.now() - startTime
+        });
     });
     next();
 });
 
+// Socket.IO passes "*" for handshakes without origin or with the "null" one.
+io.origins(function (origin, callback) {
+    callback(null, origin === '*' ? security.isOriginAllowed('null') : security.isOriginAllowed(origin));
+});
+
 io.use(function (socket, next) {
-    if (securityCheckEnabled && socket.handshake.query.X_LOCAL_SECURITY_COOKIE != securityCookie) {
+    if (securityCheckEnabled && !security.acceptsCookie(socket.handshake.query.X_LOCAL_SECURITY_COOKIE)) {
         next(new Error('Security token is invalid'));
     }
     else {
@@ -212,90 +272,269 @@ io.use(function (socket, next) {
 // Logging socket.io connections.
 //
 io.on('connection', function (socket) {
-    logger.info('Socket ' + socket.id + ' connected');
+    logger.record('info', 'Socket connected', { socketId: socket.id });
 
     socket.on('error', function (error) {
-        logger.info('Socket ' + socket.id + ' error: ' + error);
+        logger.record('info', 'Socket error', { socketId: socket.id, error: String(error) });
     });
 
     socket.on('reconnect', function () {
-        logger.info('Socket ' + socket.id + ' reconnected');
+        logger.record('info', 'Socket reconnected', { socketId: socket.id });
     });
 
     socket.on('reconnecting', function () {
-        logger.info('Socket ' + socket.id + ' reconnecting');
+        logger.record('info', 'Socket reconnecting', { socketId: socket.id });
     });
 
     socket.on('reconnect_attempt', function () {
-        logger.info('Socket ' + socket.id + ' reconnect attempt');
+        logger.record('info', 'Socket reconnect attempt', { socketId: socket.id });
     });
 
     socket.on('reconnect_error', function () {
-        logger.error('Socket ' + socket.id + ' reconnect error');
+        logger.record('error', 'Socket reconnect error', { socketId: socket.id });
     });
 
     socket.on('reconnect_failed', function () {
-        logger.error('Socket ' + socket.id + ' reconnect failed');
+        logger.record('error', 'Socket reconnect failed', { socketId: socket.id });
     });
 
     socket.on('disconnect', function () {
-        logger.error('Socket ' + socket.id + ' disconnected');
+        logger.record('error', 'Socket disconnected', { socketId: socket.id });
     });
 });
 
+////////////////////////////////////////////////////////////////////////////////
+// NVIDIA modules                                                             //
+////////////////////////////////////////////////////////////////////////////////
+
+//
+// Every module NvNode loads, see NvModuleRegistry.js. Optional modules can be
+// disabled in NvNodeModules.json, next to this file.
+//
+
+var moduleRegistry = require('./NvModuleRegistry.js');
+
+const moduleDefinitions = [
+    {
+        name: 'NvBackendAPI',
+        preload: true,
+        signedFile: 'NvBackendAPINode.node',
+        load: function () {
+            return platform.require('NvBackendAPI.js')(httpServer, app, io, logger);
+        }
+    },
+    {
+        name: 'NvAccountAPI',
+        preload: true,
+        dependencies: ['NvBackendAPI'],
+        signedFile: 'NvAccountAPINode.node',
+        load: function (modules) {
+            return platform.require('NvAccountAPI.js')(app, io, logger, SendNodeJSExceptionFeedback, modules.get('NvBackendAPI'));
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'DriverInstallAPI',
+        preload: true,
+        signedFile: 'DriverInstall.node',
+        load: function () {
+            return platform.require('DriverInstallAPI.js')(app, io, logger);
+        },
+        initialize: null
+    },
+    {
+        name: 'downloaderAPI',
+        preload: true,
+        signedFile: 'Downloader.node',
+        load: function () {
+            return platform.require('downloader.js')(app, io, logger);
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvAbHubAPI',
+        optional: true,
+        signedFile: 'NvABHubAPI.node',
+        load: function () {
+            return platform.require('NvAbHubAPI.js')(app, io, logger);
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvTelemetryAuditAPI',
+        optional: true,
+        load: function () {
+            return require('./NvTelemetryAuditAPI.js')(app, io, logger, path.join(GetNvNodeAppdataDirectoryPath(), 'TelemetryAudit'));
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvLocalTracingAPI',
+        optional: true,
+        load: function () {
+            return require('./NvLocalTracingAPI.js')(app, io, logger, path.join(GetNvNodeAppdataDirectoryPath(), 'Tracing'));
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvOptimizationProfilesAPI',
+        optional: true,
+        load: function () {
+            return require('./NvOptimizationProfilesAPI.js')(app, io, logger, path.join(GetNvNodeAppdataDirectoryPath(), 'OptimizationProfiles'));
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvOptimizationCacheAPI',
+        optional: true,
+        load: function () {
+            return require('./NvOptimizationCacheAPI.js')(app, io, logger, path.join(GetNvNodeAppdataDirectoryPath(), 'OptimizationCache'),
+                platform.filePath('NvOptimizationCache.json'));
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvDriverPackagesAPI',
+        optional: true,
+        load: function () {
+            return require('./NvDriverPackagesAPI.js')(app, io, logger);
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvCrashReportsAPI',
+        optional: true,
+        load: function () {
+            return require('./NvCrashReportsAPI.js')(app, io, logger, crashReports, UploadCrashReport);
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvCommonTasks',
+        dependencies: ['downloaderAPI'],
+        load: function () {
+            return platform.require('NvCommonTasks.js')();
+        },
+        initialize: null
+    },
+    {
+        name: 'NvAutoDriverDownload',
+        dependencies: ['NvCommonTasks', 'NvBackendAPI', 'downloaderAPI'],
+        load: function (modules) {
+            return platform.require('NvAutoDriverDownload.js')(modules.get('NvCommonTasks'), modules.get('NvBackendAPI'), modules.get('downloaderAPI'), logger);
+        },
+        initialize: null
+    },
+    {
+        name: 'NvAutoGFEDownload',
+        dependencies: ['NvCommonTasks', 'NvBackendAPI'],
+        load: function () {
+            var autoDownload = platform.require('NvAutoDownload.js');
+            autoDownload.setAppDataPath(GetNvNodeAppdataDirectoryPath());
+            return autoDownload;
+        },
+        initialize: function (autoDownload) {
+            return autoDownload.initialize(app, io, logger, nvUtil, modules.get('NvCommonTasks'), modules.get('NvAccountAPI'), modules.get('NvBackendAPI'));
+        }
+    },
+    {
+        name: 'NvGameStreamAPI',
+        optional: true,
+        signedFile: 'NvGameStreamAPINode.node',
+        load: function () {
+            return platform.require('NvGameStreamAPI.js')(app, io, logger);
+        },
+        cleanup: 'cleanup'
+    },
+    {
+        name: 'NvGameShareAPI',
+        optional: true,
+        signedFile: 'NvGameShareAPINode.node',
+        load: function () {
+            return platform.require('NvGameShareAPI.js')(app, io, logger);
+        }
+    },
+    {
+        name: 'NvGalleryAPI',
+        optional: true,
+        signedFile: 'NVGalleryAPINode.node',
+        load: function () {
+            return platform.require('NvGalleryAPI.js')(app, io, logger);
+        }
+    },
+    {
+        name: 'NvCameraAPI',
+        optional: true,
+        signedFile: 'NvCameraAPINode.node',
+        load: function () {
+            return platform.require('NvCameraAPI.js')(app, io, logger);
+        },
+        cleanup: 'Cleanup'
+    },
+    {
+        name: 'ShadowPlayAPI',
+        optional: true,
+        after: ['NvGalleryAPI', 'NvCameraAPI'],
+        signedFile: 'NvShadowPlayAPINode.node',
+        load: function () {
+            return platform.require('NvShadowPlayAPI.js')(app, io, logger);
+        },
+        cleanup: 'Cleanup'
+    },
+    {
+        name: 'NvSDKAPI',
+        optional: true,
+        dependencies: ['ShadowPlayAPI'],
+        signedFile: 'NvSDKAPINode.node',
+        load: function () {
+            return platform.require('NvSDKAPI.js')(app, io, logger, platform.require('NvSDKAPINode.node'));
+        },
+        cleanup: 'Cleanup'
+    }
+];
+
+var modules = moduleRegistry.createRegistry(moduleDefinitions, logger, {
+    disabled: moduleRegistry.readManifest(platform.filePath('NvNodeModules.json'), logger),
+    onOptionalModuleError: ReportOptionalModuleLoadError
+});
+
+function VerifyModuleSignature(definition) {
+    if (securityCheckEnabled && definition.signedFile) {
+        nvUtil.VerifyFileSignatureSync(platform.modulePath(definition.signedFile));
+    }
+}
+
 //
 // NvBackend module is mandatory, preload it before waiting for LS container.
 //
 
 var NvBackendAPI;
 {
-    if (securityCheckEnabled) {
-        nvUtil.VerifyFileSignatureSync(__dirname + '\\NvBackendAPINode.node');
-    }
-    logger.info('Loading NvBackendAPI module...');
-    NvBackendAPI = require('./NvBackendAPI.js')(httpServer, app, io, logger);
-    logger.info('NvBackendAPI module loaded');
+    VerifyModuleSignature(moduleDefinitions[0]);
+    NvBackendAPI = modules.load('NvBackendAPI');
 }
 
 //
 // Some modules that don't depend on NvContainer could be loaded while LS container is starting.
 //
 
-var NvAccountAPI;
-var DriverInstallAPI;
-var downloaderAPI;
-
 let modulesPreloadError = undefined;
 try {
-    if (securityCheckEnabled) {
-        nvUtil.VerifyFileSignatureSync(__dirname + '\\NvAccountAPINode.node');
-    }
-    logger.info('Loading AccountAPI module...');
-    NvAccountAPI = require('./NvAccountAPI.js')(app, io, logger, SendNodeJSExceptionFeedback, NvBackendAPI);
-    logger.info('AccountAPI module loaded');
-
-    if (securityCheckEnabled) {
-        nvUtil.VerifyFileSignatureSync(__dirname + '\\DriverInstall.node');
-    }
-    logger.info('Loading DriverInstallAPI module...');
-    DriverInstallAPI = require('./DriverInstallAPI.js')(app, io, logger);
-    logger.info('DriverInstallAPI module loaded');
-
-    if (securityCheckEnabled) {
-        nvUtil.VerifyFileSignatureSync(__dirname + '\\Downloader.node');
-    }
-    logger.info('Loading downloaderAPI module...');
-    downloaderAPI = require('./downloader.js')(app, io, logger);
-    logger.info('downloaderAPI module loaded');
+    modules.enabled().forEach(function (definition) {
+        if (definition.preload && !modules.get(definition.name)) {
+            VerifyModuleSignature(definition);
+            modules.load(definition.name);
+        }
+    });
 } catch (e) {
     // Do not throw error right away, try to keep it until reporting is up.
     logger.error(e);
     modulesPreloadError = e;
 }
 
-function FileExists(path) {
+function FileExists(filePath) {
     try {
-        var st = fs.statSync(path);
+        var st = fs.statSync(filePath);
         return st.isFile();
     }
     catch (err) {
@@ -307,11 +546,11 @@ function FileExists(path) {
 // Check signature of native modules before waiting for NvContainerLS.
 //
 
-function VerifySignatureIfFileExists(path) {
-    if(FileExists(path)) {
-        nvUtil.VerifyFileSignatureSync(path);
+function VerifySignatureIfFileExists(filePath) {
+    if(FileExists(filePath)) {
+        nvUtil.VerifyFileSignatureSync(filePath);
     } else {
-        logger.info("Skipping signature verification as file doesn't exist: ", path);
+        logger.info("Skipping signature verification as file doesn't exist: ", filePath);
     }
 }
 
@@ -321,13 +560,11 @@ if (securityCheckEnabled) {
     logger.info('Verifying native module signatures...');
 
     try {
-        VerifySignatureIfFileExists(__dirname + '\\NvCameraAPINode.node');
-        VerifySignatureIfFileExists(__dirname + '\\NVGalleryAPINode.node');
-        VerifySignatureIfFileExists(__dirname + '\\NvGameShareAPINode.node');
-        VerifySignatureIfFileExists(__dirname + '\\NvGameStreamAPINode.node');
-        VerifySignatureIfFileExists(__dirname + '\\NvShadowPlayAPINode.node');
-        VerifySignatureIfFileExists(__dirname + '\\NvSDKAPINode.node');
-        VerifySignatureIfFileExists(__dirname + '\\NvABHubAPI.node');
+        modules.enabled().forEach(function (definition) {
+            if (!definition.preload && definition.signedFile) {
+                VerifySignatureIfFileExists(platform.modulePath(definition.signedFile));
+            }
+        });
     } catch (e) {
         // Do not throw error right away, try to keep it until reporting is up.
         logger.error(e);
@@ -351,11 +588,11 @@ try {
 }
 catch (err) {
     logger.error(err);
-    Shutdown();
+    ExitDuringStartup();
 }
 
 function GetNvNodeRunFilePath() {
-    return GetNvNodeAppdataDirectoryPath() + '\\nodejs.json';
+    return path.join(GetNvNodeAppdataDirectoryPath(), 'nodejs.json');
 }
 
 
@@ -363,7 +600,7 @@ function GetNvNodeRunFilePath() {
 // Module initialization chain                                                //
 ////////////////////////////////////////////////////////////////////////////////
 
-NvBackendAPI.initialize().catch(function (err) {
+modules.start('NvBackendAPI').catch(function (err) {
     NvBackendAPI = undefined;
     OnUnhandledError(err);
 }).then(LoadNVIDIAModules).then(StartHTTPServer).then(RegisterShutdownCallbacks).catch(OnUnhandledError);
@@ -372,18 +609,6 @@ NvBackendAPI.initialize().catch(function (err) {
 // Other NVIDIA modules                                                             //
 ////////////////////////////////////////////////////////////////////////////////
 
-var NvCommonTasks;
-var NvAutoDriverDownload;
-var NvAutoGFEDownload;
-
-var NvGameStreamAPI;
-var NvGameShareAPI;
-var ShadowPlayAPI;
-var NvGalleryAPI;
-var NvCameraAPI;
-var NvSDKAPI;
-var NvAbHubAPI;
-
 function ReportOptionalModuleLoadError(err) {
     logger.error("Optional module load error!");
     if (err.stack) {
@@ -393,7 +618,7 @@ function ReportOptionalModuleLoadError(err) {
         logger.error(err);
     }
 
-    SendNodeJSExceptionFeedback("Optional module load error: " + err.toString());
+    SendNodeJSExceptionFeedback("Optional module load error: " + err.toString(), 'optionalModule');
 }
 
 function LoadNVIDIAModules() {
@@ -406,158 +631,7 @@ function LoadNVIDIAModules() {
         throw modulesPreloadError;
     }
 
-    let promises = [];
-
-    try {
-        logger.info('NvAbHubAPI: Loading module...');
-        NvAbHubAPI = require('./NvAbHubAPI.js')(app, io, logger);
-        promises.push(NvAbHubAPI.initialize().catch (function (err) {
-            logger.error("NvAbHubAPI: Initialization failed");
-            NvAbHubAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        }));
-    } catch (err) {
-        logger.error("NvAbHubAPI: Module load failed");
-        NvAbHubAPI = undefined;
-        ReportOptionalModuleLoadError(err);
-    }
-
-    // DownloaderAPI is already loaded, time to initialize it and modules that depend on it.
-    promises.push(downloaderAPI.initialize()
-        .then(function LoadAutoDownloadModules() {
-            logger.info('Loading NvCommonTasks...');
-            NvCommonTasks = require('./NvCommonTasks.js')();
-            logger.info('NvCommonTasks loaded');
-
-            logger.info('Loading NvAutoDriverDownload module...');
-            NvAutoDriverDownload = require('./NvAutoDriverDownload.js')(NvCommonTasks, NvBackendAPI, downloaderAPI, logger);
-            logger.info('NvAutoDriverDownload module loaded');
-
-            logger.info('Loading NvAutoDownload module...');
-            NvAutoGFEDownload = require('./NvAutoDownload.js');
-            NvAutoGFEDownload.setAppDataPath(GetNvNodeAppdataDirectoryPath());
-            logger.info('NvAutoDownload module loaded');
-        })
-        .then(function InitializeAutoDownloadModules() {
-            return NvAutoGFEDownload.initialize(app, io, logger, nvUtil, NvCommonTasks, NvAccountAPI, NvBackendAPI);
-        }));
-
-    // NvAccountAPI is already loaded, time to initialize it.
-    promises.push(NvAccountAPI.initialize());
-
-    try {
-        logger.info('Loading NvGameStreamAPI module...');
-        NvGameStreamAPI = require('./NvGameStreamAPI.js')(app, io, logger);
-        logger.info('NvGameStreamAPI module loaded');
-    } catch (err) {
-        NvGameStreamAPI = undefined;
-        ReportOptionalModuleLoadError(err);
-    }
-
-    if (NvGameStreamAPI) {
-        promises.push(NvGameStreamAPI.initialize().catch(function (err) {
-            NvGameStreamAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        }));
-    }
-
-    try {
-        logger.info('Loading NvGameShareAPI module...');
-        NvGameShareAPI = require('./NvGameShareAPI.js')(app, io, logger);
-        logger.info('NvGameShareAPI module loaded');
-    } catch (err) {
-        NvGameShareAPI = undefined;
-        ReportOptionalModuleLoadError(err);
-    }
-
-    if (NvGameShareAPI) {
-        promises.push(NvGameShareAPI.initialize().catch(function (err) {
-            NvGameShareAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        }));
-    }
-
-    try {
-        logger.info('Loading GalleryAPI module...');
-        NvGalleryAPI = require('./NvGalleryAPI.js')(app, io, logger);
-        logger.info('GalleryAPI module loaded');
-    } catch (err) {
-        NvGalleryAPI = undefined;
-        ReportOptionalModuleLoadError(err);
-    }
-
-    let shadowplayDependencies = [];
-    if (NvGalleryAPI) {
-        let nvGalleryInitPromise = NvGalleryAPI.initialize().catch(function (err) {
-            NvGalleryAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        });
-        shadowplayDependencies.push(nvGalleryInitPromise);
-        promises.push(nvGalleryInitPromise);
-    }
-
-    try {
-        logger.info('Loading NvCameraAPI module...');
-        NvCameraAPI = require('./NvCameraAPI.js')(app, io, logger);
-        logger.info('NvCameraAPI module loaded');
-    } catch (err) {
-        NvCameraAPI = undefined;
-        ReportOptionalModuleLoadError(err);
-    }
-    if (NvCameraAPI) {
-        let nvCameraInitPromise = NvCameraAPI.initialize().catch(function (err) {
-            NvCameraAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        });
-        shadowplayDependencies.push(nvCameraInitPromise);
-        promises.push(nvCameraInitPromise);
-    }
-
-    function LoadShadowPlay() {
-        try {
-            logger.info('Loading ShadowPlayAPI module...');
-            ShadowPlayAPI = require('./NvShadowPlayAPI.js')(app, io, logger);
-        } catch (err) {
-            ShadowPlayAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        }
-        if (ShadowPlayAPI) {
-            logger.info('ShadowPlayAPI initalizing...');
-            let spPromise = ShadowPlayAPI.initialize().catch(function (err) {
-                logger.error("LoadShadowPlay initialize catch");
-                ShadowPlayAPI = undefined;
-                ReportOptionalModuleLoadError(err);
-            });
-            return spPromise;
-        }
-    }
-
-    function LoadSDK() {
-        if (!ShadowPlayAPI) {
-            return;
-        }
-
-        var api;
-        try {
-            logger.info('Loading NvSDKAPI...');
-            api = require('./NvSDKAPINode.node');
-            NvSDKAPI = require('./NvSDKAPI.js')(app, io, logger, api);
-            logger.info('NvSDKAPI initalizing...');
-            let sdkPromise = NvSDKAPI.initialize().catch(function (err) {
-                logger.error("LoadSDK initialize catch");
-                NvSDKAPI = undefined;
-                ReportOptionalModuleLoadError(err);
-            });
-            return sdkPromise;
-        } catch (err) {
-            NvSDKAPI = undefined;
-            ReportOptionalModuleLoadError(err);
-        }
-    }
-
-    promises.push(Promise.all(shadowplayDependencies).then(LoadShadowPlay).then(LoadSDK));
-
-    return Promise.all(promises);
+    return modules.startAll();
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -565,49 +639,16 @@ function LoadNVIDIAModules() {
 ////////////////////////////////////////////////////////////////////////////////
 
 app.get('/version', function (req, res) {
-    var data = {};
-    data.node = process.version;
-    data.NvBackendAPI = NvBackendAPI.version();
-    data.NvAccountAPI = NvAccountAPI.version();
-    data.DriverInstallAPI = DriverInstallAPI.version();
-    data.downloaderAPI = downloaderAPI.version();
-    data.NvCommonTasks = NvCommonTasks.version();
-    data.NvAutoDriverDownload = NvAutoDriverDownload.version();
-    data.NvAutoGFEDownload = NvAutoGFEDownload.version();
-
-    if (NvGameStreamAPI) {
-        data.NvGameStreamAPI = NvGameStreamAPI.version();
-    }
-    if (NvGameShareAPI) {
-        data.NvGameShareAPI = NvGameShareAPI.version();
-    }
-    if (ShadowPlayAPI) {
-        data.ShadowPlayAPI = ShadowPlayAPI.version();
-    }
-    if (NvGalleryAPI) {
-        data.NvGalleryAPI = NvGalleryAPI.version();
-    }
-    if (NvCameraAPI) {
-        data.NvCameraAPI = NvCameraAPI.version();
-    }
-    if (NvSDKAPI) {
-        data.NvSDKAPI = NvSDKAPI.version();
-    }
-
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-
-    data.NvAbHubAPI = undefined;
-    if (NvAbHubAPI) {
-        NvAbHubAPI.version().then(function (version) {
-            data.NvAbHubAPI = version;
-            res.end(JSON.stringify(data));
-        }).catch (function (err) {
-            logger.error('NvAbHubAPI version not found :' + err);
-            res.end(JSON.stringify(data));
+    modules.versions().then(function (versions) {
+        var data = { node: process.version };
+        Object.keys(versions).forEach(function (name) {
+            data[name] = versions[name];
         });
-    } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(data));
-    }
+    }).catch(function (err) {
+        jsonLines.replyWithError(res, err, logger, 'Version');
+    });
 });
 
 app.get('/beta', function (req, res) {
@@ -646,37 +687,75 @@ app.get('/Settings/v.1.0/Language', function (req, res) {
     }
 });
 
+//
+// Sets the UI language, one of the codes of NvLocales.js. The UI windows are
+// told through Socket.IO once it is saved.
+//
+
 app.post('/Settings/v.1.0/Language', function (req, res) {
-    var parsed = {};
-    function onData(data) {
-        logger.info('Data:' + data);
+    jsonLines.readJsonBody(req, function (err, body) {
+        var language;
         try {
-            parsed = JSON.parse(data);
+            if (err) throw err;
+            language = nvLocales.validate(body && body.language);
+            logger.info('Language:' + language);
+            nvUtil.SaveLanguage(language);
         }
         catch (err) {
-            replyWithError(res, err);
+            jsonLines.replyWithError(res, err, logger, 'Settings');
+            return;
         }
-    }
 
-    function onEnd() {
+        setImmediate(function () {
+            io.emit('/Settings/v.1.0/Language', { language: language });
+        });
+        res.writeHead(200);
+        res.end();
+
         try {
-            logger.info('Language:' + parsed.language);
-            nvUtil.SaveLanguage(parsed.language);
-            setImmediate(function () {
-                io.emit('/Settings/v.1.0/Language', { language: parsed.language });
-            });
-            res.writeHead(200)
-            res.end();
-            
-            NvBackendAPI.notifyUiLanguageChange(parsed.language);
+            if (NvBackendAPI) {
+                NvBackendAPI.notifyUiLanguageChange(language);
+            }
         }
         catch (err) {
-            replyWithError(res, err);
+            logger.error('Failed to notify NvBackend of the language change: ' + err);
         }
-    }
+    });
+});
+
+//
+// Languages the UI is translated to: { languages: [{ code, name }] }, name
+// being the one shown in the UI.
+//
+
+app.get('/Settings/v.1.0/Languages', function (req, res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ languages: nvLocales.locales }));
+});
+
+//
+// Lowest level written to nvnode.log: debug, info, warn or error. Back to debug
+// on restart.
+//
+
+app.get('/Logging/v.1.0/Level', function (req, res) {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify({ level: logger.level() }));
+});
 
-    req.on('data', onData);
-    req.on('end', onEnd);
+app.post('/Logging/v.1.0/Level', function (req, res) {
+    jsonLines.readJsonBody(req, function (err, body) {
+        try {
+            if (err) throw err;
+            logger.setLevel(body && body.level);
+            logger.info('Log level set to ' + body.level);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ level: body.level }));
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'Logging');
+        }
+    });
 });
 
 app.get('/threadpool', function (req, res) {
@@ -692,6 +771,73 @@ app.get('/up', function (req, res) {
     res.end();
 });
 
+//
+// Diagnostics: state of every module (see NvModuleRegistry.js), of the native
+// module signatures and of the NVIDIA services NvNode needs. status is
+// "starting" while modules are loading, "degraded" if an optional module
+// failed, "ok" otherwise.
+//
+
+// SERVICE_STATUS dwCurrentState and QUERY_SERVICE_CONFIG dwStartType values.
+const serviceStates = ['unknown', 'stopped', 'startPending', 'stopPending', 'running', 'continuePending', 'pausePending', 'paused'];
+const serviceStartupTypes = ['boot', 'system', 'automatic', 'manual', 'disabled'];
+
+function GetServiceHealth(serviceName) {
+    try {
+        let status = nvUtil.GetSystemServiceStatus(serviceName);
+        return {
+            state: serviceStates[status.state] || String(status.state),
+            startupType: serviceStartupTypes[status.startupType] || String(status.startupType)
+        };
+    }
+    catch (err) {
+        return { state: 'unknown', error: String(err && err.message || err) };
+    }
+}
+
+function GetSignatureVerificationHealth() {
+    if (!securityCheckEnabled) {
+        return { state: 'disabled' };
+    }
+    if (signatureVerificationError) {
+        return { state: 'failed', error: String(signatureVerificationError.message || signatureVerificationError) };
+    }
+    return { state: 'passed' };
+}
+
+app.get('/health', function (req, res) {
+    var states = modules.states();
+    var data = {
+        status: 'ok',
+        uptime: Math.round(process.uptime()),
+        port: httpServer.address() ? httpServer.address().port : undefined,
+        sockets: Object.keys(io.sockets.connected).length,
+        signatureVerification: GetSignatureVerificationHealth(),
+        services: {},
+        modules: {}
+    };
+
+    data.services[localSystemContainerServiceName] = GetServiceHealth(localSystemContainerServiceName);
+    data.services[nvTelemetryServiceName] = GetServiceHealth(nvTelemetryServiceName);
+
+    Object.keys(states).forEach(function (name) {
+        var state = states[name];
+        data.modules[name] = { state: state.state };
+        if (state.error) {
+            data.modules[name].error = String(state.error.message || state.error);
+        }
+
+        if (state.state === 'pending' || state.state === 'loading') {
+            data.status = 'starting';
+        } else if (state.state === 'failed' && data.status === 'ok') {
+            data.status = 'degraded';
+        }
+    });
+
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(data));
+});
+
 //! Formats the error and makes a reply with appropriate HTTP code.
 //! @param res Response object provided by Express.
 //! @param err Error object.
@@ -718,13 +864,55 @@ function replyWithError(res, err) {
 // See also http://jirasw.nvidia.com/browse/CRIMSON-978 and http://jirasw.nvidia.com/browse/CRIMSON-1205
 //
 
+// The file is written to a temporary file readable by its owner only, then
+// renamed, so that it is never seen half written. Windows ignores the file
+// mode: the temporary file gets an ACL granting the current user alone full
+// control, without the inherited entries, before the rename. If icacls fails
+// the error is logged and the file keeps the ACL inherited from
+// %LOCALAPPDATA%.
+function RestrictToCurrentUser(filePath) {
+    if (process.platform !== 'win32') {
+        return;
+    }
+
+    var user = process.env.USERDOMAIN ? process.env.USERDOMAIN + '\\' + process.env.USERNAME : process.env.USERNAME;
+    try {
+        childProcess.execFileSync('icacls', [filePath, '/inheritance:r', '/grant:r', user + ':F'], {
+            stdio: 'ignore',
+            timeout: 10000,
+            windowsHide: true
+        });
+    } catch (e) {
+        logger.error('Failed to restrict the run file to ' + user + ': ' + e.message);
+    }
+}
+
 function CreateRunFile() {
     logger.info('Creating run file with port and security cookie.');
     var config = {};
     config.port = httpServer.address().port;
-    config.secret = securityCookie;
+    config.secret = security.cookie();
 
-    fs.writeFileSync(GetNvNodeRunFilePath(), JSON.stringify(config));
+    var runFilePath = GetNvNodeRunFilePath();
+    var temporaryPath = runFilePath + '.tmp';
+    try {
+        fs.unlinkSync(temporaryPath);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    fs.writeFileSync(temporaryPath, JSON.stringify(config), { mode: 0o600, flag: 'wx' });
+    RestrictToCurrentUser(temporaryPath);
+    fs.renameSync(temporaryPath, runFilePath);
+}
+
+function DeleteRunFile() {
+    try {
+        fs.unlinkSync(GetNvNodeRunFilePath());
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            logger.error('Failed to delete run file: ' + e);
+        }
+    }
 }
 
 
@@ -795,45 +983,50 @@ function StartHTTPServer() {
 // Shutdown logic                                                             //
 ////////////////////////////////////////////////////////////////////////////////
 
-function Shutdown(exitCode) {
-    logger.info('Shutting down.');
-
-    //
-    // TODO: call modules shutdown functions here.
-    //
-
-    if (NvSDKAPI) {
-        NvSDKAPI.Cleanup();
-    }
-
-    if (NvCameraAPI) {
-        NvCameraAPI.Cleanup();
-    }
+// Longest wait for the cleanup of one module.
+const moduleCleanupTimeoutMs = 5000;
 
-    if (ShadowPlayAPI) {
-        ShadowPlayAPI.Cleanup();
-    }
+var shutdownPromise;
 
-    if (NvAbHubAPI) {
-        NvAbHubAPI.cleanup();
-    }
+//! Exits right away, for the failures before any module is initialized: the
+//! rest of this script must not run.
+function ExitDuringStartup(exitCode) {
+    logger.info('Shutting down.');
+    logger.infoSync('Stopping logging.');
+    logger.destroyLogger();
+    process.exit(exitCode);
+}
 
-    if (downloaderAPI) {
-        downloaderAPI.cleanup();
+//! Stops serving, waits for the module cleanups (see NvModuleRegistry.js),
+//! deletes the run file and exits. Later calls return the same promise.
+function Shutdown(exitCode) {
+    if (shutdownPromise) {
+        return shutdownPromise;
     }
 
-    if (NvAccountAPI) {
-        NvAccountAPI.cleanup();
-    }
+    logger.info('Shutting down.');
 
-    if (NvGameStreamAPI) {
-        NvGameStreamAPI.cleanup();
-    }
+    shutdownPromise = Promise.resolve().then(function () {
+        // Disconnects every Socket.IO client and closes the HTTP server.
+        if (io) {
+            io.close();
+        }
+        return modules ? modules.cleanup(moduleCleanupTimeoutMs) : [];
+    }).then(function (unfinished) {
+        if (unfinished.length) {
+            logger.error('Modules not cleaned up: ' + unfinished.join(', '));
+        }
+        DeleteRunFile();
+    }).catch(function (err) {
+        logger.error(err);
+    }).then(function () {
+        logger.infoSync('Stopping logging.');
+        logger.destroyLogger();
+        process.exit(exitCode);
+    });
 
-    logger.infoSync('Stopping logging.');
-    logger.destroyLogger();
-    process.exit(exitCode);
-};
+    return shutdownPromise;
+}
 
 function OnSIGTERM() {
     logger.info('Received SIGTERM.');
@@ -0,0 +1,458 @@
+'use strict'
+
+//
+// Offline game optimization cache.
+//
+// The BaiGfe patched UI saves the last optimization data GFE got for each game
+// (slider settings, recommended resolution and display mode, settings spaces,
+// optimal settings, VOPS preview and its translations) so that the Games tab
+// still shows them when NVIDIA's optimization service can't be reached. The
+// entries are per GPU, one JSON file per game, and the VOPS preview images are
+// downloaded by NvNode and kept next to them as data URLs:
+//
+//     GET  /OptimizationCache/v.1.0/Games   lists the entries, without their
+//                                           images. Query parameter: gpu.
+//     POST /OptimizationCache/v.1.0/Games   saves the entry of "gameId" for
+//                                           "gpu" and downloads its
+//                                           "imageUrls", which must be on
+//                                           the NVIDIA image hosts below.
+//     GET  /OptimizationCache/v.1.0/Images  returns the images of the entry of
+//                                           "gameId" for "gpu".
+//     POST /OptimizationCache/v.1.0/Export  writes every entry, with its
+//                                           images, to a new snapshot file in
+//                                           "directory", an absolute path, by
+//                                           default the OptimizationCache
+//                                           appdata directory. An existing
+//                                           file is never replaced.
+//     POST /OptimizationCache/v.1.0/Import  reads the snapshot file at "path"
+//                                           and keeps its entries that are
+//                                           newer than the stored ones.
+//
+// A snapshot bundled next to index.js (NvOptimizationCache.json) is imported
+// the same way shortly after startup, for PCs that never reach the service,
+// unless it is the file already imported (same modification time and size).
+//
+
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var path = require('path');
+var url = require('url');
+
+var jsonLines = require('./NvJsonLines.js');
+
+const version = '1.0.0';
+
+const snapshotFormat = 'baiGfe.optimizationCache';
+
+// Snapshots hold the images, they may be large.
+const maxSnapshotBytes = 64 * 1024 * 1024;
+
+// Limits of the VOPS preview images of an entry.
+const maxImageCount = 32;
+const maxImageBytes = 2 * 1024 * 1024;
+const imageTimeoutMs = 15000;
+const maxRedirectCount = 3;
+
+// Hosts of the VOPS preview images, the image and asset hosts of the FULL
+// blocklist (patcher/runtime/networkPolicy.js). Other URLs, redirects
+// included, are not downloaded.
+const imageHosts = [
+    'img.nvidiagrid.net',
+    'images.nvidiagrid.net',
+    'images.nvidia.com',
+    'rds-assets.nvidia.com',
+    'assets.nvidiagrid.net'
+];
+
+// The bundled snapshot is imported after the startup requests of the UI.
+const bundledImportDelayMs = 10000;
+
+module.exports = function (app, io, logger, directoryPath, bundledSnapshotPath) {
+
+    var bundledImportTimer;
+
+    function IsImageUrl(imageUrl) {
+        var parsed;
+        try {
+            parsed = new url.URL(imageUrl);
+        }
+        catch (err) {
+            return false;
+        }
+        return (parsed.protocol === 'https:' || parsed.protocol === 'http:') &&
+            imageHosts.indexOf(parsed.hostname.toLowerCase()) >= 0;
+    }
+
+    function EntryPath(gpu, gameId, suffix) {
+        var hash = crypto.createHash('sha1').update(gpu + '\n' + gameId).digest('hex');
+        return path.join(directoryPath, hash + suffix);
+    }
+
+    function ReadJson(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+        catch (err) {
+            if (err.code === 'ENOENT') {
+                return undefined;
+            }
+            if (err instanceof SyntaxError) {
+                logger.error('OptimizationCache: ignoring invalid file ' + filePath);
+                return undefined;
+            }
+            throw err;
+        }
+    }
+
+    //! Returns the entry of a request or snapshot with its gameId as a string,
+    //! throws if it isn't one.
+    function CheckEntry(entry) {
+        if (!entry || typeof entry.gpu !== 'string' || !entry.gpu || entry.gpu.length > 256 ||
+            (typeof entry.gameId !== 'string' && typeof entry.gameId !== 'number') ||
+            !entry.data || typeof entry.data !== 'object') {
+            throw jsonLines.invalidArgument('Expected "gpu", "gameId" and "data"');
+        }
+        return {
+            gpu: entry.gpu,
+            gameId: String(entry.gameId),
+            gameName: typeof entry.gameName === 'string' ? entry.gameName : '',
+            savedAt: entry.savedAt,
+            data: entry.data
+        };
+    }
+
+    //! Returns the stored entries, of one GPU if given, newest first.
+    function ReadEntries(gpu) {
+        var names;
+        try {
+            names = fs.readdirSync(directoryPath);
+        }
+        catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        return names.filter(function (name) {
+            return /^[0-9a-f]{40}\.json$/.test(name);
+        }).map(function (name) {
+            return ReadJson(path.join(directoryPath, name));
+        }).filter(function (entry) {
+            return entry && (!gpu || entry.gpu === gpu);
+        }).sort(function (a, b) {
+            return a.savedAt < b.savedAt ? 1 : a.savedAt > b.savedAt ? -1 : 0;
+        });
+    }
+
+    function ReadImages(gpu, gameId) {
+        return ReadJson(EntryPath(gpu, gameId, '.images.json')) || {};
+    }
+
+    //! Stores an entry and its images (null keeps the stored ones).
+    function WriteEntry(entry, images) {
+        fs.mkdirSync(directoryPath, { recursive: true });
+        if (images) {
+            fs.writeFileSync(EntryPath(entry.gpu, entry.gameId, '.images.json'), JSON.stringify(images));
+        }
+        entry.imageCount = Object.keys(images || ReadImages(entry.gpu, entry.gameId)).length;
+        fs.writeFileSync(EntryPath(entry.gpu, entry.gameId, '.json'), JSON.stringify(entry));
+    }
+
+    //! Calls callback(err, dataUrl) once with the image at imageUrl.
+    function DownloadImage(imageUrl, redirectCount, callback) {
+        var called = false;
+        function Done(err, dataUrl) {
+            if (!called) {
+                called = true;
+                callback(err, dataUrl);
+            }
+        }
+
+        if (!IsImageUrl(imageUrl)) {
+            Done(new Error('Not an NVIDIA image URL ' + imageUrl));
+            return;
+        }
+        var options = new url.URL(imageUrl);
+        var client = options.protocol === 'https:' ? https : http;
+
+        var req = client.get(options, function (res) {
+            var type = String(res.headers['content-type'] || '').split(';')[0].trim();
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirectCount < maxRedirectCount) {
+                res.resume();
+                called = true;
+                DownloadImage(new url.URL(res.headers.location, imageUrl).href, redirectCount + 1, callback);
+                return;
+            }
+            if (res.statusCode !== 200 || type.indexOf('image/') !== 0) {
+                res.resume();
+                Done(new Error('No image at ' + imageUrl + ' (' + res.statusCode + ', ' + type + ')'));
+                return;
+            }
+
+            var chunks = [];
+            var size = 0;
+            res.on('data', function (chunk) {
+                size += chunk.length;
+                if (size > maxImageBytes) {
+                    Done(new Error('Image ' + imageUrl + ' is larger than ' + maxImageBytes + ' bytes'));
+                    req.abort();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('aborted', function () {
+                Done(new Error('Download of ' + imageUrl + ' aborted'));
+            });
+            res.on('end', function () {
+                Done(null, 'data:' + type + ';base64,' + Buffer.concat(chunks).toString('base64'));
+            });
+        });
+        req.setTimeout(imageTimeoutMs, function () {
+            req.abort();
+        });
+        req.on('error', Done);
+    }
+
+    //! Resolves with the images at the given URLs, reusing the stored ones.
+    //! Images that can't be downloaded are left out.
+    function DownloadImages(imageUrls, stored) {
+        var images = {};
+        return imageUrls.reduce(function (previous, imageUrl) {
+            return previous.then(function () {
+                if (stored[imageUrl]) {
+                    images[imageUrl] = stored[imageUrl];
+                    return;
+                }
+                return new Promise(function (resolve) {
+                    DownloadImage(imageUrl, 0, function (err, dataUrl) {
+                        if (err) {
+                            logger.warn('OptimizationCache: ' + err.message);
+                        } else {
+                            images[imageUrl] = dataUrl;
+                        }
+                        resolve();
+                    });
+                });
+            });
+        }, Promise.resolve()).then(function () {
+            return images;
+        });
+    }
+
+    //! Stores the entries of a snapshot that are newer than the stored ones.
+    //! Returns {imported, skipped}.
+    function ImportSnapshot(filePath) {
+        if (fs.statSync(filePath).size > maxSnapshotBytes) {
+            throw jsonLines.invalidArgument('The file is too large for an optimization cache snapshot');
+        }
+
+        var snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+        }
+        catch (parseErr) {
+            throw jsonLines.invalidArgument('Expected an optimization cache snapshot');
+        }
+        if (!snapshot || snapshot.format !== snapshotFormat || !Array.isArray(snapshot.entries)) {
+            throw jsonLines.invalidArgument('Expected an optimization cache snapshot');
+        }
+
+        var result = { imported: 0, skipped: 0 };
+        snapshot.entries.forEach(function (imported) {
+            var entry;
+            try {
+                entry = CheckEntry(imported);
+            }
+            catch (err) {
+                result.skipped++;
+                return;
+            }
+            if (typeof entry.savedAt !== 'string' || isNaN(Date.parse(entry.savedAt))) {
+                result.skipped++;
+                return;
+            }
+            var stored = ReadJson(EntryPath(entry.gpu, entry.gameId, '.json'));
+            if (stored && stored.savedAt >= entry.savedAt) {
+                result.skipped++;
+                return;
+            }
+            var images = imported.images && typeof imported.images === 'object' ? imported.images : {};
+            WriteEntry(entry, images);
+            result.imported++;
+        });
+        return result;
+    }
+
+    app.get('/OptimizationCache/v.1.0/Games', function (req, res) {
+        try {
+            jsonLines.replyWithJson(res, ReadEntries(req.query.gpu));
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'OptimizationCache');
+        }
+    });
+
+    app.post('/OptimizationCache/v.1.0/Games', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            var entry;
+            var imageUrls;
+            try {
+                if (err) throw err;
+                entry = CheckEntry(body);
+                imageUrls = Array.isArray(body.imageUrls) ? body.imageUrls.filter(function (imageUrl, index, all) {
+                    return typeof imageUrl === 'string' && all.indexOf(imageUrl) === index;
+                }).slice(0, maxImageCount) : [];
+                imageUrls.forEach(function (imageUrl) {
+                    if (!IsImageUrl(imageUrl)) {
+                        throw jsonLines.invalidArgument('Not an NVIDIA image URL ' + imageUrl);
+                    }
+                });
+            }
+            catch (err) {
+                jsonLines.replyWithError(res, err, logger, 'OptimizationCache');
+                return;
+            }
+
+            entry.savedAt = new Date().toISOString();
+            DownloadImages(imageUrls, ReadImages(entry.gpu, entry.gameId)).then(function (images) {
+                WriteEntry(entry, images);
+                logger.info('OptimizationCache: saved game ' + entry.gameId + ' with ' + entry.imageCount + ' image(s)');
+                jsonLines.replyWithJson(res, { savedAt: entry.savedAt, imageCount: entry.imageCount });
+            }).catch(function (err) {
+                jsonLines.replyWithError(res, err, logger, 'OptimizationCache');
+            });
+        });
+    });
+
+    app.get('/OptimizationCache/v.1.0/Images', function (req, res) {
+        try {
+            if (typeof req.query.gpu !== 'string' || typeof req.query.gameId !== 'string') {
+                throw jsonLines.invalidArgument('Expected "gpu" and "gameId"');
+            }
+            jsonLines.replyWithJson(res, { images: ReadImages(req.query.gpu, req.query.gameId) });
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'OptimizationCache');
+        }
+    });
+
+    app.post('/OptimizationCache/v.1.0/Export', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                var directory = body && body.directory;
+                if (directory === undefined) {
+                    directory = directoryPath;
+                    fs.mkdirSync(directory, { recursive: true });
+                }
+                if (typeof directory !== 'string' || !path.isAbsolute(directory) || !fs.statSync(directory).isDirectory()) {
+                    throw jsonLines.invalidArgument('Expected the absolute path of an existing directory');
+                }
+
+                var entries = ReadEntries().map(function (entry) {
+                    entry.images = ReadImages(entry.gpu, entry.gameId);
+                    return entry;
+                });
+                var exportPath = path.join(directory,
+                    'optimization-cache-' + new Date().toISOString().replace(/[:.]/g, '-') + '.json');
+                fs.writeFileSync(exportPath, JSON.stringify({
+                    format: snapshotFormat,
+                    version: 1,
+                    exported: new Date().toISOString(),
+                    entries: entries
+                }), { flag: 'wx' });
+
+                logger.info('OptimizationCache: exported ' + entries.length + ' game(s) to ' + exportPath);
+                jsonLines.replyWithJson(res, { path: exportPath, count: entries.length });
+            }
+            catch (err) {
+                if (err.code === 'ENOENT') {
+                    err = jsonLines.invalidArgument('Expected the absolute path of an existing directory');
+                }
+                jsonLines.replyWithError(res, err, logger, 'OptimizationCache');
+            }
+        });
+    });
+
+    app.post('/OptimizationCache/v.1.0/Import', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                if (!body || typeof body.path !== 'string' || !fs.statSync(body.path).isFile()) {
+                    throw jsonLines.invalidArgument('Expected an existing file');
+                }
+                var result = ImportSnapshot(body.path);
+                logger.info('OptimizationCache: imported ' + result.imported + ' game(s) from ' + body.path +
+                    ', skipped ' + result.skipped);
+                jsonLines.replyWithJson(res, result);
+            }
+            catch (err) {
+                if (err.code === 'ENOENT') {
+                    err = jsonLines.invalidArgument('Expected an existing file');
+                }
+                jsonLines.replyWithError(res, err, logger, 'OptimizationCache');
+            }
+        });
+    });
+
+    //! Imports the bundled snapshot unless it is the one imported last time,
+    //! whose modification time and size are kept in bundled-import.json.
+    function ImportBundledSnapshot() {
+        var stat;
+        try {
+            stat = fs.statSync(bundledSnapshotPath);
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('OptimizationCache: failed to read ' + bundledSnapshotPath + ': ' + err.message);
+            }
+            return;
+        }
+
+        var markerPath = path.join(directoryPath, 'bundled-import.json');
+        var marker = { mtimeMs: stat.mtimeMs, size: stat.size };
+        var imported = ReadJson(markerPath);
+        if (imported && imported.mtimeMs === marker.mtimeMs && imported.size === marker.size) {
+            logger.info('OptimizationCache: the bundled snapshot is already imported');
+            return;
+        }
+
+        try {
+            var result = ImportSnapshot(bundledSnapshotPath);
+            fs.mkdirSync(directoryPath, { recursive: true });
+            fs.writeFileSync(markerPath, JSON.stringify(marker));
+            logger.info('OptimizationCache: imported ' + result.imported + ' game(s) from the bundled snapshot');
+        }
+        catch (err) {
+            // A bad snapshot must not keep the cache from working.
+            logger.error('OptimizationCache: failed to import ' + bundledSnapshotPath + ': ' + err.message);
+        }
+    }
+
+    return {
+        initialize: function () {
+            if (bundledSnapshotPath) {
+                bundledImportTimer = setTimeout(function () {
+                    bundledImportTimer = undefined;
+                    ImportBundledSnapshot();
+                }, bundledImportDelayMs);
+                bundledImportTimer.unref();
+            }
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+            // Files are written synchronously, only image downloads may be
+            // pending and their entries are then not saved.
+            clearTimeout(bundledImportTimer);
+            bundledImportTimer = undefined;
+        }
+    };
+};
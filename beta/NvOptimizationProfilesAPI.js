@@ -0,0 +1,120 @@
+'use strict'
+
+//
+// Optimization profile files.
+//
+// The BaiGfe patched UI exports the optimization settings of the games
+// (custom slider positions, resolution, display mode, FPS targets) and the
+// Whisper mode, Battery Boost and performance mode states as a JSON profile,
+// to be imported on other PCs. NvNode reads and writes the files for it:
+//
+//     POST /OptimizationProfiles/v.1.0/Export  writes "profile" to a new file
+//                                              in "directory", an absolute
+//                                              path, by default the
+//                                              OptimizationProfiles appdata
+//                                              directory. An existing file is
+//                                              never replaced.
+//     POST /OptimizationProfiles/v.1.0/Import  reads the profile file at
+//                                              "path".
+//
+// Only the file format is checked here, the UI checks the settings against
+// the games of the PC.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var jsonLines = require('./NvJsonLines.js');
+
+const version = '1.0.0';
+
+const profileFormat = 'baiGfe.optimizationProfile';
+
+const maxProfileBytes = 1024 * 1024;
+
+module.exports = function (app, io, logger, directoryPath) {
+
+    function CheckProfile(profile) {
+        if (!profile || profile.format !== profileFormat || !Array.isArray(profile.games)) {
+            throw jsonLines.invalidArgument('Expected an optimization profile');
+        }
+        return profile;
+    }
+
+    app.post('/OptimizationProfiles/v.1.0/Export', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                var profile = CheckProfile(body && body.profile);
+                var directory = body.directory;
+                if (directory === undefined) {
+                    directory = directoryPath;
+                    fs.mkdirSync(directory, { recursive: true });
+                }
+                if (typeof directory !== 'string' || !path.isAbsolute(directory) || !fs.statSync(directory).isDirectory()) {
+                    throw jsonLines.invalidArgument('Expected the absolute path of an existing directory');
+                }
+
+                var exportPath = path.join(directory,
+                    'optimization-profile-' + new Date().toISOString().replace(/[:.]/g, '-') + '.json');
+                fs.writeFileSync(exportPath, JSON.stringify(profile, null, 2) + '\n', { flag: 'wx' });
+
+                logger.info('OptimizationProfiles: exported ' + profile.games.length + ' game(s) to ' + exportPath);
+                jsonLines.replyWithJson(res, { path: exportPath, count: profile.games.length });
+            }
+            catch (err) {
+                if (err.code === 'ENOENT') {
+                    err = jsonLines.invalidArgument('Expected the absolute path of an existing directory');
+                }
+                jsonLines.replyWithError(res, err, logger, 'OptimizationProfiles');
+            }
+        });
+    });
+
+    app.post('/OptimizationProfiles/v.1.0/Import', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                if (!body || typeof body.path !== 'string' || !fs.statSync(body.path).isFile()) {
+                    throw jsonLines.invalidArgument('Expected an existing file');
+                }
+                if (fs.statSync(body.path).size > maxProfileBytes) {
+                    throw jsonLines.invalidArgument('The file is too large for an optimization profile');
+                }
+
+                var profile;
+                try {
+                    // Notepad may save the file with a byte order mark.
+                    profile = JSON.parse(fs.readFileSync(body.path, 'utf8').replace(/^\uFEFF/, ''));
+                }
+                catch (parseErr) {
+                    throw jsonLines.invalidArgument('Expected an optimization profile');
+                }
+                CheckProfile(profile);
+
+                logger.info('OptimizationProfiles: read ' + profile.games.length + ' game(s) from ' + body.path);
+                jsonLines.replyWithJson(res, profile);
+            }
+            catch (err) {
+                if (err.code === 'ENOENT') {
+                    err = jsonLines.invalidArgument('Expected an existing file');
+                }
+                jsonLines.replyWithError(res, err, logger, 'OptimizationProfiles');
+            }
+        });
+    });
+
+    return {
+        initialize: function () {
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+            // Files are written synchronously, nothing is pending.
+        }
+    };
+};
@@ -0,0 +1,96 @@
+'use strict'
+
+//
+// Runtime and platform of NvNode.
+//
+// GFE ships NvNode with Node v11.13.0 and native modules (.node files) built
+// for it, next to index.js. NvNode runs on any Node from minimumNodeVersion.
+// Without GFE, e.g. on Linux, the NVNODE_STUBS environment variable names a
+// folder of JavaScript files standing in for the NVIDIA modules (see
+// stubs/NvUtil.js): a file there replaces the module of the same name, a
+// ".node" module by the ".js" file of the same base name.
+//
+//     NVNODE_STUBS=stubs LOCALAPPDATA=/tmp/appdata node NvNode_index.js
+//
+
+var fs = require('fs');
+var path = require('path');
+
+const minimumNodeVersion = '11.13.0';
+
+// Node version shipped with GFE.
+const bundledNodeVersion = '11.13.0';
+
+//! Compares two "major.minor.patch" versions, with or without leading "v".
+function CompareVersions(a, b) {
+    var aParts = a.replace(/^v/, '').split(/[.-]/);
+    var bParts = b.replace(/^v/, '').split(/[.-]/);
+    for (var i = 0; i < 3; i++) {
+        var difference = (parseInt(aParts[i], 10) || 0) - (parseInt(bParts[i], 10) || 0);
+        if (difference) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+//! Throws if the given Node version, process.version by default, is older
+//! than minimumNodeVersion.
+function CheckRuntime(version) {
+    version = version || process.version;
+    if (CompareVersions(version, minimumNodeVersion) < 0) {
+        throw new Error('nodejs version ' + minimumNodeVersion + ' or later is required, you are using ' + version);
+    }
+}
+
+//! True on the Node version shipped with GFE, process.version by default.
+function IsBundledRuntime(version) {
+    return CompareVersions(version || process.version, bundledNodeVersion) === 0;
+}
+
+//! directoryPath  folder of index.js and of the NVIDIA modules.
+//! stubsPath      optional folder of the stub modules, see above.
+function CreatePlatform(directoryPath, stubsPath) {
+
+    function StubPath(fileName) {
+        if (!stubsPath) {
+            return undefined;
+        }
+        var stubPath = path.resolve(stubsPath, fileName.replace(/\.node$/, '.js'));
+        return fs.existsSync(stubPath) ? stubPath : undefined;
+    }
+
+    return {
+        directoryPath: directoryPath,
+
+        stubsPath: stubsPath,
+
+        //! Returns the path of a file next to index.js.
+        filePath: function (fileName) {
+            return path.join(directoryPath, fileName);
+        },
+
+        //! Returns the path of the module loaded for fileName: its stub if
+        //! there is one, else the file next to index.js.
+        modulePath: function (fileName) {
+            return StubPath(fileName) || path.join(directoryPath, fileName);
+        },
+
+        isStub: function (fileName) {
+            return StubPath(fileName) !== undefined;
+        },
+
+        //! Loads an NVIDIA module, e.g. 'NvUtil.node' or 'NvBackendAPI.js'.
+        require: function (fileName) {
+            return require(this.modulePath(fileName));
+        }
+    };
+}
+
+module.exports = {
+    minimumNodeVersion: minimumNodeVersion,
+    compareVersions: CompareVersions,
+    checkRuntime: CheckRuntime,
+    isBundledRuntime: IsBundledRuntime,
+    createPlatform: CreatePlatform
+};
@@ -0,0 +1,77 @@
+'use strict'
+
+//
+// Security cookie and CORS origins of NvNode.
+//
+// NvNode only answers requests carrying its security cookie (the
+// X_LOCAL_SECURITY_COOKIE header, or query parameter of a Socket.IO
+// handshake), which it writes with its port to the run file nodejs.json for
+// the UI. The cookie is generated once per NvNode start: GFE's UI reads it
+// once, so a new cookie only comes with a restart of NvNode. Settings, in
+// NvNodeSecurity.json next to index.js, every one optional:
+//
+//     {
+//         "allowedOrigins": ["null"]    // CORS origins; the UI, loaded from file:// by
+//                                       // CEF, sends "null"
+//     }
+//
+
+var fs = require('fs');
+
+const defaultSettings = {
+    allowedOrigins: ['null']
+};
+
+//! Reads the settings file. A missing file gives the default settings, an
+//! invalid one is logged and ignored.
+function ReadSettings(filePath, logger) {
+    var settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.error('Ignoring security settings ' + filePath + ': ' + err.message);
+        }
+        return Object.assign({}, defaultSettings);
+    }
+
+    var valid = settings && typeof settings === 'object' && !Array.isArray(settings) &&
+        (settings.allowedOrigins === undefined || (Array.isArray(settings.allowedOrigins) &&
+            settings.allowedOrigins.every(function (origin) {
+                return typeof origin === 'string';
+            })));
+
+    if (!valid) {
+        logger.error('Ignoring security settings ' + filePath + ': invalid value');
+        return Object.assign({}, defaultSettings);
+    }
+    return Object.assign({}, defaultSettings, settings);
+}
+
+//! cookie is the security cookie of this NvNode start, registered as logger
+//! secret, see NvLogger.js.
+function CreateSecurity(settings, cookie, logger) {
+
+    logger.addSecret(cookie);
+
+    return {
+        settings: settings,
+
+        cookie: function () {
+            return cookie;
+        },
+
+        acceptsCookie: function (value) {
+            return typeof value === 'string' && value !== '' && value === cookie;
+        },
+
+        isOriginAllowed: function (origin) {
+            return settings.allowedOrigins.indexOf(origin) >= 0;
+        }
+    };
+}
+
+module.exports = {
+    readSettings: ReadSettings,
+    createSecurity: CreateSecurity
+};
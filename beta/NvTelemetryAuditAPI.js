@@ -0,0 +1,141 @@
+'use strict'
+
+//
+// Telemetry audit log.
+//
+// Stores the telemetry events captured by the BaiGfe patched UI (telemetry.mode
+// "capture") in rolling JSON-lines files (see NvJsonLines.js), and lists and
+// exports them:
+//
+//     POST /TelemetryAudit/v.1.0/Events  appends a JSON array of events.
+//     GET  /TelemetryAudit/v.1.0/Events  lists the events. Query parameters:
+//                                        event, originalService, search, and
+//                                        limit (only the last N events).
+//     POST /TelemetryAudit/v.1.0/Export  writes the events matching "filter"
+//                                        to a new file in "directory", an
+//                                        absolute path. An existing file is
+//                                        never replaced.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var jsonLines = require('./NvJsonLines.js');
+
+const version = '1.0.0';
+
+module.exports = function (app, io, logger, directoryPath) {
+
+    var auditFile = jsonLines.createRollingFile(directoryPath, 'telemetry-audit');
+
+    //! Returns every stored event, oldest first.
+    function ReadEvents() {
+        return auditFile.read(function (filePath) {
+            logger.error('TelemetryAudit: skipping invalid line in ' + filePath);
+        });
+    }
+
+    function Matches(event, filter) {
+        if (filter.event && event.event !== filter.event) {
+            return false;
+        }
+        if (filter.originalService && event.originalService !== filter.originalService) {
+            return false;
+        }
+        if (filter.search && JSON.stringify(event).toLowerCase().indexOf(String(filter.search).toLowerCase()) < 0) {
+            return false;
+        }
+        return true;
+    }
+
+    function DistinctValues(events, key) {
+        var values = [];
+        events.forEach(function (event) {
+            if (event[key] !== undefined && values.indexOf(event[key]) < 0) {
+                values.push(event[key]);
+            }
+        });
+        return values.sort();
+    }
+
+    app.post('/TelemetryAudit/v.1.0/Events', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, events) {
+            try {
+                if (err) throw err;
+                if (!Array.isArray(events)) {
+                    throw jsonLines.invalidArgument('Expected an array of events');
+                }
+                auditFile.append(events);
+                res.writeHead(200);
+                res.end();
+            }
+            catch (err) {
+                jsonLines.replyWithError(res, err, logger, 'TelemetryAudit');
+            }
+        });
+    });
+
+    app.get('/TelemetryAudit/v.1.0/Events', function (req, res) {
+        try {
+            var events = ReadEvents();
+            var matching = events.filter(function (event) {
+                return Matches(event, req.query);
+            });
+            var limit = parseInt(req.query.limit, 10);
+
+            jsonLines.replyWithJson(res, {
+                events: limit > 0 ? matching.slice(-limit) : matching,
+                total: matching.length,
+                eventNames: DistinctValues(events, 'event'),
+                services: DistinctValues(events, 'originalService')
+            });
+        }
+        catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'TelemetryAudit');
+        }
+    });
+
+    app.post('/TelemetryAudit/v.1.0/Export', function (req, res) {
+        jsonLines.readJsonBody(req, function (err, body) {
+            try {
+                if (err) throw err;
+                if (!body || typeof body.directory !== 'string' || !path.isAbsolute(body.directory) ||
+                    !fs.statSync(body.directory).isDirectory()) {
+                    throw jsonLines.invalidArgument('Expected the absolute path of an existing directory');
+                }
+
+                var matching = ReadEvents().filter(function (event) {
+                    return Matches(event, body.filter || {});
+                });
+                var exportPath = path.join(body.directory,
+                    'telemetry-audit-' + new Date().toISOString().replace(/[:.]/g, '-') + '.jsonl');
+                fs.writeFileSync(exportPath, matching.map(function (event) {
+                    return JSON.stringify(event) + '\n';
+                }).join(''), { flag: 'wx' });
+
+                logger.info('TelemetryAudit: exported ' + matching.length + ' event(s) to ' + exportPath);
+                jsonLines.replyWithJson(res, { path: exportPath, count: matching.length });
+            }
+            catch (err) {
+                if (err.code === 'ENOENT') {
+                    err = jsonLines.invalidArgument('Expected the absolute path of an existing directory');
+                }
+                jsonLines.replyWithError(res, err, logger, 'TelemetryAudit');
+            }
+        });
+    });
+
+    return {
+        initialize: function () {
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+            // Events are written synchronously, nothing is pending.
+        }
+    };
+};
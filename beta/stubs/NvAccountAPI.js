@@ -0,0 +1,11 @@
+'use strict'
+
+//
+// Stand-in for NvAccountAPI.js, see StubModule.js.
+//
+
+var stubModule = require('./StubModule.js');
+
+module.exports = function () {
+    return stubModule();
+};
@@ -0,0 +1,17 @@
+'use strict'
+
+//
+// Stand-in for NvAutoDownload.js, see StubModule.js. Unlike the other modules
+// it is an object, initialized with its dependencies.
+//
+
+var stubModule = require('./StubModule.js');
+
+module.exports = stubModule({
+    setAppDataPath: function (appDataPath) {
+    },
+
+    initialize: function (app, io, logger) {
+        return Promise.resolve();
+    }
+});
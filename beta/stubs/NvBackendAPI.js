@@ -0,0 +1,20 @@
+'use strict'
+
+//
+// Stand-in for NvBackendAPI.js, see StubModule.js. Crash reports are logged,
+// never sent.
+//
+
+var stubModule = require('./StubModule.js');
+
+module.exports = function (httpServer, app, io, logger) {
+    return stubModule({
+        addNodeJSCrashFeedbackSync: function (message) {
+            logger.info('NvBackendAPI stub: not sending feedback: ' + message);
+            return 'NvBackendAPI is a stub';
+        },
+
+        notifyUiLanguageChange: function (language) {
+        }
+    });
+};
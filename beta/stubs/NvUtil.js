@@ -0,0 +1,74 @@
+'use strict'
+
+//
+// Stand-in for NvUtil.node, the native utilities of NvNode, for running
+// NvNode without GFE (see NvPlatform.js). No NVIDIA service is needed: the
+// services are reported running, the signatures are not checked.
+//
+//     LOCALAPPDATA    appdata folder, ~/.local/share by default
+//     NVNODE_PORT     port to listen on, any free port by default
+//     NVNODE_SECURITY "0" accepts requests without the security cookie
+//     NVNODE_LANGUAGE initial UI language, en-US by default
+//
+
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+
+// SERVICE_RUNNING and SERVICE_AUTO_START.
+const runningService = { state: 4, startupType: 2 };
+
+var language = process.env.NVNODE_LANGUAGE || 'en-US';
+
+module.exports = {
+    ClaimSingleInstance: function () {
+    },
+
+    GetLocalAppdataPath: function () {
+        return process.env.LOCALAPPDATA || path.join(os.homedir(), '.local', 'share');
+    },
+
+    GetSystemServiceStatus: function (serviceName) {
+        return Object.assign({}, runningService);
+    },
+
+    StartSystemService: function (serviceName, timeoutMs) {
+    },
+
+    WaitSystemService: function (serviceName) {
+    },
+
+    IsSecurityCheckEnabled: function () {
+        return process.env.NVNODE_SECURITY !== '0';
+    },
+
+    GenerateRandom: function (byteCount) {
+        return crypto.randomBytes(byteCount).toString('hex');
+    },
+
+    VerifyFileSignatureSync: function (filePath) {
+    },
+
+    GetPortOverride: function () {
+        return parseInt(process.env.NVNODE_PORT, 10) || 0;
+    },
+
+    ConfirmInitialization: function () {
+    },
+
+    //! The callback is never called: stop NvNode with SIGINT or SIGTERM.
+    SetExitCallback: function (callback) {
+    },
+
+    GetGFE3BetaFlagSync: function () {
+        return false;
+    },
+
+    GetLanguage: function () {
+        return language;
+    },
+
+    SaveLanguage: function (value) {
+        language = value;
+    }
+};
@@ -0,0 +1,27 @@
+'use strict'
+
+//
+// Stand-in for an NVIDIA module of NvNode (see NvPlatform.js): it serves no
+// route, initializes and cleans up right away.
+//
+
+const version = '0.0.0-stub';
+
+//! Returns a module with the given methods added.
+module.exports = function (methods) {
+    return Object.assign({
+        initialize: function () {
+            return Promise.resolve();
+        },
+
+        version: function () {
+            return version;
+        },
+
+        cleanup: function () {
+        },
+
+        Cleanup: function () {
+        }
+    }, methods);
+};
@@ -0,0 +1,67 @@
+'use strict'
+
+////////////////////////////////////////////////////////////////////////////////
+// BaiGfe fingerprint                                                         //
+//                                                                            //
+// Tells which known GFE build an app.js is and whether it is patched.        //
+//                                                                            //
+// Usage: node patcher/fingerprint.js <app.js>                                //
+//        node patcher/fingerprint.js --record <version> <app-orig.js>        //
+//                                                                            //
+// Exit codes: 0 known build, 1 error, 3 unknown build. Deployment scripts    //
+// must not overwrite an app.js that exits with 3.                            //
+////////////////////////////////////////////////////////////////////////////////
+
+var fs = require('fs');
+var path = require('path');
+
+var fingerprint = require('./lib/fingerprint.js');
+
+var baselinesPath = path.join(__dirname, 'baselines.json');
+
+var exitUnknownBuild = 3;
+
+function Record(version, filePath) {
+    var baselines = JSON.parse(fs.readFileSync(baselinesPath, 'utf8'));
+    var baseline = fingerprint.createBaseline(version, fs.readFileSync(filePath, 'utf8'));
+
+    baselines = baselines.filter(function (existing) {
+        return existing.version !== version;
+    });
+    baselines.push(baseline);
+    baselines.sort(function (a, b) {
+        return a.version.localeCompare(b.version, 'en', { numeric: true });
+    });
+
+    fs.writeFileSync(baselinesPath, JSON.stringify(baselines, null, 2) + '\n');
+    console.log('Recorded ' + version + ' (' + baseline.moduleHashes.filter(Boolean).length + ' modules)');
+    return 0;
+}
+
+function Report(filePath) {
+    var report = fingerprint.fingerprint(fs.readFileSync(filePath, 'utf8'));
+    console.log(JSON.stringify(report, null, 2));
+    return report.version ? 0 : exitUnknownBuild;
+}
+
+function Main(argv) {
+    try {
+        if (argv[0] === '--record' && argv.length === 3) {
+            return Record(argv[1], argv[2]);
+        }
+        if (argv.length === 1) {
+            return Report(argv[0]);
+        }
+    } catch (err) {
+        console.error(err instanceof SyntaxError ? 'Not a parsable app.js: ' + err.message : err.stack);
+        return 1;
+    }
+
+    console.error('Usage: node patcher/fingerprint.js <app.js>');
+    console.error('       node patcher/fingerprint.js --record <version> <app-orig.js>');
+    return 1;
+}
+
+if (require.main === module) {
+    process.exitCode = Main(process.argv.slice(2));
+}
@@ -0,0 +1,101 @@
+'use strict'
+
+////////////////////////////////////////////////////////////////////////////////
+// BaiGfe patcher                                                             //
+//                                                                            //
+// Applies the login bypass to an unmodified GFE www\app.js, minified or      //
+// beautified, without relying on the minified variable letters.              //
+//                                                                            //
+// Usage: node patcher/index.js [--profile profile.json]                      //
+//                              [--config config.json] <app.js> [output.js]   //
+////////////////////////////////////////////////////////////////////////////////
+
+var fs = require('fs');
+var path = require('path');
+
+var bundle = require('./lib/bundle.js');
+var edits = require('./lib/edits.js');
+var config = require('./lib/config.js');
+var profile = require('./lib/profile.js');
+var patches = require('./patches/index.js');
+
+// Errors caused by the input rather than by a bug, reported without a stack trace.
+var expectedErrors = ['PATCH_POINT_NOT_FOUND', 'INVALID_PROFILE', 'INVALID_CONFIG'];
+
+var usage = 'Usage: node patcher/index.js [--profile profile.json] [--config config.json] <app.js> [output.js]';
+
+//! Patches the given app.js source and returns the patched source.
+//! Options:
+//!   profile  identity of the anonymous session (see lib/profile.js).
+//!   config   patcher configuration (see lib/config.js).
+//! Throws an error with code PATCH_POINT_NOT_FOUND if any patch point is missing;
+//! nothing is written in that case.
+function patchSource(source, options) {
+    options = Object.assign({ profile: {}, config: config.defaultConfig() }, options);
+
+    var parsed = bundle.parse(source);
+    var collected = [];
+
+    patches.forEach(function (patch) {
+        collected = collected.concat(patch.apply(parsed, options));
+    });
+
+    return edits.applyEdits(source, collected);
+}
+
+//! Splits the command line into options and positional arguments.
+function ParseArguments(argv) {
+    var parsed = { positional: [] };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--profile' && i + 1 < argv.length) {
+            parsed.profilePath = argv[++i];
+        } else if (argv[i] === '--config' && i + 1 < argv.length) {
+            parsed.configPath = argv[++i];
+        } else {
+            parsed.positional.push(argv[i]);
+        }
+    }
+    return parsed;
+}
+
+function Main(argv) {
+    var args = ParseArguments(argv);
+    if (args.positional.length < 1 || args.positional.length > 2) {
+        console.error(usage);
+        return 2;
+    }
+
+    var inputPath = args.positional[0];
+    var outputPath = args.positional[1] || path.join(path.dirname(inputPath), 'app-patched.js');
+
+    var patched;
+    try {
+        var options = {};
+        if (args.profilePath) {
+            options.profile = profile.loadProfile(args.profilePath);
+        }
+        if (args.configPath) {
+            options.config = config.loadConfig(args.configPath);
+        }
+        patched = patchSource(fs.readFileSync(inputPath, 'utf8'), options);
+    } catch (err) {
+        var expected = expectedErrors.indexOf(err.code) >= 0 || err instanceof SyntaxError;
+        console.error(expected ? err.message : err.stack);
+        return 1;
+    }
+
+    fs.writeFileSync(outputPath, patched);
+    patches.forEach(function (patch) {
+        console.log('Applied ' + patch.name + ': ' + patch.description);
+    });
+    console.log('Patched file written to ' + outputPath);
+    return 0;
+}
+
+module.exports = {
+    patchSource: patchSource
+};
+
+if (require.main === module) {
+    process.exitCode = Main(process.argv.slice(2));
+}
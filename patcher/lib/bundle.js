@@ -0,0 +1,133 @@
+'use strict'
+
+//
+// Parsing and lookup helpers for the webpack bundle GFE ships as www\app.js.
+//
+// Minified variable letters change with every GFE release, so patch points are
+// located by what the code does (controller names, property names, literals)
+// and never by the identifiers the minifier happened to pick.
+//
+
+var acorn = require('acorn');
+var walk = require('acorn-walk');
+
+function parse(source) {
+    var ast = acorn.parse(source, {
+        ecmaVersion: 2017,
+        sourceType: 'script',
+        allowReturnOutsideFunction: false
+    });
+
+    return { source: source, ast: ast };
+}
+
+//! Returns the source text covered by a node.
+function textOf(bundle, node) {
+    return bundle.source.slice(node.start, node.end);
+}
+
+//! Collects every node of the given type accepted by the predicate.
+//! Each match is returned together with its ancestor chain (outermost first).
+function findAll(root, type, predicate) {
+    var found = [];
+    var visitors = {};
+    visitors[type] = function (node, ancestors) {
+        if (!predicate || predicate(node, ancestors)) {
+            found.push({ node: node, ancestors: ancestors.slice(0, -1) });
+        }
+    };
+    walk.ancestor(root, visitors);
+    return found;
+}
+
+//! Matches both the minified (!0 / !1) and the literal (true / false) spelling of a boolean.
+function isBoolean(node, value) {
+    if (!node) {
+        return false;
+    }
+    if (node.type === 'Literal') {
+        return node.value === value;
+    }
+    return node.type === 'UnaryExpression' && node.operator === '!' &&
+        node.argument.type === 'Literal' && node.argument.value === (value ? 0 : 1);
+}
+
+function isPropertyNamed(node, name) {
+    return node && node.type === 'MemberExpression' && !node.computed &&
+        node.property.type === 'Identifier' && node.property.name === name;
+}
+
+//! Finds the injectable factory of an angular registration such as
+//! module.controller("OobeAuthController", ["$log", ..., function (e, t, ...) { ... }]).
+function findAngularFactory(bundle, kind, name) {
+    var matches = findAll(bundle.ast, 'CallExpression', function (node) {
+        var args = node.arguments;
+        return isPropertyNamed(node.callee, kind) &&
+            args.length === 2 &&
+            args[0].type === 'Literal' && args[0].value === name &&
+            args[1].type === 'ArrayExpression' &&
+            args[1].elements.length > 0 &&
+            args[1].elements[args[1].elements.length - 1].type === 'FunctionExpression';
+    });
+
+    if (matches.length !== 1) {
+        return null;
+    }
+
+    var elements = matches[0].node.arguments[1].elements;
+    var factory = elements[elements.length - 1];
+    var injections = elements.slice(0, -1).map(function (element) {
+        return element.value;
+    });
+
+    return { node: factory, injections: injections };
+}
+
+//! Returns the local name bound to an injected service inside a factory, e.g. "c" for "jarvisService".
+function injectedName(factory, serviceName) {
+    var index = factory.injections.indexOf(serviceName);
+    if (index < 0 || index >= factory.node.params.length) {
+        return null;
+    }
+    return factory.node.params[index].name;
+}
+
+//! Returns the name of the `var x = this` alias declared at the top level of a controller factory.
+function findThisAlias(fn) {
+    var statements = fn.body.body;
+    for (var i = 0; i < statements.length; i++) {
+        if (statements[i].type !== 'VariableDeclaration') {
+            continue;
+        }
+        var declarations = statements[i].declarations;
+        for (var j = 0; j < declarations.length; j++) {
+            if (declarations[j].init && declarations[j].init.type === 'ThisExpression') {
+                return declarations[j].id.name;
+            }
+        }
+    }
+    return null;
+}
+
+//! Returns the closest enclosing function of a match returned by findAll.
+function enclosingFunction(match) {
+    for (var i = match.ancestors.length - 1; i >= 0; i--) {
+        var type = match.ancestors[i].type;
+        if (type === 'FunctionExpression' || type === 'FunctionDeclaration') {
+            return match.ancestors[i];
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parse: parse,
+    textOf: textOf,
+    findAll: findAll,
+    isBoolean: isBoolean,
+    isPropertyNamed: isPropertyNamed,
+    findAngularFactory: findAngularFactory,
+    injectedName: injectedName,
+    findThisAlias: findThisAlias,
+    enclosingFunction: enclosingFunction
+};
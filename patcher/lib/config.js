@@ -0,0 +1,139 @@
+'use strict'
+
+//
+// Patcher configuration, read from a local JSON file (see config.example.json).
+//
+// Every section and setting is optional, missing ones keep the defaults below,
+// which leave GFE's own behavior unchanged.
+//
+
+var fs = require('fs');
+
+var defaults = {
+    telemetry: {
+        // 'allow' sends telemetry as GFE does, 'log' only writes it to the GFE
+        // log, 'capture' only writes it to NvNode's telemetry audit log,
+        // 'drop' discards it.
+        mode: 'allow',
+        // How the destination IP of telemetry-tracked requests is resolved:
+        // 'lookup' as GFE does, 'cached' once per host across sessions, 'off'
+        // never.
+        destinationIpLookup: 'lookup',
+        // false skips the lookup of hosts whose last request failed without
+        // an HTTP status, like hosts blocked in the hosts file.
+        lookupUnreachableHosts: true
+    },
+    tracing: {
+        // 'upstream' reports opentracing spans to NVIDIA as GFE does, 'local'
+        // only writes them to NvNode's spans file, 'off' disables tracing.
+        // Only 'upstream' adds trace headers to requests.
+        mode: 'upstream'
+    },
+    network: {
+        // Hosts the UI may reach with $http: 'open' all of them, 'lite' all
+        // but the telemetry and account ones, 'full' none of NVIDIA's (the
+        // README's LITE and FULL blocklists).
+        profile: 'open',
+        // Host rules applied on top of the profile, "*.example.com" matches
+        // example.com and its subdomains. allow wins over deny.
+        allow: [],
+        deny: []
+    },
+    pii: {
+        // true scrubs user profile paths, e-mail addresses and hardware
+        // identifiers from every log and feedback payload of the UI.
+        sanitize: false,
+        // More regular expressions (case insensitive) whose matches are
+        // scrubbed too.
+        patterns: []
+    }
+};
+
+var choices = {
+    'telemetry.mode': ['drop', 'log', 'capture', 'allow'],
+    'telemetry.destinationIpLookup': ['lookup', 'cached', 'off'],
+    'tracing.mode': ['off', 'local', 'upstream'],
+    'network.profile': ['full', 'lite', 'open']
+};
+
+// Settings holding regular expressions.
+var patterns = ['pii.patterns'];
+
+function InvalidConfig(message) {
+    var err = new Error('Invalid config: ' + message);
+    err.code = 'INVALID_CONFIG';
+    return err;
+}
+
+function IsObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+//! Returns a copy of the default configuration.
+function defaultConfig() {
+    return JSON.parse(JSON.stringify(defaults));
+}
+
+//! Checks a configuration object against the defaults and returns it merged with them.
+function validate(config) {
+    if (!IsObject(config)) {
+        throw InvalidConfig('expected a JSON object');
+    }
+
+    var merged = defaultConfig();
+    Object.keys(config).forEach(function (section) {
+        if (!(section in defaults)) {
+            throw InvalidConfig('unknown section "' + section + '", expected one of ' + Object.keys(defaults).join(', '));
+        }
+        if (!IsObject(config[section])) {
+            throw InvalidConfig('"' + section + '" must be an object');
+        }
+
+        Object.keys(config[section]).forEach(function (key) {
+            var setting = section + '.' + key;
+            var value = config[section][key];
+            if (!(key in defaults[section])) {
+                throw InvalidConfig('unknown setting "' + setting + '"');
+            }
+            if (Array.isArray(defaults[section][key])) {
+                if (!Array.isArray(value) || !value.every(function (item) { return typeof item === 'string' && item; })) {
+                    throw InvalidConfig('"' + setting + '" must be an array of non-empty strings');
+                }
+            } else if (typeof value !== typeof defaults[section][key]) {
+                throw InvalidConfig('"' + setting + '" must be a ' + typeof defaults[section][key]);
+            }
+            if (choices[setting] && choices[setting].indexOf(value) < 0) {
+                throw InvalidConfig('"' + setting + '" must be one of ' + choices[setting].join(', '));
+            }
+            if (patterns.indexOf(setting) >= 0) {
+                value.forEach(function (pattern) {
+                    try {
+                        new RegExp(pattern);
+                    } catch (err) {
+                        throw InvalidConfig('"' + setting + '": ' + err.message);
+                    }
+                });
+            }
+            merged[section][key] = value;
+        });
+    });
+
+    return merged;
+}
+
+//! Reads and validates a configuration file.
+function loadConfig(filePath) {
+    var config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw InvalidConfig(filePath + ': ' + err.message);
+    }
+    return validate(config);
+}
+
+module.exports = {
+    defaultConfig: defaultConfig,
+    validate: validate,
+    loadConfig: loadConfig
+};
@@ -0,0 +1,74 @@
+'use strict'
+
+//
+// Text edits against the original bundle source.
+//
+// Patches never regenerate code from the AST: they splice new text into the
+// original source at node offsets, so the untouched part of the bundle stays
+// byte-for-byte identical whether it is minified or beautified.
+//
+
+//! Creates an edit replacing [start, end) of the source with text.
+function replace(start, end, text) {
+    return { start: start, end: end, text: text };
+}
+
+//! Creates an edit inserting text at the given offset.
+function insert(offset, text) {
+    return { start: offset, end: offset, text: text };
+}
+
+//! Serializes plain data (objects, arrays, strings, numbers, booleans, null) as
+//! JavaScript source, keeping identifier-safe keys unquoted like the bundle does.
+function literal(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(literal).join(', ') + ']';
+    }
+    if (value !== null && typeof value === 'object') {
+        return '{' + Object.keys(value).filter(function (key) {
+            return value[key] !== undefined;
+        }).map(function (key) {
+            var property = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+            return property + ': ' + literal(value[key]);
+        }).join(', ') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+//! Concatenates two pieces of code, keeping them apart where the minifier
+//! dropped the whitespace: "return!0" must not become "returnb.handleLoggedIn(...)".
+function join(left, right) {
+    if (/[\w$]$/.test(left) && /^[\w$]/.test(right)) {
+        return left + ' ' + right;
+    }
+    return left + right;
+}
+
+function applyEdits(source, edits) {
+    var sorted = edits.slice().sort(function (a, b) {
+        return a.start - b.start || a.end - b.end;
+    });
+
+    for (var i = 1; i < sorted.length; i++) {
+        if (sorted[i].start < sorted[i - 1].end) {
+            var err = new Error('Overlapping edits at offsets ' + sorted[i - 1].start + ' and ' + sorted[i].start);
+            err.code = 'EDIT_OVERLAP';
+            throw err;
+        }
+    }
+
+    var output = '';
+    var position = 0;
+    sorted.forEach(function (edit) {
+        output += join(source.slice(position, edit.start), edit.text);
+        position = edit.end;
+    });
+    return join(output, source.slice(position));
+}
+
+module.exports = {
+    replace: replace,
+    insert: insert,
+    literal: literal,
+    applyEdits: applyEdits
+};
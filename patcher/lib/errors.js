@@ -0,0 +1,14 @@
+'use strict'
+
+//! Error raised when a patch cannot locate the code it is supposed to change.
+//! The bundle is either an unsupported GFE build or has already been modified.
+function patchPointNotFound(patchName, description) {
+    var err = new Error(patchName + ': could not find ' + description);
+    err.code = 'PATCH_POINT_NOT_FOUND';
+    err.patch = patchName;
+    return err;
+}
+
+module.exports = {
+    patchPointNotFound: patchPointNotFound
+};
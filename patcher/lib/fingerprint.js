@@ -0,0 +1,175 @@
+'use strict'
+
+//
+// Fingerprinting of app.js against the GFE builds we know how to patch.
+//
+// Hashes are computed over the token stream rather than the raw bytes, so a
+// beautified copy (jsbeautifier, app-orig-formatted.js) fingerprints the same
+// as the minified original. Every webpack module is also hashed on its own:
+// a patched bundle only differs in a handful of modules, which is enough to
+// tell which release it was made from.
+//
+
+var crypto = require('crypto');
+var acorn = require('acorn');
+
+var bundle = require('./bundle.js');
+var patches = require('../patches/index.js');
+
+var baselines = require('../baselines.json');
+
+// Share of identical modules above which a bundle is considered a modified copy of a baseline.
+var modifiedBuildThreshold = 0.95;
+
+function Sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function TokenKey(token) {
+    var value = token.value;
+    if (value && typeof value === 'object') {
+        value = '/' + value.pattern + '/' + value.flags;
+    }
+    return token.type.label + ':' + (value === undefined ? '' : String(value));
+}
+
+//! Returns the webpack modules of webpackJsonp([chunk], [modules]) as { id, node } pairs, holes excluded.
+function WebpackModules(parsed) {
+    var calls = parsed.ast.body.filter(function (statement) {
+        var expression = statement.expression;
+        return statement.type === 'ExpressionStatement' && expression.type === 'CallExpression' &&
+            expression.callee.type === 'Identifier' && expression.callee.name === 'webpackJsonp' &&
+            expression.arguments.length >= 2 && expression.arguments[1].type === 'ArrayExpression';
+    });
+    if (calls.length !== 1) {
+        return [];
+    }
+    var modules = [];
+    calls[0].expression.arguments[1].elements.forEach(function (element, id) {
+        if (element !== null) {
+            modules.push({ id: id, node: element });
+        }
+    });
+    return modules;
+}
+
+//! Computes the whole-bundle token hash and one short hash per webpack module id
+//! (null for the ids that are not part of this chunk).
+function hashBundle(parsed) {
+    var modules = WebpackModules(parsed);
+    var moduleHashes = modules.map(function () {
+        return crypto.createHash('sha256');
+    });
+    var whole = crypto.createHash('sha256');
+
+    var current = 0;
+    var tokenizer = acorn.tokenizer(parsed.source, { ecmaVersion: 2017 });
+    for (var token = tokenizer.getToken(); token.type !== acorn.tokTypes.eof; token = tokenizer.getToken()) {
+        var key = TokenKey(token) + '\n';
+        whole.update(key);
+
+        while (current < modules.length && token.start >= modules[current].node.end) {
+            current++;
+        }
+        if (current < modules.length && token.start >= modules[current].node.start) {
+            moduleHashes[current].update(key);
+        }
+    }
+
+    var byId = [];
+    modules.forEach(function (entry, index) {
+        while (byId.length < entry.id) {
+            byId.push(null);
+        }
+        byId.push(moduleHashes[index].digest('hex').slice(0, 8));
+    });
+
+    return {
+        tokenHash: whole.digest('hex'),
+        moduleHashes: byId
+    };
+}
+
+//! Finds the closest known baseline for the given hashes.
+function MatchBaseline(hashes) {
+    var best = null;
+
+    baselines.forEach(function (baseline) {
+        if (baseline.tokenHash === hashes.tokenHash) {
+            best = { version: baseline.version, exact: true, changedModules: [] };
+        }
+    });
+    if (best) {
+        return best;
+    }
+
+    baselines.forEach(function (baseline) {
+        if (baseline.moduleHashes.length !== hashes.moduleHashes.length) {
+            return;
+        }
+        var changed = [];
+        hashes.moduleHashes.forEach(function (hash, index) {
+            if (hash !== baseline.moduleHashes[index]) {
+                changed.push(index);
+            }
+        });
+        var similarity = 1 - changed.length / hashes.moduleHashes.filter(Boolean).length;
+        if (similarity >= modifiedBuildThreshold && (!best || changed.length < best.changedModules.length)) {
+            best = { version: baseline.version, exact: false, changedModules: changed };
+        }
+    });
+
+    return best;
+}
+
+//! Reports which known GFE build an app.js source is, which webpack module ids
+//! differ from it, whether it is patched and the state of each patch point
+//! ('unpatched', 'patched' or 'missing').
+function fingerprint(source) {
+    var report = {
+        sha256: Sha256(source),
+        tokenHash: null,
+        version: null,
+        exact: false,
+        changedModules: [],
+        patched: false,
+        patchPoints: {}
+    };
+
+    var parsed = bundle.parse(source);
+    var hashes = hashBundle(parsed);
+    report.tokenHash = hashes.tokenHash;
+
+    var match = MatchBaseline(hashes);
+    if (match) {
+        report.version = match.version;
+        report.exact = match.exact;
+        report.changedModules = match.changedModules;
+    }
+
+    patches.forEach(function (patch) {
+        report.patchPoints[patch.name] = patch.detect(parsed);
+    });
+    report.patched = Object.keys(report.patchPoints).some(function (name) {
+        return report.patchPoints[name] === 'patched';
+    });
+
+    return report;
+}
+
+//! Creates the baselines.json entry of an unmodified app.js.
+function createBaseline(version, source) {
+    var hashes = hashBundle(bundle.parse(source));
+    return {
+        version: version,
+        sha256: Sha256(source),
+        tokenHash: hashes.tokenHash,
+        moduleHashes: hashes.moduleHashes
+    };
+}
+
+module.exports = {
+    hashBundle: hashBundle,
+    fingerprint: fingerprint,
+    createBaseline: createBaseline
+};
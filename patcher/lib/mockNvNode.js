@@ -0,0 +1,465 @@
+'use strict'
+
+//
+// Mock NvNode: a pure JavaScript stand-in for beta/NvNode_index.js, without
+// native modules (NvUtil.node, NvBackendAPINode.node...) nor Windows services,
+// to load a patched app.js on any OS.
+//
+// It serves:
+//
+//     - NvNode's common endpoints: /version, /health, /beta, /threadpool, /up and
+//       /Settings/v.1.0/Language (GET, and POST with the Socket.IO broadcast),
+//       /Settings/v.1.0/Languages
+//     - the pure JavaScript modules of beta/ (NvTelemetryAuditAPI.js,
+//       NvLocalTracingAPI.js, NvOptimizationProfilesAPI.js,
+//       NvOptimizationCacheAPI.js, NvDriverPackagesAPI.js), writing to a data
+//       directory
+//     - recorded fixtures for the native module APIs (NvBackendAPI,
+//       NvAccountAPI, DriverInstallAPI, downloader, NvGameStreamAPI,
+//       NvShadowPlayAPI...)
+//
+// A fixture is a JSON file answering one request:
+//
+//     {
+//         "method": "GET",
+//         "path": "/Some/v.1.0/Route",
+//         "status": 200,
+//         "headers": { "Content-Type": "application/json" },
+//         "body": { ... }
+//     }
+//
+// "body" is the parsed JSON answer, or a string for other answers. Requests
+// without a fixture get a 404 and are logged. When recording, they are
+// forwarded to a real NvNode instead, and its answers saved as fixtures,
+// sanitized with the rules of runtime/piiSanitizer.js (user profile paths,
+// e-mail addresses, serials and other identifiers, GPU UUIDs, MAC addresses)
+// so that they can be committed.
+//
+// Requests need the X_LOCAL_SECURITY_COOKIE header, and Socket.IO connections
+// the X_LOCAL_SECURITY_COOKIE query parameter, as with NvNode; the cookie and
+// port are written to a run file like NvNode's nodejs.json.
+//
+
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+
+var express = require('express');
+var socketIo = require('socket.io');
+
+const version = '1.0.0';
+
+const betaDirectoryPath = path.join(__dirname, '..', '..', 'beta');
+
+var jsonLines = require(path.join(betaDirectoryPath, 'NvJsonLines.js'));
+var nvLocales = require(path.join(betaDirectoryPath, 'NvLocales.js'));
+
+// Pure JavaScript modules of beta/, loaded as NvNode does, with a directory
+// for those that write files.
+const jsModules = [
+    { name: 'NvTelemetryAuditAPI', file: 'NvTelemetryAuditAPI.js', directory: 'TelemetryAudit' },
+    { name: 'NvLocalTracingAPI', file: 'NvLocalTracingAPI.js', directory: 'Tracing' },
+    { name: 'NvOptimizationProfilesAPI', file: 'NvOptimizationProfilesAPI.js', directory: 'OptimizationProfiles' },
+    { name: 'NvOptimizationCacheAPI', file: 'NvOptimizationCacheAPI.js', directory: 'OptimizationCache' },
+    { name: 'NvDriverPackagesAPI', file: 'NvDriverPackagesAPI.js' }
+];
+
+// Headers of a recorded answer that are kept in its fixture.
+const recordedHeaders = ['content-type', 'cache-control'];
+
+// Rules of runtime/piiSanitizer.js, applied to the recorded answers.
+const separator = '(?:\\\\\\\\|\\\\|/)';
+const sanitizeRules = [
+    {
+        pattern: new RegExp('((?:[A-Z]:' + separator + '|\\\\\\\\|\\\\)(?:Users|Documents and Settings)' + separator + ')' +
+            '(?!<user>)[^\\\\/"\'<>:|?*\\r\\n]+', 'gi'),
+        replacement: '$1<user>'
+    },
+    {
+        pattern: /[A-Z0-9._%+-]+@(?:[A-Z0-9-]+\.)+(?!(?:png|jpe?g|gif|svg|webp|bmp|ico|js|css|json|html?|map|woff2?|ttf|mp4|webm)\b)[A-Z]{2,}\b/gi,
+        replacement: '<email>'
+    },
+    {
+        pattern: /\bGPU-[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}\b/gi,
+        replacement: 'GPU-<redacted>'
+    },
+    {
+        pattern: /\b(?:[0-9A-F]{2}[:-]){5}[0-9A-F]{2}\b/gi,
+        replacement: '<mac>'
+    }
+];
+
+// Object keys whose values are replaced whatever they look like.
+const identifierKey = /^(?:\w*serial\w*|\w*uuid|\w*guid|macAddress|deviceId|telemetryDeviceId|machineId|userId|\w*token|\w*secret|\w*cookie)$/i;
+
+//! Returns a copy of a recorded body without personal data, the values of
+//! identifier keys replaced whatever they look like.
+function sanitizeBody(value) {
+    if (typeof value === 'string') {
+        return sanitizeRules.reduce(function (text, rule) {
+            return text.replace(rule.pattern, rule.replacement);
+        }, value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(sanitizeBody);
+    }
+    if (value !== null && typeof value === 'object') {
+        var copy = {};
+        Object.keys(value).forEach(function (key) {
+            var isIdentifier = identifierKey.test(key) && value[key] !== null && typeof value[key] !== 'object';
+            copy[key] = isIdentifier ? '<redacted>' : sanitizeBody(value[key]);
+        });
+        return copy;
+    }
+    return value;
+}
+
+function InvalidFixture(filePath, message) {
+    var err = new Error('Invalid fixture ' + filePath + ': ' + message);
+    err.code = 'INVALID_FIXTURE';
+    return err;
+}
+
+function FixtureKey(method, routePath) {
+    return method.toUpperCase() + ' ' + routePath;
+}
+
+//! Returns the file name of a fixture, like GET_Some_v.1.0_Route.json.
+function FixtureFileName(method, routePath) {
+    return method.toUpperCase() + routePath.replace(/[^A-Za-z0-9.-]+/g, '_') + '.json';
+}
+
+//! Reads the fixtures of a directory, keyed by "METHOD /path".
+function loadFixtures(directoryPath) {
+    var fixtures = {};
+
+    fs.readdirSync(directoryPath).filter(function (name) {
+        return path.extname(name) === '.json';
+    }).forEach(function (name) {
+        var filePath = path.join(directoryPath, name);
+        var fixture;
+        try {
+            fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            throw InvalidFixture(filePath, err.message);
+        }
+        if (!fixture || typeof fixture.method !== 'string' || typeof fixture.path !== 'string' || fixture.path[0] !== '/') {
+            throw InvalidFixture(filePath, 'expected "method" and an absolute "path"');
+        }
+        if (fixture.status !== undefined && !Number.isInteger(fixture.status)) {
+            throw InvalidFixture(filePath, '"status" must be an integer');
+        }
+        fixtures[FixtureKey(fixture.method, fixture.path)] = fixture;
+    });
+
+    return fixtures;
+}
+
+//! Writes a fixture to the directory, replacing the one of the same request.
+function saveFixture(directoryPath, fixture) {
+    var filePath = path.join(directoryPath, FixtureFileName(fixture.method, fixture.path));
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2) + '\n');
+    return filePath;
+}
+
+//! Returns a logger writing to the console, debug messages only when verbose.
+function consoleLogger(verbose) {
+    function Format(args) {
+        return Array.prototype.map.call(args, function (arg) {
+            return arg instanceof Error ? arg.stack : typeof arg === 'string' ? arg : JSON.stringify(arg);
+        }).join(' ');
+    }
+
+    return {
+        debug: function () {
+            if (verbose) {
+                console.log('[debug] ' + Format(arguments));
+            }
+        },
+        info: function () {
+            console.log('[info] ' + Format(arguments));
+        },
+        error: function () {
+            console.error('[error] ' + Format(arguments));
+        }
+    };
+}
+
+//! Creates a mock NvNode, not listening yet. Options:
+//!   fixturesPath   directory of the fixtures (optional).
+//!   recordRunFile  run file (nodejs.json) of a real NvNode to forward the
+//!                  requests without fixture to, saving its answers to
+//!                  fixturesPath (optional).
+//!   dataPath       directory of the beta/ modules files (default: a
+//!                  baigfe-mock-nvnode directory in the OS temp directory).
+//!   wwwPath        directory served as is, without security cookie, like a
+//!                  copy of GFE's www folder (optional).
+//!   language       initial UI language (default: en-US).
+//!   security       false accepts requests without security cookie.
+//!   logger         {debug, info, error} (default: the console).
+//! Returns {app, io, httpServer, listen(port, host, runFile), close()}.
+function createMockNvNode(options) {
+    options = Object.assign({
+        dataPath: path.join(os.tmpdir(), 'baigfe-mock-nvnode'),
+        language: 'en-US',
+        security: true
+    }, options);
+
+    var logger = options.logger || consoleLogger(false);
+    var fixtures = options.fixturesPath ? loadFixtures(options.fixturesPath) : {};
+    var upstream = options.recordRunFile ? JSON.parse(fs.readFileSync(options.recordRunFile, 'utf8')) : null;
+    if (upstream && !options.fixturesPath) {
+        throw new Error('Recording needs a fixtures directory');
+    }
+
+    var language = options.language;
+    var securityCookie = crypto.randomBytes(16).toString('hex');
+    var runFilePath = null;
+    var nextRequestId = 1;
+
+    var app = express();
+    var httpServer = http.createServer(app);
+    var io = socketIo(httpServer);
+
+    if (options.wwwPath) {
+        app.use(express.static(options.wwwPath));
+    }
+
+    app.use(function (req, res, next) {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET,POST');
+        res.header('Access-Control-Allow-Headers', 'X_LOCAL_SECURITY_COOKIE, Content-Type, Content-Length');
+
+        if (req.method !== 'OPTIONS' && options.security && req.headers.x_local_security_cookie != securityCookie) {
+            logger.error('Rejecting request with invalid security cookie: ' + req.method + ' ' + req.originalUrl);
+            res.writeHead(403, { 'Content-Type': 'text/html;charset=utf-8' });
+            res.end('Security token is invalid');
+            return;
+        }
+
+        var requestId = nextRequestId++;
+        logger.debug('Incoming request  #' + requestId + ': ' + req.method + ' ' + req.originalUrl);
+        res.on('finish', function () {
+            logger.debug('Response finished #' + requestId + ': ' + req.method + ' ' + req.originalUrl + ' with status ' + res.statusCode);
+        });
+        next();
+    });
+
+    io.use(function (socket, next) {
+        if (options.security && socket.handshake.query.X_LOCAL_SECURITY_COOKIE != securityCookie) {
+            next(new Error('Security token is invalid'));
+        }
+        else {
+            next();
+        }
+    });
+
+    io.on('connection', function (socket) {
+        logger.info('Socket ' + socket.id + ' connected');
+        socket.on('disconnect', function () {
+            logger.info('Socket ' + socket.id + ' disconnected');
+        });
+    });
+
+    ////////////////////////////////////////////////////////////////////////////
+    // beta/ modules                                                          //
+    ////////////////////////////////////////////////////////////////////////////
+
+    var modules = {};
+    jsModules.forEach(function (module) {
+        modules[module.name] = require(path.join(betaDirectoryPath, module.file))(app, io, logger,
+            module.directory && path.join(options.dataPath, module.directory));
+    });
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Common endpoints                                                       //
+    ////////////////////////////////////////////////////////////////////////////
+
+    function ReplyWithJson(res, data) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    app.get('/version', function (req, res) {
+        var data = { node: process.version, mockNvNode: version };
+        Object.keys(modules).forEach(function (name) {
+            data[name] = modules[name].version();
+        });
+        ReplyWithJson(res, data);
+    });
+
+    app.get('/beta', function (req, res) {
+        ReplyWithJson(res, { beta: false });
+    });
+
+    app.get('/Settings/v.1.0/Language', function (req, res) {
+        ReplyWithJson(res, { language: language });
+    });
+
+    app.post('/Settings/v.1.0/Language', express.json({ type: function () { return true; } }), function (req, res) {
+        try {
+            language = nvLocales.validate(req.body && req.body.language);
+        } catch (err) {
+            jsonLines.replyWithError(res, err, logger, 'Settings');
+            return;
+        }
+
+        logger.info('Language:' + language);
+        setImmediate(function () {
+            io.emit('/Settings/v.1.0/Language', { language: language });
+        });
+        res.writeHead(200);
+        res.end();
+    });
+
+    app.get('/Settings/v.1.0/Languages', function (req, res) {
+        ReplyWithJson(res, { languages: nvLocales.locales });
+    });
+
+    app.get('/threadpool', function (req, res) {
+        ReplyWithJson(res, { size: '64' });
+    });
+
+    app.get('/up', function (req, res) {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+        res.end();
+    });
+
+    // Same shape as NvNode's, without services nor signatures to check.
+    app.get('/health', function (req, res) {
+        var data = {
+            status: 'ok',
+            uptime: Math.round(process.uptime()),
+            port: httpServer.address() ? httpServer.address().port : undefined,
+            sockets: Object.keys(io.sockets.connected).length,
+            signatureVerification: { state: 'disabled' },
+            services: {},
+            modules: {}
+        };
+        Object.keys(modules).forEach(function (name) {
+            data.modules[name] = { state: 'loaded' };
+        });
+        ReplyWithJson(res, data);
+    });
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Fixtures                                                               //
+    ////////////////////////////////////////////////////////////////////////////
+
+    function ReplyWithFixture(res, fixture) {
+        var isJson = typeof fixture.body !== 'string' && fixture.body !== undefined;
+        var headers = Object.assign(isJson ? { 'Content-Type': 'application/json' } : {}, fixture.headers);
+        res.writeHead(fixture.status || 200, headers);
+        res.end(isJson ? JSON.stringify(fixture.body) : fixture.body);
+    }
+
+    //! Forwards the request to the real NvNode, saves its answer as a fixture
+    //! and replies with it.
+    function Record(req, res) {
+        var headers = Object.assign({}, req.headers, { x_local_security_cookie: upstream.secret });
+        delete headers.host;
+
+        var forwarded = http.request({
+            host: '127.0.0.1',
+            port: upstream.port,
+            method: req.method,
+            path: req.originalUrl,
+            headers: headers
+        }, function (answer) {
+            var chunks = [];
+            answer.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            answer.on('end', function () {
+                var text = Buffer.concat(chunks).toString('utf8');
+                var fixture = { method: req.method, path: req.path, status: answer.statusCode, headers: {} };
+                recordedHeaders.forEach(function (name) {
+                    if (answer.headers[name] !== undefined) {
+                        fixture.headers[name] = answer.headers[name];
+                    }
+                });
+                try {
+                    fixture.body = sanitizeBody(JSON.parse(text));
+                } catch (err) {
+                    fixture.body = sanitizeBody(text);
+                }
+
+                fixtures[FixtureKey(req.method, req.path)] = fixture;
+                logger.info('Recorded ' + req.method + ' ' + req.path + ' to ' + saveFixture(options.fixturesPath, fixture));
+                ReplyWithFixture(res, fixture);
+            });
+        });
+
+        forwarded.on('error', function (err) {
+            logger.error('Recording ' + req.method + ' ' + req.originalUrl + ' failed: ' + err);
+            res.writeHead(502, { 'Content-Type': 'text/html;charset=utf-8' });
+            res.end(String(err));
+        });
+        req.pipe(forwarded);
+    }
+
+    app.use(function (req, res) {
+        var fixture = fixtures[FixtureKey(req.method, req.path)];
+        if (fixture) {
+            ReplyWithFixture(res, fixture);
+        } else if (upstream) {
+            Record(req, res);
+        } else {
+            logger.error('No fixture for ' + req.method + ' ' + req.path);
+            res.writeHead(404, { 'Content-Type': 'text/html;charset=utf-8' });
+            res.end('No fixture for ' + req.method + ' ' + req.path);
+        }
+    });
+
+    return {
+        app: app,
+        io: io,
+        httpServer: httpServer,
+
+        //! Starts listening (port 0: any free port), resolves with {port, secret},
+        //! also written to the run file when one is given.
+        listen: function (port, host, runFile) {
+            return new Promise(function (resolve, reject) {
+                httpServer.once('error', reject);
+                httpServer.listen(port || 0, host || '127.0.0.1', function () {
+                    var runInfo = { port: httpServer.address().port, secret: securityCookie };
+                    if (runFile) {
+                        fs.writeFileSync(runFile, JSON.stringify(runInfo));
+                        runFilePath = runFile;
+                    }
+                    logger.info('Mock NvNode is listening at http://' + httpServer.address().address + ':' + runInfo.port);
+                    resolve(runInfo);
+                });
+            });
+        },
+
+        close: function () {
+            Object.keys(modules).forEach(function (name) {
+                modules[name].cleanup();
+            });
+            if (runFilePath) {
+                try {
+                    fs.unlinkSync(runFilePath);
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+            }
+            return new Promise(function (resolve) {
+                // Also closes the HTTP server.
+                io.close(function () {
+                    resolve();
+                });
+            });
+        }
+    };
+}
+
+module.exports = {
+    createMockNvNode: createMockNvNode,
+    loadFixtures: loadFixtures,
+    saveFixture: saveFixture,
+    sanitizeBody: sanitizeBody,
+    consoleLogger: consoleLogger
+};
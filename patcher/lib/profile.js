@@ -0,0 +1,96 @@
+'use strict'
+
+//
+// Identity of the anonymous session injected into OobeAuthController.
+//
+// A profile is a local JSON file, every field is optional:
+//
+//     {
+//         "displayName": "Lab PC 07",
+//         "avatarUrl": "https://example.com/avatar.png",
+//         "locale": "en-US",
+//         "userId": "lab-pc-07",
+//         "birthdate": "1990-01-01"
+//     }
+//
+// Without a userId the session has none in app.js: the patched app.js may be
+// copied to other PCs, runtime/anonymousGuard.js gives the session an id of
+// the PC it runs on, so the dbCacheService user stores
+// (getCachedUserItem(userId, ...)) keep the same key and differ between PCs.
+//
+
+var fs = require('fs');
+
+var fields = ['displayName', 'avatarUrl', 'locale', 'userId', 'birthdate'];
+
+// Token of the fake session, the runtime scripts use it to recognize it.
+var sessionToken = 'dummySessionToken';
+
+var defaultProfile = {
+    displayName: 'Anonymous'
+};
+
+function InvalidProfile(message) {
+    var err = new Error('Invalid profile: ' + message);
+    err.code = 'INVALID_PROFILE';
+    return err;
+}
+
+//! Reads and validates a profile file.
+function loadProfile(filePath) {
+    var profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw InvalidProfile(filePath + ': ' + err.message);
+    }
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw InvalidProfile('expected a JSON object');
+    }
+
+    Object.keys(profile).forEach(function (key) {
+        if (fields.indexOf(key) < 0) {
+            throw InvalidProfile('unknown field "' + key + '", expected one of ' + fields.join(', '));
+        }
+        if (typeof profile[key] !== 'string' || profile[key] === '') {
+            throw InvalidProfile('"' + key + '" must be a non-empty string');
+        }
+    });
+
+    if (profile.birthdate && !/^\d{4}-\d{2}-\d{2}$/.test(profile.birthdate)) {
+        throw InvalidProfile('"birthdate" must be formatted as YYYY-MM-DD');
+    }
+
+    return profile;
+}
+
+//! Builds the session object passed to handleLoggedIn.
+function buildSession(profile) {
+    profile = Object.assign({}, defaultProfile, profile);
+
+    var user = {
+        core: {
+            displayName: profile.displayName,
+            avatar: profile.avatarUrl,
+            locale: profile.locale,
+            birthdate: profile.birthdate,
+            primaryEmailVerified: true
+        }
+    };
+    if (profile.userId) {
+        user.userId = profile.userId;
+    }
+
+    return {
+        sessionToken: sessionToken,
+        userToken: 'dummyUserToken',
+        user: user
+    };
+}
+
+module.exports = {
+    sessionToken: sessionToken,
+    loadProfile: loadProfile,
+    buildSession: buildSession
+};
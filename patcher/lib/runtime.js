@@ -0,0 +1,67 @@
+'use strict'
+
+//
+// Runtime scripts appended after the GFE bundle.
+//
+// Some changes can't be expressed as a few spliced tokens: they live in
+// patcher/runtime/*.js as ordinary angular code and are appended to app.js,
+// after webpackJsonp([...]) has registered the "main" module and before
+// angular bootstraps it. Each script is preceded by a marker comment so the
+// fingerprint can tell whether it is already there.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var edits = require('./edits.js');
+var errors = require('./errors.js');
+
+var runtimeDirectory = path.join(__dirname, '..', 'runtime');
+
+function Marker(name) {
+    return '/* BaiGfe runtime: ' + name + ' */';
+}
+
+//! Returns whether the named runtime script is already appended to the bundle.
+function isAppended(parsed, name) {
+    return parsed.source.indexOf(Marker(name)) >= 0;
+}
+
+//! Returns an edit appending code to the bundle under the given name. The code
+//! goes right after the last statement, the sourceMappingURL comment stays last.
+function append(parsed, name, code) {
+    var body = parsed.ast.body;
+    var end = body.length ? body[body.length - 1].end : parsed.source.length;
+    return edits.insert(end, '\n' + Marker(name) + '\n' + code.replace(/\s*$/, '\n'));
+}
+
+//! Returns an edit appending patcher/runtime/<name>.js to the bundle.
+function appendScript(parsed, name) {
+    var code = fs.readFileSync(path.join(runtimeDirectory, name + '.js'), 'utf8');
+    return append(parsed, name, code);
+}
+
+//! Creates a patch that appends patcher/runtime/<name>.js, for runtime scripts
+//! that need nothing but the runtime core.
+function scriptPatch(name, description) {
+    return {
+        name: name,
+        description: description,
+        detect: function (parsed) {
+            return isAppended(parsed, name) ? 'patched' : 'unpatched';
+        },
+        apply: function (parsed) {
+            if (isAppended(parsed, name)) {
+                throw errors.patchPointNotFound(name, 'a bundle without the ' + name + ' runtime script (patched)');
+            }
+            return [appendScript(parsed, name)];
+        }
+    };
+}
+
+module.exports = {
+    isAppended: isAppended,
+    append: append,
+    appendScript: appendScript,
+    scriptPatch: scriptPatch
+};
@@ -0,0 +1,274 @@
+'use strict'
+
+//
+// Headless smoke test of a patched app.js.
+//
+// The bundle is run in jsdom with the real angular, ui-router and lodash, and
+// stubs for everything GFE's other chunks and CEF provide (see
+// smoke/environment.js). Its states are rendered into the document. The UI is
+// driven from "main" through "main.loggedOut", whose OOBE logs in with the
+// patched session, to "main.auth.home", and the patch results are checked:
+//
+//     - every state resolve on the way succeeds
+//     - the OOBE's auth view (OobeAuthController) starts the anonymous session
+//       on load (handleLoggedIn)
+//     - the toolbar of the main view (MainToolbarController) shows the Share
+//       button even though the stubbed preferencesService says Share is not
+//       supported
+//     - the panels of the runtime scripts are in GFE's directive templates
+//     - updatesService.getUpdateDetails leaves out the drivers newer than a
+//       pinned one
+//     - the UI reports no error
+//
+// The runtime script checks only run for the scripts appended to the bundle.
+//
+// Needs jsdom, angular, angular-ui-router@0.4 and lodash.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var bundle = require('./bundle.js');
+var runtime = require('./runtime.js');
+
+var environmentPath = path.join(__dirname, '..', 'smoke', 'environment.js');
+
+var loggedOutState = 'main.loggedOut';
+var homeState = 'main.auth.home';
+
+// Time left to the $timeout and $interval callbacks started by the states.
+var settleDelayMs = 500;
+
+// The panels each runtime script adds to GFE's directive templates.
+var panels = [
+    { script: 'telemetryAudit', directive: 'nvPreferencesGeneralDirective', element: 'bai-gfe-telemetry-audit' },
+    { script: 'optimizationHistory', directive: 'nvGameSettingsDirective', element: 'bai-gfe-optimization-history' },
+    { script: 'optimizationProfiles', directive: 'nvPreferencesGamesDirective', element: 'bai-gfe-optimization-profiles' },
+    { script: 'bulkOptimize', directive: 'nvPreferencesGamesDirective', element: 'bai-gfe-bulk-optimize' },
+    { script: 'optimizationCache', directive: 'nvPreferencesGamesDirective', element: 'bai-gfe-optimization-cache' },
+    { script: 'optimizationCache', directive: 'nvGameSettingsDirective', element: 'bai-gfe-optimization-cache-age' },
+    { script: 'driverPinning', directive: 'nvUpdatesDriverDirective', element: 'bai-gfe-driver-pinning' }
+];
+
+//! Returns the names injected anywhere in the parsed bundle, from its
+//! ["name", ..., function (...) {}] annotations.
+function InjectedNames(parsed) {
+    var names = [];
+
+    bundle.findAll(parsed.ast, 'ArrayExpression', function (node) {
+        var last = node.elements[node.elements.length - 1];
+        return last && last.type === 'FunctionExpression' && node.elements.slice(0, -1).every(function (element) {
+            return element && element.type === 'Literal' && typeof element.value === 'string';
+        });
+    }).forEach(function (match) {
+        match.node.elements.slice(0, -1).forEach(function (element) {
+            if (names.indexOf(element.value) < 0) {
+                names.push(element.value);
+            }
+        });
+    });
+
+    return names;
+}
+
+function CreateWindow() {
+    var JSDOM = require('jsdom').JSDOM;
+    var dom = new JSDOM('<!doctype html><html><head></head><body><div ui-view></div></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+
+    // The stubbed UI logs plenty, none of it matters here.
+    ['log', 'info', 'debug', 'warn', 'error'].forEach(function (level) {
+        dom.window.console[level] = function () {};
+    });
+
+    [
+        require.resolve('lodash/lodash.js'),
+        require.resolve('angular/angular.js'),
+        require.resolve('angular-ui-router/release/angular-ui-router.js'),
+        environmentPath
+    ].forEach(function (scriptPath) {
+        dom.window.eval(fs.readFileSync(scriptPath, 'utf8'));
+    });
+
+    return dom.window;
+}
+
+function Check(name, passed, detail) {
+    return { name: name, passed: passed, detail: detail };
+}
+
+function ErrorText(err) {
+    return String(err && (err.stack || err.message) || err).split('\n')[0];
+}
+
+//! Returns the template of a directive, as angular would compile it.
+function Template(injector, directiveName) {
+    var template = injector.get(directiveName)[0].template;
+    return typeof template === 'function' ? template() : template;
+}
+
+function PanelChecks(injector, parsed) {
+    return panels.filter(function (panel) {
+        return runtime.isAppended(parsed, panel.script);
+    }).map(function (panel) {
+        var name = panel.directive + ' has <' + panel.element + '>';
+        try {
+            return Check(name, new RegExp('<' + panel.element + '[\\s>]').test(Template(injector, panel.directive)), '');
+        } catch (err) {
+            return Check(name, false, ErrorText(err));
+        }
+    });
+}
+
+//! Pins the second driver of the stubbed updatesService: the first, newer,
+//! must be left out of getUpdateDetails and listed by heldBack().
+function DriverPinningCheck(window, injector) {
+    var name = 'updatesService.getUpdateDetails leaves out the drivers newer than the pin';
+    var drivers = window.baiGfeSmoke.drivers;
+
+    try {
+        var $rootScope = injector.get('$rootScope');
+        var updatesService = injector.get('updatesService');
+        var driverPinning = injector.get('baiGfeDriverPinning');
+        var offered = null;
+
+        driverPinning.setPin(drivers[1]);
+        updatesService.getUpdateDetails().then(function (list) {
+            offered = list;
+        });
+        $rootScope.$digest();
+
+        var versions = (offered || []).map(function (driver) {
+            return driver.version;
+        });
+        var heldBack = driverPinning.heldBack().map(function (driver) {
+            return driver.version;
+        });
+        driverPinning.unpin();
+        $rootScope.$digest();
+
+        return Check(name, versions.join() === drivers.slice(1).map(function (driver) {
+            return driver.version;
+        }).join() && heldBack.join() === drivers[0].version,
+            'offered ' + (versions.join(', ') || 'nothing') + ', held back ' + (heldBack.join(', ') || 'nothing'));
+    } catch (err) {
+        return Check(name, false, ErrorText(err));
+    }
+}
+
+//! Returns the last controller the UI created with the given name, or null.
+function CreatedController(window, name) {
+    var created = window.baiGfeSmoke.controllers[name] || [];
+    return created.length ? created[created.length - 1] : null;
+}
+
+//! Drives the UI to the home state and checks what the patches changed.
+function Drive(window, injector, parsed) {
+    var $rootScope = injector.get('$rootScope');
+    var $state = injector.get('$state');
+    var smoke = window.baiGfeSmoke;
+    var states = [];
+    var stateErrors = [];
+
+    $rootScope.$on('$stateChangeSuccess', function (event, toState) {
+        states.push(toState.name);
+    });
+    $rootScope.$on('$stateChangeError', function (event, toState, toParams, fromState, fromParams, err) {
+        stateErrors.push(toState.name + ': ' + ErrorText(err));
+    });
+    $rootScope.$on('$stateNotFound', function (event, unfoundState) {
+        stateErrors.push(unfoundState.to + ': not found');
+    });
+
+    // Runs the digests and lets the $timeout and $interval callbacks run.
+    function Settle() {
+        $rootScope.$digest();
+        return new Promise(function (resolve) {
+            setTimeout(resolve, settleDelayMs);
+        }).then(function () {
+            $rootScope.$digest();
+        });
+    }
+
+    // Without a session, GFE opens the OOBE, whose auth view logs in and goes
+    // to the home state.
+    $state.go(loggedOutState);
+    return Settle().then(function () {
+        var checks = [
+            Check('reaches ' + homeState, states.indexOf(homeState) >= 0,
+                stateErrors.length ? stateErrors.join(', ') : 'visited ' + (states.join(', ') || 'nothing'))
+        ];
+
+        var oobeAuth = CreatedController(window, 'OobeAuthController');
+        var session = smoke.sessions[smoke.sessions.length - 1];
+        checks.push(Check('OobeAuthController calls handleLoggedIn', !!oobeAuth && smoke.sessions.length > 0,
+            !oobeAuth ? 'the OOBE has no auth view' : session ? 'sessionToken ' + session.sessionToken : 'no session started'));
+        var userId = session && session.user && session.user.userId;
+        checks.push(Check('anonymous session has a user id of this PC', /^[0-9a-f]{32}$/.test(userId || '') &&
+            userId === window.localStorage.getItem('baiGfe.anonymousUserId'), 'userId ' + userId));
+
+        var toolbar = CreatedController(window, 'MainToolbarController');
+        checks.push(Check('MainToolbarController.isShareSupported', !!toolbar && toolbar.isShareSupported === true,
+            toolbar ? 'isShareSupported is ' + toolbar.isShareSupported : 'no toolbar in the main view'));
+
+        checks = checks.concat(PanelChecks(injector, parsed));
+        if (runtime.isAppended(parsed, 'driverPinning')) {
+            checks.push(DriverPinningCheck(window, injector));
+        }
+
+        return { states: states, checks: checks };
+    });
+}
+
+//! Runs the smoke test on a patched app.js source. Resolves with
+//! { passed, checks: [{ name, passed, detail }], states, errors }; errors are the
+//! exceptions the UI reported, any of them fails the test.
+//! Throws a SyntaxError if the source is not parsable.
+function runSmokeTest(source) {
+    var parsed = bundle.parse(source);
+    var injectedNames = InjectedNames(parsed);
+    var window = CreateWindow();
+    var smoke = window.baiGfeSmoke;
+
+    function Report(checks, states) {
+        var errors = smoke.errors.map(ErrorText);
+        checks = checks.concat(Check('the UI reports no error', !errors.length,
+            errors.length ? errors.length + ' reported, the first: ' + errors[0] : ''));
+        return {
+            passed: checks.every(function (check) {
+                return check.passed;
+            }),
+            checks: checks,
+            states: states || [],
+            errors: errors
+        };
+    }
+
+    return Promise.resolve().then(function () {
+        var injector;
+        try {
+            window.eval(source);
+            smoke.install(injectedNames);
+            injector = window.angular.bootstrap(window.document.body, ['main']);
+        } catch (err) {
+            return Report([Check('bootstraps', false, ErrorText(err))]);
+        }
+
+        return Drive(window, injector, parsed).then(function (result) {
+            return Report([Check('bootstraps', true, '')].concat(result.checks), result.states);
+        });
+    }).then(function (report) {
+        window.close();
+        return report;
+    }, function (err) {
+        window.close();
+        throw err;
+    });
+}
+
+module.exports = {
+    runSmokeTest: runSmokeTest
+};
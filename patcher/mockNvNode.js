@@ -0,0 +1,80 @@
+'use strict'
+
+////////////////////////////////////////////////////////////////////////////////
+// BaiGfe mock NvNode                                                         //
+//                                                                            //
+// Pure JavaScript stand-in for NvNode, serving its common endpoints and      //
+// recorded fixtures for the native module APIs (see lib/mockNvNode.js).      //
+//                                                                            //
+// Usage: node patcher/mockNvNode.js [--port <port>] [--fixtures <dir>]       //
+//                                   [--record <nodejs.json>] [--www <dir>]   //
+//                                   [--data <dir>] [--run-file <path>]       //
+//                                   [--no-security] [--verbose]              //
+////////////////////////////////////////////////////////////////////////////////
+
+var mockNvNode = require('./lib/mockNvNode.js');
+
+var usage = 'Usage: node patcher/mockNvNode.js [--port <port>] [--fixtures <dir>] [--record <nodejs.json>]\n' +
+    '                                  [--www <dir>] [--data <dir>] [--run-file <path>] [--no-security] [--verbose]';
+
+// Options taking a value, and the createMockNvNode() option they set.
+var valueOptions = {
+    '--port': 'port',
+    '--fixtures': 'fixturesPath',
+    '--record': 'recordRunFile',
+    '--www': 'wwwPath',
+    '--data': 'dataPath',
+    '--run-file': 'runFile'
+};
+
+//! Splits the command line into options, returns null if it is invalid.
+function ParseArguments(argv) {
+    var parsed = { security: true, verbose: false };
+    for (var i = 0; i < argv.length; i++) {
+        if (valueOptions[argv[i]] && i + 1 < argv.length) {
+            parsed[valueOptions[argv[i]]] = argv[++i];
+        } else if (argv[i] === '--no-security') {
+            parsed.security = false;
+        } else if (argv[i] === '--verbose') {
+            parsed.verbose = true;
+        } else {
+            return null;
+        }
+    }
+    return parsed;
+}
+
+function Main(argv) {
+    var args = ParseArguments(argv);
+    if (!args || (args.port !== undefined && !/^\d+$/.test(args.port))) {
+        console.error(usage);
+        process.exitCode = 2;
+        return;
+    }
+
+    var server;
+    try {
+        server = mockNvNode.createMockNvNode(Object.assign({ logger: mockNvNode.consoleLogger(args.verbose) }, args));
+    } catch (err) {
+        console.error(err.code === 'INVALID_FIXTURE' ? err.message : err.stack);
+        process.exitCode = 1;
+        return;
+    }
+
+    server.listen(Number(args.port || 0), '127.0.0.1', args.runFile).then(function (runInfo) {
+        console.log('Security cookie: ' + (args.security ? runInfo.secret : 'not checked'));
+    }).catch(function (err) {
+        console.error('Could not listen: ' + err.message);
+        process.exitCode = 1;
+    });
+
+    process.on('SIGINT', function () {
+        server.close().then(function () {
+            process.exit();
+        });
+    });
+}
+
+if (require.main === module) {
+    Main(process.argv.slice(2));
+}
@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Adds jarvisService.isAnonymousSession() and keeps the account-only views
+// (user profile, rewards, account preferences) from running with the fake
+// session, see runtime/anonymousGuard.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('anonymousGuard',
+    'Replace account-only views with a local placeholder during the anonymous session');
@@ -0,0 +1,96 @@
+'use strict'
+
+//
+// Nullify login, part 2 (README "Manual way", step 1).
+//
+// The OobeAuthController factory ends with a chain of scope assignments:
+//
+//     }, b.isLeftPaneVisible = function() { ... }
+//
+// A handleLoggedIn call with a fake session is appended to that chain, so the
+// out-of-box experience starts an "Anonymous" session as soon as the
+// controller is created. The identity comes from options.profile, see
+// lib/profile.js.
+//
+// GFE's handleLoggedIn ends with
+//
+//     .finally(function() { oobeAuthChooseCtrl.showLoadingIndicator = !1 })
+//
+// where oobeAuthChooseCtrl is the template alias of the login choice view, not
+// a variable: every call rejects with a ReferenceError. Where the factory
+// doesn't declare it, an empty object is declared under that name at its top.
+// The anonymous session never shows the loading indicator of that view.
+//
+
+var bundle = require('../lib/bundle.js');
+var edits = require('../lib/edits.js');
+var errors = require('../lib/errors.js');
+var profile = require('../lib/profile.js');
+
+var name = 'anonymousSession';
+
+//! Finds the OobeAuthController factory and any handleLoggedIn call made at
+//! its top level, which only exists once the bundle has been patched.
+function Locate(parsed) {
+    var auth = bundle.findAngularFactory(parsed, 'controller', 'OobeAuthController');
+    var authAlias = auth && bundle.findThisAlias(auth.node);
+    if (!authAlias) {
+        return { state: 'missing' };
+    }
+
+    var calls = bundle.findAll(auth.node, 'CallExpression', function (node) {
+        return bundle.isPropertyNamed(node.callee, 'handleLoggedIn') &&
+            node.callee.object.type === 'Identifier' && node.callee.object.name === authAlias &&
+            node.arguments.length === 1 && node.arguments[0].type === 'ObjectExpression';
+    }).filter(function (match) {
+        return bundle.enclosingFunction(match) === auth.node;
+    });
+
+    return { state: calls.length ? 'patched' : 'unpatched', factory: auth.node, alias: authAlias };
+}
+
+//! Returns true if the factory uses oobeAuthChooseCtrl without declaring it.
+function UsesUndeclaredChooseCtrl(factory) {
+    function Named(node) {
+        return node.name === 'oobeAuthChooseCtrl';
+    }
+
+    var declared = bundle.findAll(factory, 'VariableDeclarator', function (node) {
+        return node.id.type === 'Identifier' && Named(node.id);
+    }).length > 0;
+    return !declared && bundle.findAll(factory, 'Identifier', Named).length > 0;
+}
+
+function detect(parsed) {
+    return Locate(parsed).state;
+}
+
+function apply(parsed, options) {
+    var point = Locate(parsed);
+    if (point.state !== 'unpatched') {
+        throw errors.patchPointNotFound(name, 'an unpatched OobeAuthController factory (' + point.state + ')');
+    }
+
+    var statements = point.factory.body.body;
+    var last = statements[statements.length - 1];
+    var session = profile.buildSession(options.profile);
+    var call = point.alias + '.handleLoggedIn(' + edits.literal(session) + ')';
+    var patch = [];
+
+    if (UsesUndeclaredChooseCtrl(point.factory)) {
+        patch.push(edits.insert(point.factory.body.start + 1, 'var oobeAuthChooseCtrl = {};'));
+    }
+    if (last.type === 'ExpressionStatement') {
+        patch.push(edits.insert(last.expression.end, ', ' + call));
+    } else {
+        patch.push(edits.insert(last.end, ';' + call + ';'));
+    }
+    return patch;
+}
+
+module.exports = {
+    name: name,
+    description: 'Log in with a fake session when the OOBE auth view opens',
+    detect: detect,
+    apply: apply
+};
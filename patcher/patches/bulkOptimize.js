@@ -0,0 +1,11 @@
+'use strict'
+
+//
+// Adds the "Bulk optimization" panel to Preferences > Games, to optimize the
+// games matching filters after a dry run, see runtime/bulkOptimize.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('bulkOptimize',
+    'Optimize filtered games after a dry run in Preferences > Games');
@@ -0,0 +1,81 @@
+'use strict'
+
+//
+// Lets telemetry.destinationIpLookup and telemetry.lookupUnreachableHosts
+// limit the cefService.dnsLookup() calls GFE makes for its telemetry, see
+// runtime/destinationIp.js.
+//
+// httpTelemetryService resolves the destination IP of a service in
+//
+//     function g(e, t) { var r = y[t] || ""; ...; return s.dnsLookup(i).then(...) }
+//
+// where t is the service (originalService) whose IP it keeps for the session.
+// The service is passed on as a second argument, s.dnsLookup(i, t), so that
+// the runtime script caches the lookups per service too.
+//
+
+var bundle = require('../lib/bundle.js');
+var edits = require('../lib/edits.js');
+var errors = require('../lib/errors.js');
+var runtime = require('../lib/runtime.js');
+
+var name = 'destinationIp';
+
+//! Finds the cefService.dnsLookup call of httpTelemetryService; state is
+//! 'unpatched' when it only gets the host, 'patched' when it gets the service
+//! too.
+function Locate(parsed) {
+    var telemetry = bundle.findAngularFactory(parsed, 'service', 'httpTelemetryService');
+    var cefService = telemetry && bundle.injectedName(telemetry, 'cefService');
+    if (!cefService) {
+        return { state: 'missing', what: 'the httpTelemetryService factory' };
+    }
+
+    var calls = bundle.findAll(telemetry.node, 'CallExpression', function (node) {
+        return bundle.isPropertyNamed(node.callee, 'dnsLookup') &&
+            node.callee.object.type === 'Identifier' && node.callee.object.name === cefService;
+    });
+    var lookup = calls.length === 1 && bundle.enclosingFunction(calls[0]);
+    if (!lookup || lookup.params.length !== 2 || lookup.params[1].type !== 'Identifier') {
+        return { state: 'missing', what: 'the cefService.dnsLookup(host) call of a (url, service) function' };
+    }
+
+    var args = calls[0].node.arguments;
+    var service = lookup.params[1].name;
+    var state = 'missing';
+    if (args.length === 1) {
+        state = 'unpatched';
+    } else if (args.length === 2 && args[1].type === 'Identifier' && args[1].name === service) {
+        state = 'patched';
+    }
+    return { state: state, what: 'an unpatched cefService.dnsLookup(host) call', call: calls[0].node, service: service };
+}
+
+function detect(parsed) {
+    var state = Locate(parsed).state;
+    var appended = runtime.isAppended(parsed, name);
+    if (state === 'unpatched' && !appended) {
+        return 'unpatched';
+    }
+    return state === 'patched' && appended ? 'patched' : 'missing';
+}
+
+function apply(parsed) {
+    var point = Locate(parsed);
+    if (point.state !== 'unpatched' || runtime.isAppended(parsed, name)) {
+        throw errors.patchPointNotFound(name, point.what + ' (' + point.state + ')');
+    }
+
+    var host = point.call.arguments[0];
+    return [
+        edits.insert(host.end, ',' + point.service),
+        runtime.appendScript(parsed, name)
+    ];
+}
+
+module.exports = {
+    name: name,
+    description: 'Skip or cache the DNS lookups of telemetry destination IPs',
+    detect: detect,
+    apply: apply
+};
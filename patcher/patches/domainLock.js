@@ -0,0 +1,92 @@
+'use strict'
+
+//
+// Nullify login, part 1 (README "Manual way", step 1).
+//
+// oobeDialogService treats accounts whose e-mail belongs to a locked domain as
+// verified:
+//
+//     if (e.domains.list.indexOf(n) > -1) return !0
+//
+// becomes, exactly like the hand-made patches of previous releases:
+//
+//     if (e.domains.list.indexOf(n) > -1) return <auth>.handleLoggedIn(e), !0
+//
+// where <auth> is the `this` alias of OobeAuthController.
+//
+
+var bundle = require('../lib/bundle.js');
+var edits = require('../lib/edits.js');
+var errors = require('../lib/errors.js');
+
+var name = 'domainLock';
+
+function IsDomainListLookup(test) {
+    return test.type === 'BinaryExpression' && test.operator === '>' &&
+        test.left.type === 'CallExpression' &&
+        bundle.isPropertyNamed(test.left.callee, 'indexOf') &&
+        bundle.isPropertyNamed(test.left.callee.object, 'list') &&
+        bundle.isPropertyNamed(test.left.callee.object.object, 'domains') &&
+        test.right.type === 'UnaryExpression' && test.right.operator === '-' &&
+        test.right.argument.type === 'Literal' && test.right.argument.value === 1;
+}
+
+function IsPatchedReturn(argument) {
+    var expressions = argument.type === 'SequenceExpression' ? argument.expressions : [];
+    return expressions.length === 2 &&
+        expressions[0].type === 'CallExpression' &&
+        bundle.isPropertyNamed(expressions[0].callee, 'handleLoggedIn') &&
+        bundle.isBoolean(expressions[1], true);
+}
+
+//! Finds the domain-lock return, patched or not.
+function Locate(parsed) {
+    var matches = bundle.findAll(parsed.ast, 'IfStatement', function (node) {
+        return IsDomainListLookup(node.test) && node.consequent.type === 'ReturnStatement';
+    });
+    if (matches.length !== 1) {
+        return { state: 'missing' };
+    }
+
+    var returned = matches[0].node.consequent.argument;
+    if (bundle.isBoolean(returned, true)) {
+        return { state: 'unpatched', match: matches[0], returned: returned };
+    }
+    return { state: IsPatchedReturn(returned) ? 'patched' : 'missing' };
+}
+
+function detect(parsed) {
+    return Locate(parsed).state;
+}
+
+function apply(parsed) {
+    var auth = bundle.findAngularFactory(parsed, 'controller', 'OobeAuthController');
+    var authAlias = auth && bundle.findThisAlias(auth.node);
+    if (!authAlias) {
+        throw errors.patchPointNotFound(name, 'the OobeAuthController factory');
+    }
+
+    var point = Locate(parsed);
+    if (point.state !== 'unpatched') {
+        throw errors.patchPointNotFound(name, 'the domain-lock "return !0" (' + point.state + ')');
+    }
+
+    var check = bundle.enclosingFunction(point.match);
+    if (!check || check.params.length < 1) {
+        throw errors.patchPointNotFound(name, 'the domain-lock check function');
+    }
+
+    var session = check.params[0].name;
+
+    return [
+        edits.replace(point.returned.start, point.returned.end,
+            authAlias + '.handleLoggedIn(' + session + '), ' + bundle.textOf(parsed, point.returned))
+    ];
+}
+
+module.exports = {
+    name: name,
+    description: 'Start a session when the domain-lock check accepts the account',
+    detect: detect,
+    apply: apply
+};
@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Pins a driver version, holding back newer drivers and their background
+// download, and rolls back to the previous drivers still on disk, see
+// runtime/driverPinning.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('driverPinning',
+    'Pin a driver version and roll back to previous drivers');
@@ -0,0 +1,24 @@
+'use strict'
+
+//
+// Patches applied to app.js, in order.
+//
+
+module.exports = [
+    require('./domainLock.js'),
+    require('./shareButtons.js'),
+    require('./anonymousSession.js'),
+    require('./runtimeCore.js'),
+    require('./anonymousGuard.js'),
+    require('./telemetryPolicy.js'),
+    require('./telemetryAudit.js'),
+    require('./destinationIp.js'),
+    require('./networkPolicy.js'),
+    require('./tracing.js'),
+    require('./piiSanitizer.js'),
+    require('./optimizationHistory.js'),
+    require('./optimizationProfiles.js'),
+    require('./bulkOptimize.js'),
+    require('./optimizationCache.js'),
+    require('./driverPinning.js')
+];
@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Checks the UI's $http requests against the network profile and host rules
+// of the config (network.profile, network.allow, network.deny), see
+// runtime/networkPolicy.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('networkPolicy',
+    'Deny the UI requests to the hosts blocked by the network profile');
@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Keeps the last optimization data of each game in NvNode and uses it when
+// NVIDIA's optimization service can't be reached, with its age in the game
+// settings view, see runtime/optimizationCache.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('optimizationCache',
+    'Keep the last game optimization data for offline use');
@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Saves a snapshot of a game's settings before every optimization and adds
+// the "Optimization history" list, with diff and restore, to the game
+// settings view, see runtime/optimizationHistory.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('optimizationHistory',
+    'Snapshot game settings before optimizing and add the optimization history');
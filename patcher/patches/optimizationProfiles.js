@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Adds the "Optimization profiles" panel to Preferences > Games, to export the
+// optimization settings of the games to a file and import them on another PC,
+// see runtime/optimizationProfiles.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('optimizationProfiles',
+    'Export and import optimization profiles in Preferences > Games');
@@ -0,0 +1,11 @@
+'use strict'
+
+//
+// Applies pii.sanitize: user profile paths, e-mail addresses and hardware
+// identifiers scrubbed from logs and feedback, see runtime/piiSanitizer.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('piiSanitizer',
+    'Scrub user paths, e-mail addresses and hardware identifiers from logs and feedback');
@@ -0,0 +1,48 @@
+'use strict'
+
+//
+// Appends the runtime core (runtime/core.js) and the baiGfeConfig constant the
+// other runtime scripts read their settings from.
+//
+
+var edits = require('../lib/edits.js');
+var errors = require('../lib/errors.js');
+var profile = require('../lib/profile.js');
+var runtime = require('../lib/runtime.js');
+
+var name = 'runtimeCore';
+
+function RuntimeConfig(options) {
+    return {
+        anonymousSession: {
+            sessionToken: profile.sessionToken
+        },
+        telemetry: options.config.telemetry,
+        tracing: options.config.tracing,
+        network: options.config.network,
+        pii: options.config.pii
+    };
+}
+
+function detect(parsed) {
+    return runtime.isAppended(parsed, 'core') ? 'patched' : 'unpatched';
+}
+
+function apply(parsed, options) {
+    if (runtime.isAppended(parsed, 'core')) {
+        throw errors.patchPointNotFound(name, 'a bundle without BaiGfe runtime (patched)');
+    }
+
+    return [
+        runtime.appendScript(parsed, 'core'),
+        runtime.append(parsed, 'config',
+            'angular.module("baiGfe").constant("baiGfeConfig", ' + edits.literal(RuntimeConfig(options)) + ');')
+    ];
+}
+
+module.exports = {
+    name: name,
+    description: 'Add the BaiGfe angular module the runtime scripts build on',
+    detect: detect,
+    apply: apply
+};
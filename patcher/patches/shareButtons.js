@@ -0,0 +1,76 @@
+'use strict'
+
+//
+// Force-enable ShadowPlay and Share buttons (README "Manual way", step 2).
+//
+// MainToolbarController initializes its scope with
+//
+//     K.isShareSupported = !1, K.isShareButtonClicked = !1, ...
+//
+// and both flags are flipped to !0 so the buttons show on the main GFE screen.
+//
+
+var bundle = require('../lib/bundle.js');
+var edits = require('../lib/edits.js');
+var errors = require('../lib/errors.js');
+
+var name = 'shareButtons';
+
+var flags = ['isShareSupported', 'isShareButtonClicked'];
+
+//! Finds the initializer of each flag; state is 'unpatched' when all of them
+//! are !1, 'patched' when all of them are !0.
+function Locate(parsed) {
+    var toolbar = bundle.findAngularFactory(parsed, 'controller', 'MainToolbarController');
+    var toolbarAlias = toolbar && bundle.findThisAlias(toolbar.node);
+    if (!toolbarAlias) {
+        return { state: 'missing', what: 'the MainToolbarController factory' };
+    }
+
+    var values = [];
+    for (var i = 0; i < flags.length; i++) {
+        var matches = bundle.findAll(toolbar.node, 'AssignmentExpression', function (node) {
+            return node.operator === '=' &&
+                bundle.isPropertyNamed(node.left, flags[i]) &&
+                node.left.object.type === 'Identifier' && node.left.object.name === toolbarAlias &&
+                (bundle.isBoolean(node.right, false) || bundle.isBoolean(node.right, true));
+        }).filter(function (match) {
+            // Event handlers reset isShareButtonClicked later on, only the initializer counts.
+            return bundle.enclosingFunction(match) === toolbar.node;
+        });
+        if (matches.length !== 1) {
+            return { state: 'missing', what: 'the "' + flags[i] + ' = !1" initializer' };
+        }
+        values.push(matches[0].node.right);
+    }
+
+    var state = 'missing';
+    if (values.every(function (value) { return bundle.isBoolean(value, false); })) {
+        state = 'unpatched';
+    } else if (values.every(function (value) { return bundle.isBoolean(value, true); })) {
+        state = 'patched';
+    }
+    return { state: state, what: 'unpatched share flags', values: values };
+}
+
+function detect(parsed) {
+    return Locate(parsed).state;
+}
+
+function apply(parsed) {
+    var point = Locate(parsed);
+    if (point.state !== 'unpatched') {
+        throw errors.patchPointNotFound(name, point.what + ' (' + point.state + ')');
+    }
+
+    return point.values.map(function (value) {
+        return edits.replace(value.start, value.end, '!0');
+    });
+}
+
+module.exports = {
+    name: name,
+    description: 'Show the ShadowPlay and Share buttons on the main toolbar',
+    detect: detect,
+    apply: apply
+};
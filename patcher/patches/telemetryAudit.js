@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Sends the telemetry captured in telemetry.mode "capture" to NvNode's audit
+// log and adds the "Telemetry audit" panel to Preferences > General, see
+// runtime/telemetryAudit.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('telemetryAudit',
+    'Add the telemetry audit log and its Preferences > General panel');
@@ -0,0 +1,12 @@
+'use strict'
+
+//
+// Routes telemetryService events and httpTelemetryService records through the
+// telemetry.mode policy (allow, log, capture or drop), see
+// runtime/telemetryPolicy.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('telemetryPolicy',
+    'Apply the telemetry policy (allow, log, capture or drop) to telemetryService and httpTelemetryService');
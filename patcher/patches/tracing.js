@@ -0,0 +1,11 @@
+'use strict'
+
+//
+// Applies tracing.mode: opentracing spans reported upstream as GFE does,
+// written locally by NvNode, or not at all, see runtime/tracing.js.
+//
+
+var runtime = require('../lib/runtime.js');
+
+module.exports = runtime.scriptPatch('tracing',
+    'Report tracing spans upstream, locally or not at all');
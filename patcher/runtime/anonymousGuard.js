@@ -0,0 +1,104 @@
+//
+// Anonymous session guard.
+//
+// jarvisService.isAnonymousSession() tells whether the current session is the
+// fake one started by the patched OobeAuthController. While it is, the views
+// that only work with a real NVIDIA account (user profile, rewards, account
+// preferences) are replaced by a local placeholder, so their controllers never
+// call nvAccountEndpoints / gfwslEndpoints and never show error toasts.
+//
+// Without a userId in the profile, the fake session gets the id of this PC:
+// generated on its first start and kept in localStorage, so that it is not
+// the id of the PC the patched app.js was made on.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var accountStates = ['main.auth.userProfile', 'main.auth.rewards', 'main.auth.preferences.accounts'];
+    var placeholderState = 'main.auth.anonymousSession';
+
+    var userIdKey = 'baiGfe.anonymousUserId';
+
+    var placeholderTemplate =
+        '<md-content flex layout="column" layout-align="center center" class="md-padding md-primary md-hue-3">' +
+        '<h3>Not available without an NVIDIA account</h3>' +
+        '<p>GeForce Experience runs with a local anonymous session. ' +
+        'Profile, rewards and account settings need a real login.</p>' +
+        '</md-content>';
+
+    //! Returns the user id of the anonymous session on this PC, 32 hex digits.
+    function LocalUserId($window) {
+        var userId = $window.localStorage.getItem(userIdKey);
+        if (!/^[0-9a-f]{32}$/.test(userId || '')) {
+            var bytes = new Uint8Array(16);
+            $window.crypto.getRandomValues(bytes);
+            userId = Array.prototype.map.call(bytes, function (byte) {
+                return (byte < 16 ? '0' : '') + byte.toString(16);
+            }).join('');
+            $window.localStorage.setItem(userIdKey, userId);
+        }
+        return userId;
+    }
+
+    main.config(['$provide', '$stateProvider', 'baiGfeControllerHooksProvider', function ($provide, $stateProvider, controllerHooks) {
+        $provide.decorator('jarvisService', ['$delegate', '$window', 'baiGfeConfig', function (jarvisService, $window, config) {
+            var startSession = jarvisService.startSession;
+            var anonymous = false;
+
+            jarvisService.startSession = function (session) {
+                anonymous = !!session && session.sessionToken === config.anonymousSession.sessionToken;
+                if (anonymous && session.user && !session.user.userId) {
+                    session.user.userId = LocalUserId($window);
+                }
+                return startSession.apply(this, arguments);
+            };
+
+            // The next session may be a real login, whose startSession comes
+            // later (main.loggedOut and oobeDialogService.reset log out first).
+            ['logout', 'endSession'].forEach(function (name) {
+                var end = jarvisService[name];
+                if (angular.isFunction(end)) {
+                    jarvisService[name] = function () {
+                        anonymous = false;
+                        return end.apply(this, arguments);
+                    };
+                }
+            });
+
+            jarvisService.isAnonymousSession = function () {
+                return anonymous;
+            };
+
+            return jarvisService;
+        }]);
+
+        $stateProvider.state(placeholderState, {
+            url: '/anonymous-session',
+            template: placeholderTemplate,
+            parent: 'main.auth'
+        });
+
+        // Hide the "Account" entry of the preferences navigation.
+        controllerHooks.register('PreferencesController', ['controller', 'jarvisService', function (preferences, jarvisService) {
+            if (!jarvisService.isAnonymousSession()) {
+                return;
+            }
+            preferences.Preferences = preferences.Preferences.filter(function (entry) {
+                return accountStates.indexOf(entry.route) < 0;
+            });
+            preferences.selected = preferences.Preferences[0];
+        }]);
+    }]);
+
+    main.run(['$rootScope', '$state', 'jarvisService', function ($rootScope, $state, jarvisService) {
+        $rootScope.$on('$stateChangeStart', function (event, toState) {
+            if (accountStates.indexOf(toState.name) >= 0 && jarvisService.isAnonymousSession()) {
+                event.preventDefault();
+                $state.go(placeholderState);
+            }
+        });
+    }]);
+})(window.angular);
@@ -0,0 +1,374 @@
+//
+// Bulk optimization.
+//
+// GFE's "Optimize" of Preferences > Games (gamesService.optimizeLocalGames)
+// and its automatic optimization of scanned games apply to every game. This
+// adds a "Bulk optimization" panel next to them that only optimizes the games
+// matching filters: favorite, hidden, Ansel-ready, Freestyle-ready, already
+// optimized, below min spec. Each filter can require the criterion, exclude
+// it, or ignore it, and shows how many games meet it. The first five are the
+// counters of GameListController's game list filters (getFavoriteGamesCount,
+// getAnselReadyGamesCount...), which the preferences can't reach: they are
+// counted here with the same predicates, over the same list of games.
+//
+// Nothing is applied before a dry run: for each matching game, the settings
+// that optimizing its plugged in (AC) and on battery (DC) profiles would
+// change, current and optimal values, compared as GameSettingsController
+// does. Then only the profiles with changes are optimized, one game at a
+// time, after a history snapshot of each game (see optimizationHistory.js).
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    // Criteria of the filters, from a game of the user list ({favorite,
+    // hidden...}) and its GFE game object. GameListController filters the user
+    // games with {favorite: true} and {hidden: true}.
+    var filters = [
+        {
+            name: 'favorite',
+            label: 'Favorites',
+            matches: function (userGame) {
+                return userGame.favorite === true;
+            }
+        },
+        {
+            name: 'hidden',
+            label: 'Hidden',
+            matches: function (userGame) {
+                return userGame.hidden === true;
+            }
+        },
+        {
+            name: 'anselReady',
+            label: 'Ansel-ready',
+            matches: function (userGame, game) {
+                return !!game.isAnselReady;
+            }
+        },
+        {
+            name: 'freestyleReady',
+            label: 'Freestyle-ready',
+            matches: function (userGame, game) {
+                return !!game.isFreestyleReady;
+            }
+        },
+        {
+            name: 'optimized',
+            label: 'Already optimized',
+            matches: function (userGame, game) {
+                return !!game.isACorDCoptimized();
+            }
+        },
+        {
+            name: 'belowMinSpec',
+            label: 'Below min spec',
+            matches: function (userGame, game) {
+                return !!game.isRecommendedACBelowMinspecFromState();
+            }
+        }
+    ];
+
+    // Filter values: 'only' the games meeting the criterion, 'exclude' them, or
+    // 'any'.
+    var defaultFilter = { favorite: 'any', hidden: 'exclude', anselReady: 'any', freestyleReady: 'any', optimized: 'exclude', belowMinSpec: 'exclude' };
+
+    var panelTemplate =
+        '<div class="preferences-preference-section md-primary md-hue-3 background" flex>' +
+        '<div class=preferences-section-header>' +
+        '<h4 class="color-white-hue-3 font-size-lg font-uppercase">Bulk optimization</h4>' +
+        '</div>' +
+        '<div layout=column layout-align="start stretch" class="preferences-section-content">' +
+        '<div layout=row layout-wrap>' +
+        '<md-input-container flex=50 ng-repeat="filter in bulkOptimize.filters">' +
+        '<label>{{filter.label}} ({{bulkOptimize.counts[filter.name]}})</label>' +
+        '<md-select ng-model=bulkOptimize.filter[filter.name] ng-change=bulkOptimize.clear() aria-label="{{filter.label}}">' +
+        '<md-option value=any>Any</md-option><md-option value=only>Only</md-option><md-option value=exclude>Exclude</md-option>' +
+        '</md-select></md-input-container>' +
+        '</div>' +
+        '<table class=font-size-sm ng-if=bulkOptimize.lines.length>' +
+        '<tr><th>Game</th><th>Profile</th><th>Setting</th><th>Current</th><th>Optimal</th></tr>' +
+        '<tr ng-repeat="line in bulkOptimize.lines">' +
+        '<td>{{line.name}}</td><td>{{line.profile}}</td><td>{{line.setting}}</td><td>{{line.now}}</td><td>{{line.after}}</td>' +
+        '</tr>' +
+        '</table>' +
+        '<p class=font-size-sm ng-if=bulkOptimize.message>{{bulkOptimize.message}}</p>' +
+        '<div layout=row>' +
+        '<md-button class=md-raised ng-disabled=bulkOptimize.isBusy() ng-click=bulkOptimize.preview()>Dry run</md-button>' +
+        '<md-button class=md-raised ng-if=bulkOptimize.report.length ' +
+        'ng-disabled="bulkOptimize.isBusy() || !bulkOptimize.optimizableCount()" ng-click=bulkOptimize.apply()>' +
+        'Optimize {{bulkOptimize.optimizableCount()}} game(s)</md-button>' +
+        '<md-button ng-if=bulkOptimize.report.length ng-disabled=bulkOptimize.isBusy() ng-click=bulkOptimize.clear()>Cancel</md-button>' +
+        '</div>' +
+        '</div>' +
+        '</div>';
+
+    main.factory('baiGfeBulkOptimize', ['$log', '$q', 'baiGfeFormat', 'gamesService', 'userGamesService', 'baiGfeOptimizationHistory',
+        function ($log, $q, format, gamesService, userGamesService, optimizationHistory) {
+            var logger = $log.getInstance('baiGfe/bulkOptimize');
+            var profiles = optimizationHistory.profiles;
+
+            //! Returns the games of the user: {userGame, game}, game being GFE's
+            //! game object.
+            function Games() {
+                var games = [];
+                userGamesService.getUserGames().forEach(function (userGame) {
+                    var game = gamesService.getSystemGame(userGame.gameId);
+                    if (game && game.id !== undefined) {
+                        games.push({ userGame: userGame, game: game });
+                    }
+                });
+                return games;
+            }
+
+            function Matches(filter, entry) {
+                return filters.every(function (criterion) {
+                    var mode = filter[criterion.name] || 'any';
+                    return mode === 'any' || criterion.matches(entry.userGame, entry.game) === (mode === 'only');
+                });
+            }
+
+            //! Resolves with the dry run of one profile of a game, read:
+            //! {name, profile, profileName, game, changes, problem}, changes
+            //! being the settings optimizing it would change ({name, now,
+            //! after}).
+            function DryRunProfile(game, name, read) {
+                var profile = profiles[name];
+                var row = {
+                    name: game.displayName || game.shortName,
+                    profile: profile.label,
+                    profileName: name,
+                    game: game,
+                    changes: [],
+                    problem: null
+                };
+
+                if (!game[profile.recommendationAvailable]()) {
+                    row.problem = 'No optimal settings for this PC';
+                    return $q.resolve(row);
+                }
+
+                return read.then(function () {
+                    return game.getSettingsSpace(game[profile.resolution](), game[profile.displayMode]());
+                }).then(function (space) {
+                    var now = format.settingValues(game.getCurrentSettings());
+                    var optimal = format.settingValues(game[profile.optimal](space));
+                    Object.keys(optimal).sort().forEach(function (setting) {
+                        if (!angular.equals(now[setting], optimal[setting])) {
+                            row.changes.push({ name: setting, now: format.text(now[setting]), after: format.text(optimal[setting]) });
+                        }
+                    });
+                    if (!row.changes.length && !game[profile.isOptimized]()) {
+                        // Already on the optimal values, GFE still marks it optimized.
+                        row.changes.push({ name: 'Optimization', now: 'Off', after: 'On' });
+                    }
+                    return row;
+                }).catch(function (err) {
+                    logger.warn('failed to get the optimal', name, 'settings of game', game.id, err);
+                    row.problem = 'The settings of this game are not available';
+                    return row;
+                });
+            }
+
+            //! Resolves with the dry run rows of a game: AC, then DC unless the
+            //! game has no battery profile.
+            function DryRun(game) {
+                var read = $q.when(game.getState());
+                var names = game.isDCDisabled() ? ['AC'] : ['AC', 'DC'];
+                return names.reduce(function (previous, name) {
+                    return previous.then(function (rows) {
+                        return DryRunProfile(game, name, read).then(function (row) {
+                            return rows.concat([row]);
+                        });
+                    });
+                }, $q.when([]));
+            }
+
+            //! True for a dry run row to optimize.
+            function IsOptimizable(row) {
+                return !row.problem && row.changes.length > 0;
+            }
+
+            return {
+                filters: filters,
+
+                defaultFilter: defaultFilter,
+
+                //! Returns the number of games meeting each criterion, by filter
+                //! name, like GameListController's counters.
+                counts: function () {
+                    var counts = {};
+                    var games = Games();
+                    filters.forEach(function (criterion) {
+                        counts[criterion.name] = games.filter(function (entry) {
+                            return criterion.matches(entry.userGame, entry.game);
+                        }).length;
+                    });
+                    return counts;
+                },
+
+                //! Resolves with the dry run of the games matching the filter
+                //! ({filter name: 'any', 'only' or 'exclude'}), one game at a time.
+                dryRun: function (filter) {
+                    var rows = [];
+                    return Games().filter(function (entry) {
+                        return Matches(filter, entry);
+                    }).reduce(function (previous, entry) {
+                        return previous.then(function () {
+                            return DryRun(entry.game).then(function (gameRows) {
+                                rows.push.apply(rows, gameRows);
+                            });
+                        });
+                    }, $q.when()).then(function () {
+                        return rows;
+                    });
+                },
+
+                isOptimizable: IsOptimizable,
+
+                //! Optimizes the profiles of the dry run that have changes, a
+                //! game at a time. Resolves with {optimized, failed}, game
+                //! counts; a game fails if one of its profiles does.
+                apply: function (rows) {
+                    var result = { optimized: 0, failed: 0 };
+                    var games = [];
+                    var gameRows = {};
+
+                    rows.filter(IsOptimizable).forEach(function (row) {
+                        if (!gameRows[row.game.id]) {
+                            gameRows[row.game.id] = [];
+                            games.push(row.game);
+                        }
+                        gameRows[row.game.id].push(row);
+                    });
+
+                    return games.reduce(function (previous, game) {
+                        return previous.then(function () {
+                            return optimizationHistory.record(game, 'bulk').then(function () {
+                                return gameRows[game.id].reduce(function (optimized, row) {
+                                    return optimized.then(function () {
+                                        return game[profiles[row.profileName].optimize]();
+                                    });
+                                }, $q.when());
+                            }).then(function () {
+                                result.optimized++;
+                            }, function (err) {
+                                logger.error('failed to optimize game', game.id, err);
+                                result.failed++;
+                            });
+                        });
+                    }, $q.when()).then(function () {
+                        return result;
+                    });
+                }
+            };
+        }]);
+
+    main.component('baiGfeBulkOptimize', {
+        template: panelTemplate,
+        controllerAs: 'bulkOptimize',
+        controller: ['$log', 'gamesService', 'baiGfeBulkOptimize', function ($log, gamesService, bulkOptimize) {
+            var logger = $log.getInstance('baiGfe/bulkOptimize/panel');
+            var panel = this;
+
+            panel.filters = bulkOptimize.filters;
+            panel.filter = angular.copy(bulkOptimize.defaultFilter);
+            panel.counts = {};
+            panel.report = [];
+            panel.lines = [];
+            panel.busy = false;
+            panel.message = '';
+
+            //! Returns the lines of the dry run table: one per setting that
+            //! changes, the game name on the first one of the game and the
+            //! profile on the first one of the profile.
+            function Lines(rows) {
+                var lines = [];
+                rows.forEach(function (row, rowIndex) {
+                    var name = rowIndex && rows[rowIndex - 1].game === row.game ? '' : row.name;
+                    if (row.problem || !row.changes.length) {
+                        lines.push({ name: name, profile: row.profile, setting: row.problem || 'No change' });
+                        return;
+                    }
+                    row.changes.forEach(function (change, index) {
+                        lines.push({
+                            name: index ? '' : name,
+                            profile: index ? '' : row.profile,
+                            setting: change.name,
+                            now: change.now,
+                            after: change.after
+                        });
+                    });
+                });
+                return lines;
+            }
+
+            function Done() {
+                panel.busy = false;
+                panel.counts = bulkOptimize.counts();
+            }
+
+            //! Also busy while GFE optimizes every game.
+            panel.isBusy = function () {
+                return panel.busy || !!gamesService.isOptimizeInProgress();
+            };
+
+            //! Returns the number of games of dry run rows.
+            function GameCount(rows) {
+                var games = [];
+                rows.forEach(function (row) {
+                    if (games.indexOf(row.game) < 0) {
+                        games.push(row.game);
+                    }
+                });
+                return games.length;
+            }
+
+            //! Number of games with a profile to optimize.
+            panel.optimizableCount = function () {
+                return GameCount(panel.report.filter(bulkOptimize.isOptimizable));
+            };
+
+            panel.clear = function () {
+                panel.report = [];
+                panel.lines = [];
+                panel.message = '';
+            };
+
+            panel.preview = function () {
+                panel.busy = true;
+                panel.clear();
+                return bulkOptimize.dryRun(panel.filter).then(function (rows) {
+                    panel.report = rows;
+                    panel.lines = Lines(rows);
+                    panel.message = rows.length ? panel.optimizableCount() + ' of ' + GameCount(rows) +
+                        ' matching game(s) would change.' : 'No game matches the filters.';
+                }).catch(function (err) {
+                    logger.error('dry run failed', err);
+                    panel.message = 'The games are not available.';
+                }).finally(Done);
+            };
+
+            panel.apply = function () {
+                panel.busy = true;
+                return bulkOptimize.apply(panel.report).then(function (result) {
+                    panel.clear();
+                    panel.message = result.optimized + ' game(s) optimized' +
+                        (result.failed ? ', ' + result.failed + ' failed.' : '.');
+                }).finally(Done);
+            };
+
+            panel.$onInit = function () {
+                panel.counts = bulkOptimize.counts();
+            };
+        }]
+    });
+
+    main.config(['baiGfeTemplatesProvider', function (templates) {
+        // Add the panel under GFE's game optimization preferences.
+        templates.insertIntoTemplate('nvPreferencesGamesDirective', '<nv-preference-games-ops></nv-preference-games-ops> </div>',
+            '<bai-gfe-bulk-optimize ng-if=preferencesGames.isOpsSupported></bai-gfe-bulk-optimize>');
+    }]);
+})(window.angular);
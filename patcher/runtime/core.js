@@ -0,0 +1,192 @@
+//
+// BaiGfe runtime core, appended after the GFE bundle by the patcher.
+//
+// Registers the "baiGfe" angular module, holding the shared providers and the
+// baiGfeConfig constant, and makes "main" depend on it. The other runtime
+// scripts register their config and run blocks on "main" itself: those run
+// after every GFE module is loaded, so all GFE services can be decorated.
+//
+// GFE controllers are not injectable, baiGfeControllerHooks lets the runtime
+// scripts run code on a controller right after GFE created it:
+//
+//     baiGfeControllerHooksProvider.register('PreferencesController', ['controller', function (preferences) {
+//         ...
+//     }]);
+//
+// baiGfeTemplates adds the BaiGfe panels to GFE's directive templates, after
+// an anchor, or at the end if a GFE version doesn't have it:
+//
+//     baiGfeTemplatesProvider.insertIntoTemplate('nvPreferencesGamesDirective',
+//         '</nv-preference-games-location>', '<bai-gfe-optimization-profiles></bai-gfe-optimization-profiles>');
+//
+// baiGfeFormat holds the formatting helpers the optimization panels share.
+//
+// baiGfeNvNode sends requests to the local NvNode server (BaiGfe routes of
+// beta/NvNode_index.js), with the port and security cookie GFE gets from
+// cefService.localNodeInfo(). They are cached; on a 403 (NvNode restarted
+// with a new cookie, see beta/NvSecurity.js) they are read again and the
+// request is sent once more.
+//
+// Runs in GFE's CEF window: plain ES5, angular is a global.
+//
+
+(function (angular) {
+    'use strict';
+
+    var baiGfe = angular.module('baiGfe', ['ui.router']);
+    angular.module('main').requires.push('baiGfe');
+
+    baiGfe.provider('baiGfeControllerHooks', function () {
+        var hooks = {};
+
+        this.register = function (controllerName, hook) {
+            hooks[controllerName] = (hooks[controllerName] || []).concat([hook]);
+        };
+
+        this.$get = function () {
+            return {
+                get: function (controllerName) {
+                    return hooks[controllerName] || [];
+                }
+            };
+        };
+    });
+
+    baiGfe.provider('baiGfeTemplates', ['$provide', function ($provide) {
+        //! Inserts html after the first anchor of the template of a directive,
+        //! or at its end (always, for a null anchor).
+        this.insertIntoTemplate = function (directiveName, anchor, html) {
+            $provide.decorator(directiveName, ['$delegate', function ($delegate) {
+                var directive = $delegate[0];
+                var template = directive.template;
+
+                directive.template = function () {
+                    var original = angular.isFunction(template) ? template.apply(this, arguments) : template;
+                    return anchor !== null && original.indexOf(anchor) >= 0 ? original.replace(anchor, anchor + ' ' + html) : original + html;
+                };
+
+                return $delegate;
+            }]);
+        };
+
+        this.$get = function () {
+            return {};
+        };
+    }]);
+
+    //! Returns a setting value as text, "-" when there is none.
+    function Text(value) {
+        if (value === null || value === undefined || value === '') {
+            return '-';
+        }
+        return angular.isObject(value) ? angular.toJson(value) : String(value);
+    }
+
+    //! Returns the settings as { name: value }, from an array of { name, value }
+    //! or an object.
+    function SettingValues(settings) {
+        var values = {};
+        if (angular.isArray(settings)) {
+            settings.forEach(function (setting) {
+                if (setting && setting.name !== undefined) {
+                    values[setting.name] = setting.value;
+                }
+            });
+        } else if (angular.isObject(settings)) {
+            angular.extend(values, settings);
+        }
+        return values;
+    }
+
+    //! Describes an optimization profile of baiGfeOptimizationHistory, "-" when
+    //! there is none.
+    function DescribeProfile(profile) {
+        if (!profile) {
+            return '-';
+        }
+        var text = profile.state === 'custom' ?
+            'Custom: ' + [Text(profile.resolution), Text(profile.displayMode), 'slider ' + profile.sliderIndex].join(', ') :
+            profile.state === 'optimized' ? 'Optimal' : 'Not optimized';
+        return profile.fps !== null && profile.fps !== undefined ? text + ', ' + profile.fps + ' FPS' : text;
+    }
+
+    baiGfe.constant('baiGfeFormat', {
+        text: Text,
+        settingValues: SettingValues,
+        describeProfile: DescribeProfile
+    });
+
+    // $http and cefService are looked up on first use: the services decorated
+    // by the runtime scripts may be dependencies of GFE's $http interceptors.
+    baiGfe.factory('baiGfeNvNode', ['$injector', function ($injector) {
+        var nodeInfo = null;
+
+        function NodeInfo() {
+            if (!nodeInfo) {
+                // Same content as NvNode's nodejs.json run file: port and secret.
+                nodeInfo = $injector.get('cefService').localNodeInfo().then(function (info) {
+                    return angular.isString(info) ? JSON.parse(info) : info;
+                });
+                nodeInfo.catch(function () {
+                    nodeInfo = null;
+                });
+            }
+            return nodeInfo;
+        }
+
+        function Send(method, path, data, params) {
+            return NodeInfo().then(function (info) {
+                return $injector.get('$http')({
+                    method: method,
+                    url: 'http://127.0.0.1:' + info.port + path,
+                    data: data,
+                    params: params,
+                    headers: { X_LOCAL_SECURITY_COOKIE: info.secret }
+                });
+            });
+        }
+
+        return {
+            //! Sends an $http request to the given NvNode path, resolves with the response data.
+            request: function (method, path, data, params) {
+                return Send(method, path, data, params).catch(function (response) {
+                    if (!response || response.status !== 403) {
+                        return $injector.get('$q').reject(response);
+                    }
+                    nodeInfo = null;
+                    return Send(method, path, data, params);
+                }).then(function (response) {
+                    return response.data;
+                });
+            }
+        };
+    }]);
+
+    baiGfe.config(['$provide', function ($provide) {
+        $provide.decorator('$controller', ['$delegate', '$injector', 'baiGfeControllerHooks', function ($controller, $injector, controllerHooks) {
+            return function (expression, locals, later) {
+                var result = $controller.apply(this, arguments);
+                var hooks = typeof expression === 'string' ? controllerHooks.get(expression.split(' ')[0]) : [];
+                if (!hooks.length) {
+                    return result;
+                }
+
+                function RunHooks(instance) {
+                    hooks.forEach(function (hook) {
+                        $injector.invoke(hook, instance, { controller: instance, $locals: locals || {} });
+                    });
+                    return instance;
+                }
+
+                if (!later) {
+                    return RunHooks(result);
+                }
+
+                // $compile instantiates component controllers later, after binding them.
+                return angular.extend(function () {
+                    return RunHooks(result());
+                }, result);
+            };
+        }]);
+    }]);
+})(window.angular);
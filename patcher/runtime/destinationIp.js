@@ -0,0 +1,180 @@
+//
+// Destination IP lookups.
+//
+// GFE resolves the host of every telemetry-tracked request with
+// cefService.dnsLookup(), only to attach a destinationIp to the telemetry
+// (httpTelemetryService, and cevoService / gfwslArticleEndpoints in some
+// builds). baiGfeConfig.telemetry.destinationIpLookup chooses how:
+//
+//     lookup  resolve as GFE does (its cache is per service, for the session)
+//     cached  resolve once per service, the result is kept across sessions
+//     off     never resolve, destinationIp is empty
+//
+// The patcher passes the service to dnsLookup() as a second argument (see
+// patches/destinationIp.js); the "cached" results are kept per service, like
+// GFE's session cache, for a week. A lookup without a service is cached per
+// host. Expired lookups are dropped from the cache, and the oldest ones when
+// it holds more than maxCacheSize.
+//
+// With telemetry.lookupUnreachableHosts set to false, a host whose last
+// request failed without an HTTP status (blocked in the hosts file, offline)
+// isn't resolved either: GFE would resolve it again for every failed request
+// it reports as GFE_HTTPFAILURE.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var cacheKey = 'baiGfe.destinationIps';
+
+    // Cached lookups are done again after a week.
+    var cacheLifetimeMs = 7 * 24 * 60 * 60 * 1000;
+
+    // Far more services than GFE has.
+    var maxCacheSize = 100;
+
+    //! Returns the host part of an URL, the same way GFE gets it before dnsLookup().
+    function HostOf(url) {
+        return (url || '').replace(/^(http|https):\/\//gi, '').split('/')[0];
+    }
+
+    main.factory('baiGfeUnreachableHosts', function () {
+        var hosts = {};
+
+        return {
+            update: function (url, reachable) {
+                var host = HostOf(url);
+                if (!host) {
+                    return;
+                }
+                if (reachable) {
+                    delete hosts[host];
+                } else {
+                    hosts[host] = true;
+                }
+            },
+
+            has: function (host) {
+                return hosts.hasOwnProperty(host);
+            }
+        };
+    });
+
+    main.factory('baiGfeUnreachableHostsInterceptor', ['$q', 'baiGfeUnreachableHosts', function ($q, unreachableHosts) {
+        return {
+            response: function (response) {
+                unreachableHosts.update(response.config && response.config.url, true);
+                return response;
+            },
+
+            responseError: function (rejection) {
+                if (rejection && rejection.config) {
+                    unreachableHosts.update(rejection.config.url, rejection.status > 0);
+                }
+                return $q.reject(rejection);
+            }
+        };
+    }]);
+
+    main.config(['$provide', '$httpProvider', 'baiGfeConfig', function ($provide, $httpProvider, config) {
+        var lookup = config.telemetry.destinationIpLookup;
+        var lookupUnreachableHosts = config.telemetry.lookupUnreachableHosts;
+
+        if (!lookupUnreachableHosts && lookup !== 'off') {
+            $httpProvider.interceptors.push('baiGfeUnreachableHostsInterceptor');
+        }
+
+        $provide.decorator('cefService', ['$delegate', '$q', '$window', '$log', 'baiGfeUnreachableHosts', function (cefService, $q, $window, $log, unreachableHosts) {
+            var logger = $log.getInstance('baiGfe/destinationIp');
+            var dnsLookup = cefService.dnsLookup;
+            var cache = null;
+            var pending = {};
+
+            function IsFresh(entry, now) {
+                return !!entry && typeof entry.time === 'number' && now - entry.time < cacheLifetimeMs && now >= entry.time;
+            }
+
+            //! Drops the expired lookups, then the oldest ones beyond maxCacheSize.
+            //! Returns whether any was dropped.
+            function Prune() {
+                var now = Date.now();
+                var keys = Object.keys(cache);
+                var fresh = keys.filter(function (key) {
+                    return IsFresh(cache[key], now);
+                }).sort(function (a, b) {
+                    return cache[b].time - cache[a].time;
+                }).slice(0, maxCacheSize);
+
+                keys.forEach(function (key) {
+                    if (fresh.indexOf(key) < 0) {
+                        delete cache[key];
+                    }
+                });
+                return fresh.length !== keys.length;
+            }
+
+            //! Returns { <service or host>: { host, result, time } }.
+            function Cache() {
+                if (!cache) {
+                    try {
+                        cache = JSON.parse($window.localStorage.getItem(cacheKey)) || {};
+                    } catch (err) {
+                        logger.error('ignoring invalid destination IP cache', err);
+                        cache = {};
+                    }
+                    if (!angular.isObject(cache) || angular.isArray(cache)) {
+                        cache = {};
+                    }
+                    if (Prune()) {
+                        SaveCache();
+                    }
+                }
+                return cache;
+            }
+
+            function SaveCache() {
+                try {
+                    $window.localStorage.setItem(cacheKey, JSON.stringify(cache));
+                } catch (err) {
+                    logger.error('failed to save destination IP cache', err);
+                }
+            }
+
+            // Resolves with the same JSON string as dnsLookup, without an IP.
+            var noResult = JSON.stringify({ hostname: '' });
+
+            // CEF only gets the host, not the service the patcher adds.
+            cefService.dnsLookup = function (host, service) {
+                if (lookup === 'off' || (!lookupUnreachableHosts && unreachableHosts.has(host))) {
+                    return $q.resolve(noResult);
+                }
+                if (lookup === 'lookup') {
+                    return dnsLookup.call(this, host);
+                }
+
+                var key = service || host;
+                var cached = Cache()[key];
+                if (IsFresh(cached, Date.now()) && cached.host === host) {
+                    return $q.resolve(cached.result);
+                }
+                if (!pending[key]) {
+                    pending[key] = dnsLookup.call(this, host).then(function (result) {
+                        if (result) {
+                            Cache()[key] = { host: host, result: result, time: Date.now() };
+                            Prune();
+                            SaveCache();
+                        }
+                        return result;
+                    }).finally(function () {
+                        delete pending[key];
+                    });
+                }
+                return pending[key];
+            };
+
+            return cefService;
+        }]);
+    }]);
+})(window.angular);
@@ -0,0 +1,623 @@
+//
+// Driver pinning and rollback.
+//
+// UpdatesDriverController only offers the drivers NVIDIA recommends, newer
+// than the installed one, and downloads them in the background when
+// "Automatically download driver updates" is on. This lets the user pin a
+// driver version, Game Ready or Studio, beta or not as getAvlDriverType tells
+// them apart:
+//
+//     - updatesService.getUpdateDetails no longer lists the drivers newer than
+//       the pinned one (nor the same version of another type), for the
+//       drivers view, its automatic download and the updates badge,
+//     - GFE's background download, which knows nothing of the pin, is kept off
+//       while a version is pinned; the preference shows the user's choice and
+//       is put back when unpinning.
+//
+// The drivers view also gets a rollback to the previously installed drivers
+// whose package is still on disk: those of rollbackService (GFE 3.25 and
+// later) and those seen installed (getInstalledDriver), checked by NvNode
+// (NvDriverPackagesAPI.js). After a confirmation, it goes through GFE's
+// installer dialog; its result is taken from the installer events
+// (INSTALLER_EVENTS, and the failure and restart forms of INSTALL_FORM) and
+// the version is only pinned once installed. The pin and the packages seen are
+// kept in localStorage.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var checkPath = '/DriverPackages/v.1.0/Check';
+
+    var storageKey = 'baiGfe.driverPinning';
+
+    // Installed drivers remembered, the oldest ones are dropped.
+    var maxPackageCount = 10;
+
+    var panelTemplate =
+        '<div class="bai-gfe-driver-pinning preferences-preference-section md-primary md-hue-3 background">' +
+        '<h4 class="font-size-lg color-white-hue-4">DRIVER PINNING</h4>' +
+        '<p class=font-size-sm ng-if=!driverPinning.pin()>No driver version is pinned, NVIDIA\'s recommended drivers are offered.</p>' +
+        '<p class=font-size-sm ng-if=driverPinning.pin()>Pinned to {{driverPinning.pin().version}} ' +
+        '({{driverPinning.label(driverPinning.pin())}}) since {{driverPinning.pin().pinnedAt | date:\'medium\'}}: ' +
+        'newer drivers are not offered nor downloaded. ' +
+        '<md-button class=md-raised ng-disabled=driverPinning.busy ng-click=driverPinning.unpin()>Unpin</md-button></p>' +
+        '<table class=font-size-sm ng-if=driverPinning.pinnable().length>' +
+        '<tr ng-repeat="driver in driverPinning.pinnable()">' +
+        '<td>{{driver.version}}</td><td>{{driverPinning.label(driver)}}</td>' +
+        '<td>{{driver === driverPinning.updates.installedDriver ? \'Installed\' : \'Available\'}}</td>' +
+        '<td><md-button ng-disabled=driverPinning.busy ng-click=driverPinning.pinDriver(driver)>Pin</md-button></td>' +
+        '</tr>' +
+        '</table>' +
+        '<p class=font-size-sm ng-if=driverPinning.heldBack().length>Held back by the pin: ' +
+        '<span ng-repeat="driver in driverPinning.heldBack()">{{driver.version}} ({{driverPinning.label(driver)}}){{$last ? \'\' : \', \'}}</span>.</p>' +
+        '<h4 class="font-size-lg color-white-hue-4">PREVIOUS DRIVERS ON DISK</h4>' +
+        '<table class=font-size-sm ng-if=driverPinning.packages.length>' +
+        '<tr><th>Version</th><th>Type</th><th>Installed</th><th></th></tr>' +
+        '<tr ng-repeat="driverPackage in driverPinning.packages">' +
+        '<td>{{driverPackage.version}}</td><td>{{driverPinning.label(driverPackage)}}</td>' +
+        '<td>{{driverPackage.installDate | date:\'mediumDate\'}}</td>' +
+        '<td><md-button class=md-raised ng-disabled="driverPinning.busy || driverPinning.updates.isInstallDisabled()" ' +
+        'ng-click=driverPinning.rollback(driverPackage)>Roll back</md-button></td>' +
+        '</tr>' +
+        '</table>' +
+        '<md-checkbox class=checkbox-16 ng-if=driverPinning.packages.length ng-model=driverPinning.pinOnRollback ' +
+        'aria-label="Pin the version rolled back to"><span class=font-size-sm>Pin the version rolled back to</span></md-checkbox>' +
+        '<p class=font-size-sm ng-if=driverPinning.message>{{driverPinning.message}}</p>' +
+        '</div>';
+
+    function IsCrd(driver) {
+        return !!Number(driver.isCRD);
+    }
+
+    //! Compares dotted driver versions ("461.09") part by part, as numbers.
+    function CompareVersions(a, b) {
+        var left = String(a).split('.');
+        var right = String(b).split('.');
+        for (var i = 0; i < Math.max(left.length, right.length); i++) {
+            var difference = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+            if (difference) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+
+    main.factory('baiGfeDriverPinning', ['$injector', '$log', '$q', '$window', 'DRIVER_TYPE', 'baiGfeNvNode',
+        function ($injector, $log, $q, $window, driverTypes, nvNode) {
+            var logger = $log.getInstance('baiGfe/driverPinning');
+            var state = null;
+            var heldBack = [];
+            var preference = null;
+
+            // Same as UpdatesDriverController.getAvlDriverType, replaced by it
+            // once the drivers view is open.
+            var typeOf = function (isBeta) {
+                return isBeta ? driverTypes.AVAILABLE_BETA : driverTypes.AVAILABLE;
+            };
+
+            //! Returns {pin, autoDownload, packages}: the pinned driver, the
+            //! background download preference of the user while pinned, and
+            //! the installed drivers seen with their package.
+            function State() {
+                if (!state) {
+                    try {
+                        state = JSON.parse($window.localStorage.getItem(storageKey)) || {};
+                    } catch (err) {
+                        logger.error('ignoring invalid driver pinning state', err);
+                        state = {};
+                    }
+                    state.pin = state.pin || null;
+                    state.packages = state.packages || [];
+                }
+                return state;
+            }
+
+            function Save() {
+                try {
+                    $window.localStorage.setItem(storageKey, JSON.stringify(state));
+                } catch (err) {
+                    logger.error('failed to save driver pinning state', err);
+                }
+            }
+
+            function Type(driver) {
+                return typeOf(!!driver.isBeta);
+            }
+
+            function IsPinned(driver) {
+                var pin = State().pin;
+                return !!pin && String(driver.version) === pin.version && IsCrd(driver) === pin.isCRD && Type(driver) === pin.type;
+            }
+
+            function IsHeldBack(driver) {
+                return !!State().pin && !IsPinned(driver) && CompareVersions(driver.version, State().pin.version) >= 0;
+            }
+
+            //! Returns the original get and set of the background download
+            //! preference, from the preferencesService decorator below.
+            function Preference() {
+                if (!preference) {
+                    $injector.get('preferencesService');
+                }
+                return preference;
+            }
+
+            //! Keeps GFE's background download off while pinned, remembering
+            //! the user's choice.
+            function HoldAutoDownload() {
+                if (!Preference()) {
+                    return $q.resolve();
+                }
+                return $q.when(Preference().get()).then(function (enabled) {
+                    if (State().autoDownload === undefined) {
+                        state.autoDownload = !!enabled;
+                        Save();
+                    }
+                    return enabled ? Preference().set(false) : undefined;
+                });
+            }
+
+            function ReleaseAutoDownload() {
+                var enabled = State().autoDownload;
+                delete state.autoDownload;
+                Save();
+                return enabled && Preference() ? $q.when(Preference().set(true)) : $q.resolve();
+            }
+
+            function Status(driver) {
+                var status = driver.downloadStatus || {};
+                return { extractedPath: status.extractedPath || '', downloadedLocation: status.downloadedLocation || '' };
+            }
+
+            function PackageOf(driver) {
+                return {
+                    version: String(driver.version),
+                    isCRD: driver.isCRD,
+                    isBeta: !!driver.isBeta,
+                    name: driver.name,
+                    downloadURL: driver.downloadURL,
+                    installDate: driver.installDate,
+                    downloadStatus: Status(driver)
+                };
+            }
+
+            //! Resolves with "installed", or "restart" when the PC must restart
+            //! to finish, once GFE's installer dialog is closed; rejects with
+            //! "failed" or "cancelled".
+            function InstallationResult() {
+                var eventAggregator = $injector.get('eventAggregator');
+                var events = $injector.get('INSTALLER_EVENTS');
+                var pages = $injector.get('INSTALLER_PAGE');
+                var formEvents = $injector.get('INSTALLER_FORM_EVENT');
+                var failedPages = [pages.NVIFORM_INSTALL_FAILED, pages.NVIFORM_INSTALL_START_FAILED, pages.NVIFORM_INSTALL_CHECK_FAILED];
+                var deferred = $q.defer();
+                // The failure and restart forms are closed with INSTALL_CANCEL.
+                var outcome = 'cancelled';
+
+                function OnForm(form) {
+                    if (!form || form.method !== formEvents.SHOW_FORM) {
+                        return;
+                    }
+                    if (failedPages.indexOf(form.form) >= 0) {
+                        outcome = 'failed';
+                    } else if (form.form === pages.NVIFORM_INSTALL_REBOOT) {
+                        outcome = 'restart';
+                    }
+                }
+
+                function Finish(result) {
+                    eventAggregator.off(events.INSTALL_FORM, OnForm);
+                    eventAggregator.off(events.INSTALL_DONE, OnDone);
+                    eventAggregator.off(events.INSTALL_CANCEL, OnCancel);
+                    logger.info('driver installation result', result);
+                    if (result === 'installed' || result === 'restart') {
+                        deferred.resolve(result);
+                    } else {
+                        deferred.reject(result);
+                    }
+                }
+
+                function OnDone() {
+                    Finish('installed');
+                }
+
+                function OnCancel() {
+                    Finish(outcome);
+                }
+
+                eventAggregator.on(events.INSTALL_FORM, OnForm);
+                eventAggregator.on(events.INSTALL_DONE, OnDone);
+                eventAggregator.on(events.INSTALL_CANCEL, OnCancel);
+                return deferred.promise;
+            }
+
+            //! GFE refreshes the download status of a driver from its
+            //! downloader before installing it, which may know nothing of an
+            //! old package: its paths are kept.
+            function KeepPaths(driver) {
+                var paths = driver.downloadStatus;
+                var status = paths;
+                Object.defineProperty(driver, 'downloadStatus', {
+                    enumerable: true,
+                    configurable: true,
+                    get: function () {
+                        return status;
+                    },
+                    set: function (value) {
+                        status = angular.extend({}, value, paths);
+                    }
+                });
+                return driver;
+            }
+
+            var service = {
+                pin: function () {
+                    return State().pin;
+                },
+
+                isPinned: IsPinned,
+
+                type: Type,
+
+                //! Pins a driver, of the type getAvlDriverType gives for it.
+                setPin: function (driver) {
+                    var wasPinned = !!State().pin;
+                    state.pin = {
+                        version: String(driver.version),
+                        isCRD: IsCrd(driver),
+                        type: Type(driver),
+                        name: driver.name,
+                        pinnedAt: Date.now()
+                    };
+                    Save();
+                    logger.info('pinned driver', state.pin.version, state.pin.type);
+                    return wasPinned ? $q.resolve() : HoldAutoDownload();
+                },
+
+                unpin: function () {
+                    if (!State().pin) {
+                        return $q.resolve();
+                    }
+                    logger.info('unpinned driver', state.pin.version);
+                    state.pin = null;
+                    heldBack = [];
+                    Save();
+                    return ReleaseAutoDownload();
+                },
+
+                //! Uses UpdatesDriverController.getAvlDriverType for the types
+                //! of the drivers.
+                useDriverTypes: function (getAvlDriverType) {
+                    typeOf = getAvlDriverType;
+                },
+
+                //! Returns the drivers of getUpdateDetails that the pin lets
+                //! through, the others are listed by heldBack().
+                filter: function (drivers) {
+                    if (!State().pin || !angular.isArray(drivers)) {
+                        heldBack = [];
+                        return drivers;
+                    }
+                    heldBack = drivers.filter(IsHeldBack);
+                    return drivers.filter(function (driver) {
+                        return !IsHeldBack(driver);
+                    });
+                },
+
+                heldBack: function () {
+                    return heldBack;
+                },
+
+                //! Remembers the package of an installed driver, for rollbacks.
+                record: function (driver) {
+                    if (!driver || !driver.version) {
+                        return;
+                    }
+                    var entry = PackageOf(driver);
+                    if (!entry.downloadStatus.extractedPath && !entry.downloadStatus.downloadedLocation) {
+                        return;
+                    }
+                    var known = null;
+                    var packages = State().packages.filter(function (other) {
+                        if (other.version === entry.version && IsCrd(other) === IsCrd(entry)) {
+                            known = other;
+                            return false;
+                        }
+                        return true;
+                    });
+                    if (known && angular.equals(known.downloadStatus, entry.downloadStatus)) {
+                        return;
+                    }
+                    entry.installDate = entry.installDate || (known && known.installDate) || Date.now();
+                    state.packages = [entry].concat(packages).slice(0, maxPackageCount);
+                    Save();
+                },
+
+                //! Resolves with the previously installed drivers whose package
+                //! is still on disk, newest version first.
+                packages: function () {
+                    var updatesService = $injector.get('updatesService');
+                    // GFE 3.24 has no rollback list.
+                    var rollbackList = $injector.has('rollbackService') ? $injector.get('rollbackService').getRollbackList() : [];
+
+                    return $q.all([
+                        $q.when(rollbackList).catch(function (err) {
+                            logger.warn('failed to get the rollback list', err);
+                            return [];
+                        }),
+                        $q.when(updatesService.getInstalledDriver()).catch(function () {
+                            return null;
+                        })
+                    ]).then(function (results) {
+                        var installed = results[1];
+                        var candidates = [];
+                        (results[0] || []).map(PackageOf).concat(State().packages).forEach(function (entry) {
+                            var isInstalled = installed && String(installed.version) === entry.version && IsCrd(installed) === IsCrd(entry);
+                            var isKnown = candidates.some(function (candidate) {
+                                return candidate.version === entry.version && IsCrd(candidate) === IsCrd(entry);
+                            });
+                            if (!isInstalled && !isKnown) {
+                                candidates.push(angular.copy(entry));
+                            }
+                        });
+
+                        var paths = [];
+                        candidates.forEach(function (candidate) {
+                            [candidate.downloadStatus.extractedPath, candidate.downloadStatus.downloadedLocation].forEach(function (path) {
+                                if (path && paths.indexOf(path) < 0) {
+                                    paths.push(path);
+                                }
+                            });
+                        });
+                        if (!paths.length) {
+                            return [];
+                        }
+
+                        return nvNode.request('POST', checkPath, { paths: paths }).then(function (result) {
+                            return candidates.filter(function (candidate) {
+                                var status = candidate.downloadStatus;
+                                status.extractedPath = result.paths[status.extractedPath] ? status.extractedPath : '';
+                                status.downloadedLocation = result.paths[status.downloadedLocation] ? status.downloadedLocation : '';
+                                return status.extractedPath || status.downloadedLocation;
+                            }).sort(function (a, b) {
+                                return CompareVersions(b.version, a.version);
+                            });
+                        });
+                    });
+                },
+
+                //! Installs a package of packages(), like GFE's install button
+                //! (express installation), then pins its version if asked.
+                //! Resolves and rejects as InstallationResult.
+                rollback: function (driver, pin) {
+                    logger.info('rolling back to driver', driver.version);
+                    var result = InstallationResult();
+                    $injector.get('updatesService').beginInstallation(KeepPaths(angular.copy(driver)), false, false);
+                    return result.then(function (outcome) {
+                        return pin ? service.setPin(driver).then(function () {
+                            return outcome;
+                        }) : outcome;
+                    });
+                },
+
+                //! For the preferencesService decorator: the original get and
+                //! set of the background download preference.
+                usePreference: function (get, set) {
+                    preference = { get: get, set: set };
+                },
+
+                //! Background download preference, the user's choice while
+                //! pinned.
+                getAutoDownload: function () {
+                    return State().pin && state.autoDownload !== undefined ? $q.resolve(state.autoDownload) : Preference().get();
+                },
+
+                setAutoDownload: function (enabled) {
+                    if (!State().pin) {
+                        return Preference().set(enabled);
+                    }
+                    state.autoDownload = !!enabled;
+                    Save();
+                    return $q.resolve();
+                },
+
+                //! Keeps GFE's background download off if a version is pinned.
+                holdAutoDownload: function () {
+                    return State().pin ? HoldAutoDownload() : $q.resolve();
+                }
+            };
+
+            return service;
+        }]);
+
+    main.component('baiGfeDriverPinning', {
+        template: panelTemplate,
+        controllerAs: 'driverPinning',
+        bindings: {
+            updates: '<'
+        },
+        controller: ['$log', '$mdDialog', '$q', 'baiGfeDriverPinning', function ($log, $mdDialog, $q, driverPinning) {
+            var logger = $log.getInstance('baiGfe/driverPinning/panel');
+            var panel = this;
+
+            panel.packages = [];
+            panel.pinOnRollback = true;
+            panel.busy = false;
+            panel.message = '';
+
+            panel.pin = driverPinning.pin;
+            panel.heldBack = driverPinning.heldBack;
+
+            panel.label = function (driver) {
+                var type = driver.type !== undefined ? driver.type : driverPinning.type(driver);
+                return (IsCrd(driver) ? 'Studio' : 'Game Ready') + (type === driverPinning.type({ isBeta: true }) ? ' beta' : '');
+            };
+
+            //! Returns the installed driver and the drivers offered, but the
+            //! pinned one.
+            panel.pinnable = function () {
+                var updates = panel.updates || {};
+                var drivers = (updates.installedDriver ? [updates.installedDriver] : []).concat(updates.driverUpdateList || []);
+                return drivers.filter(function (driver) {
+                    return driver && driver.version && !driverPinning.isPinned(driver);
+                });
+            };
+
+            function Refresh() {
+                if (panel.updates && angular.isFunction(panel.updates.refreshUI)) {
+                    panel.updates.refreshUI();
+                }
+                return driverPinning.packages().then(function (packages) {
+                    panel.packages = packages;
+                }).catch(function (err) {
+                    logger.error('failed to list the driver packages', err);
+                    panel.packages = [];
+                    panel.message = 'The previous drivers on disk can\'t be listed, this needs the patched NvNode.';
+                });
+            }
+
+            function Run(action, failureMessage) {
+                panel.busy = true;
+                panel.message = '';
+                return action().then(Refresh).catch(function (err) {
+                    logger.error('driver pinning failed', err);
+                    panel.message = failureMessage;
+                }).finally(function () {
+                    panel.busy = false;
+                });
+            }
+
+            var preferenceFailure = 'The driver download preference could not be changed.';
+
+            var rollbackMessages = {
+                installed: 'Rolled back to {{version}}.',
+                restart: 'Rolled back to {{version}}, restart the PC to finish.',
+                failed: 'The installation of {{version}} failed.',
+                cancelled: 'The rollback to {{version}} was cancelled.',
+                error: 'The rollback to {{version}} could not be completed.'
+            };
+
+            function RollbackMessage(outcome, driver) {
+                return rollbackMessages[outcome].replace('{{version}}', driver.version);
+            }
+
+            panel.pinDriver = function (driver) {
+                return Run(function () {
+                    return driverPinning.setPin(driver);
+                }, preferenceFailure);
+            };
+
+            panel.unpin = function () {
+                return Run(driverPinning.unpin, preferenceFailure);
+            };
+
+            panel.rollback = function (driver) {
+                var confirm = $mdDialog.confirm()
+                    .title('Roll back to ' + driver.version + '?')
+                    .textContent('The ' + panel.label(driver) + ' driver ' + driver.version + ' replaces the installed one' +
+                        (panel.pinOnRollback ? ', and newer drivers are no longer offered until you unpin it.' : '.'))
+                    .ok('Roll back')
+                    .cancel('Cancel');
+
+                return $mdDialog.show(confirm).then(function () {
+                    var outcome;
+                    return Run(function () {
+                        return driverPinning.rollback(driver, panel.pinOnRollback).then(function (result) {
+                            outcome = result;
+                        }, function (result) {
+                            if (result !== 'failed' && result !== 'cancelled') {
+                                return $q.reject(result);
+                            }
+                            outcome = result;
+                        });
+                    }, RollbackMessage('error', driver)).then(function () {
+                        if (outcome) {
+                            panel.message = RollbackMessage(outcome, driver);
+                        }
+                    });
+                }, function () {
+                    // Not confirmed.
+                });
+            };
+
+            panel.$onInit = function () {
+                Refresh();
+            };
+        }]
+    });
+
+    main.config(['$provide', 'baiGfeControllerHooksProvider', function ($provide, controllerHooks) {
+        $provide.decorator('updatesService', ['$delegate', '$injector', function ($delegate, $injector) {
+            var getUpdateDetails = $delegate.getUpdateDetails;
+            var getInstalledDriver = $delegate.getInstalledDriver;
+
+            // updatesService calls them on itself too.
+            if (angular.isFunction(getUpdateDetails)) {
+                $delegate.getUpdateDetails = function () {
+                    return getUpdateDetails.apply(this, arguments).then(function (drivers) {
+                        return $injector.get('baiGfeDriverPinning').filter(drivers);
+                    });
+                };
+            }
+            if (angular.isFunction(getInstalledDriver)) {
+                $delegate.getInstalledDriver = function () {
+                    return getInstalledDriver.apply(this, arguments).then(function (driver) {
+                        $injector.get('baiGfeDriverPinning').record(driver);
+                        return driver;
+                    });
+                };
+            }
+            return $delegate;
+        }]);
+
+        $provide.decorator('preferencesService', ['$delegate', '$injector', function ($delegate, $injector) {
+            var get = $delegate.getAutoDownloadDriverUpdates;
+            var set = $delegate.setAutoDownloadDriverUpdates;
+            if (!angular.isFunction(get) || !angular.isFunction(set)) {
+                return $delegate;
+            }
+
+            var driverPinning = $injector.get('baiGfeDriverPinning');
+            driverPinning.usePreference(get.bind($delegate), set.bind($delegate));
+            $delegate.getAutoDownloadDriverUpdates = function () {
+                return driverPinning.getAutoDownload();
+            };
+            $delegate.setAutoDownloadDriverUpdates = function (enabled) {
+                return driverPinning.setAutoDownload(enabled);
+            };
+            return $delegate;
+        }]);
+
+        controllerHooks.register('UpdatesDriverController', ['controller', 'baiGfeDriverPinning', function (updatesDriver, driverPinning) {
+            if (angular.isFunction(updatesDriver.getAvlDriverType)) {
+                driverPinning.useDriverTypes(updatesDriver.getAvlDriverType);
+            }
+        }]);
+
+        // Add the panel between the drivers offered and the installed one.
+        $provide.decorator('nvUpdatesDriverDirective', ['$delegate', function ($delegate) {
+            var directive = $delegate[0];
+            var template = directive.template;
+            var anchor = '<div ng-if=updatesDriver.installedDriver>';
+            var panel = '<bai-gfe-driver-pinning updates=updatesDriver></bai-gfe-driver-pinning>';
+
+            directive.template = function () {
+                var html = angular.isFunction(template) ? template.apply(this, arguments) : template;
+                return html.indexOf(anchor) >= 0 ? html.replace(anchor, panel + ' ' + anchor) : html + panel;
+            };
+
+            return $delegate;
+        }]);
+    }]);
+
+    main.run(['$log', 'baiGfeDriverPinning', function ($log, driverPinning) {
+        // The background download may have been turned on by another GFE
+        // version, or before the pin was set.
+        driverPinning.holdAutoDownload().catch(function (err) {
+            $log.getInstance('baiGfe/driverPinning').error('failed to turn off the background driver download', err);
+        });
+    }]);
+})(window.angular);
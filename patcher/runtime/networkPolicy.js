@@ -0,0 +1,122 @@
+//
+// Network policy.
+//
+// The README's FULL and LITE hosts file blocklists as an $http interceptor:
+// every request made by the UI, including the NvEndpointFactory endpoints
+// (gfwslEndpoints, gfservicesEndpoints, nvSpCapsEndpoints,
+// geolocationEndpoints, gfnCloudGamesEndpoints, gfwslArticleEndpoints...),
+// is checked against baiGfeConfig.network:
+//
+//     profile  "full" (block), "lite" or "open", the hosts denied by default
+//     deny     more hosts to deny
+//     allow    hosts to let through anyway, wins over profile and deny
+//
+// A denied request is not sent: it fails the way angular reports a request
+// without answer (status -1), which GFE already handles as being offline.
+// Images and CEF's own requests don't go through $http, the hosts file is
+// still needed to block those.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    // Same lists as the README.
+    var liteHosts = [
+        'ls.dtrace.nvidia.com',
+        'telemetry.gfe.nvidia.com',
+        'accounts.nvgs.nvidia.com',
+        'nvidia.tt.omtrdc.net',
+        'api.commune.ly',
+        'login.nvgs.nvidia.cn'
+    ];
+
+    var fullHosts = liteHosts.concat([
+        'gfe.nvidia.com',
+        'gfwsl.geforce.com',
+        'services.gfe.nvidia.com',
+        'events.gfe.nvidia.com',
+        'img.nvidiagrid.net',
+        'images.nvidiagrid.net',
+        'images.nvidia.com',
+        'ota.nvidia.com',
+        'rds-assets.nvidia.com',
+        'assets.nvidiagrid.net'
+    ]);
+
+    var profiles = {
+        full: fullHosts,
+        lite: liteHosts,
+        open: []
+    };
+
+    //! Returns the lower case host of an absolute http(s) URL, '' for relative URLs.
+    function HostOf(url) {
+        var match = /^https?:\/\/([^\/?#:]+)/i.exec(url || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    //! Returns whether the host matches one of the rules: a host name, or
+    //! "*.example.com" for example.com and its subdomains.
+    function Matches(host, rules) {
+        return rules.some(function (rule) {
+            rule = rule.toLowerCase();
+            if (rule.indexOf('*.') === 0) {
+                var domain = rule.slice(2);
+                return host === domain || host.slice(-(domain.length + 1)) === '.' + domain;
+            }
+            return host === rule;
+        });
+    }
+
+    main.factory('baiGfeNetworkPolicy', ['baiGfeConfig', function (config) {
+        var network = config.network;
+        var denied = profiles[network.profile].concat(network.deny);
+
+        return {
+            profile: network.profile,
+
+            //! Returns whether the UI may send a request to the URL.
+            allows: function (url) {
+                var host = HostOf(url);
+                return !host || Matches(host, network.allow) || !Matches(host, denied);
+            }
+        };
+    }]);
+
+    main.factory('baiGfeNetworkPolicyInterceptor', ['$q', '$log', 'baiGfeNetworkPolicy', function ($q, $log, policy) {
+        var logger = $log.getInstance('baiGfe/networkPolicy');
+
+        return {
+            request: function (config) {
+                if (policy.allows(config.url)) {
+                    return config;
+                }
+
+                logger.info('denied by the', policy.profile, 'network profile:', config.method, config.url);
+                return $q.reject({
+                    data: null,
+                    status: -1,
+                    headers: function () {
+                        return null;
+                    },
+                    config: config,
+                    statusText: '',
+                    xhrStatus: 'error'
+                });
+            }
+        };
+    }]);
+
+    main.config(['$httpProvider', 'baiGfeConfig', function ($httpProvider, config) {
+        if (config.network.profile === 'open' && !config.network.deny.length) {
+            return;
+        }
+
+        // Last in the chain, after GFE's opentracingHttpInterceptor and
+        // httpLoggingService: a denied request still gets its span closed and
+        // its failure logged, as for any request without answer.
+        $httpProvider.interceptors.push('baiGfeNetworkPolicyInterceptor');
+    }]);
+})(window.angular);
@@ -0,0 +1,660 @@
+//
+// Offline game optimization cache.
+//
+// GameSettingsController's optimal settings and VopsController's preview need
+// NVIDIA's optimization service: when its hosts are blocked (the FULL
+// BLOCKLIST, network.profile "full") the game settings show "unable to
+// retrieve settings" and the preview "unavailable". This keeps the last data
+// GFE got for each game, per GPU, in NvNode (NvOptimizationCacheAPI.js):
+//
+//     - what the game objects return for the slider settings and the
+//       recommended resolutions and display modes,
+//     - the settings spaces (getSettingsSpace) and the optimal settings and
+//       below min spec flags read from them,
+//     - the VOPS preview (GAMEVOPS_FINISHED), whose images NvNode downloads,
+//       and the settings translations (SETTINGS_TRANSLATION_FINISHED).
+//
+// When GFE gets nothing, the game objects return the kept values instead, and
+// the failed VOPS and translation events are followed by the kept data. The
+// game settings view then shows the age of the data it uses. Optimizing still
+// goes through GFE, which applies the settings itself.
+//
+// Preferences > Games gets an "Offline optimization data" panel listing what
+// is kept for this GPU, to export it to a snapshot file and import one, like
+// the snapshot NvNode imports on startup for PCs that never reach the service.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var gamesPath = '/OptimizationCache/v.1.0/Games';
+    var imagesPath = '/OptimizationCache/v.1.0/Images';
+    var exportPath = '/OptimizationCache/v.1.0/Export';
+    var importPath = '/OptimizationCache/v.1.0/Import';
+
+    // Game object methods whose last value is kept.
+    var getters = ['getSliderSettings', 'getRecommendedACResolution', 'getRecommendedACDisplayMode',
+        'getRecommendedDCResolution', 'getRecommendedDCDisplayMode'];
+
+    // Game object methods reading a settings space, whose last value is kept
+    // with the space.
+    var spaceGetters = ['getOptimalACSettings', 'getOptimalDCSettings', 'getRecommendedACBelowMinspec',
+        'getRecommendedDCBelowMinspec'];
+
+    // Settings spaces kept per game (resolution and display mode pairs), the
+    // oldest ones are dropped.
+    var maxSpaceCount = 8;
+
+    // Unchanged data is saved again after a day, so that its age stays the age
+    // of the last data GFE got.
+    var refreshAfterMs = 24 * 60 * 60 * 1000;
+
+    // Changes of a game are saved together.
+    var saveDelayMs = 2000;
+
+    var spaceKeyProperty = 'baiGfeOptimizationCacheKey';
+
+    var ageTemplate =
+        '<p class="bai-gfe-optimization-cache-age font-size-sm" ng-if=cacheAge.servedFrom()>' +
+        'NVIDIA\'s optimization service is not available, these are the settings it gave on ' +
+        '{{cacheAge.servedFrom() | date:\'medium\'}} ({{cacheAge.age()}} ago).' +
+        '</p>';
+
+    var panelTemplate =
+        '<div class="preferences-preference-section md-primary md-hue-3 background" flex>' +
+        '<div class=preferences-section-header>' +
+        '<h4 class="color-white-hue-3 font-size-lg font-uppercase">Offline optimization data</h4>' +
+        '</div>' +
+        '<div layout=column layout-align="start stretch" class="preferences-section-content">' +
+        '<p class=font-size-sm>The optimization data of {{optimizationCache.entries.length}} game(s) is kept for ' +
+        '{{optimizationCache.gpu || \'this GPU\'}}, for when NVIDIA\'s optimization service can\'t be reached.' +
+        '<span ng-if=optimizationCache.entries.length> Newest: {{optimizationCache.age(optimizationCache.newest())}}, ' +
+        'oldest: {{optimizationCache.age(optimizationCache.oldest())}}.</span></p>' +
+        '<table class=font-size-sm ng-if=optimizationCache.showList>' +
+        '<tr><th>Game</th><th>Saved</th><th>Age</th></tr>' +
+        '<tr ng-repeat="entry in optimizationCache.entries">' +
+        '<td>{{entry.gameName || entry.gameId}}</td><td>{{entry.savedAt | date:\'medium\'}}</td>' +
+        '<td>{{optimizationCache.age(entry.savedAt)}}</td>' +
+        '</tr>' +
+        '</table>' +
+        '<p class=font-size-sm ng-if=optimizationCache.message>{{optimizationCache.message}}</p>' +
+        '<div layout=row>' +
+        '<md-button ng-if=optimizationCache.entries.length ng-click="optimizationCache.showList = !optimizationCache.showList">' +
+        '{{optimizationCache.showList ? \'Hide games\' : \'Show games\'}}</md-button>' +
+        '<md-button class=md-raised ng-disabled=optimizationCache.busy ng-click=optimizationCache.exportSnapshot()>Export</md-button>' +
+        '<md-button class=md-raised ng-disabled=optimizationCache.busy ng-click=optimizationCache.importSnapshot()>Import</md-button>' +
+        '</div>' +
+        '</div>' +
+        '</div>';
+
+    //! Returns a copy that can be stored as JSON, null for undefined.
+    function Clone(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    //! True when GFE has no value: null, undefined, or an empty object or
+    //! array.
+    function IsMissing(value) {
+        return value === null || value === undefined || angular.isObject(value) && !Object.keys(value).length;
+    }
+
+    //! Returns the key of the settings space of a resolution (a value of
+    //! getSliderSettings, or the value itself) and a display mode.
+    function SpaceKey(resolution, displayMode) {
+        var value = angular.isObject(resolution) && resolution.value !== undefined ? resolution.value : resolution;
+        return angular.toJson([value === undefined ? null : value, displayMode === undefined ? null : displayMode]);
+    }
+
+    //! Returns how long ago an ISO date was, like "3 days".
+    function Age(time) {
+        var minutes = Math.max(0, Math.floor((Date.now() - Date.parse(time)) / 60000));
+        if (isNaN(minutes)) {
+            return '-';
+        }
+        if (minutes < 1) {
+            return 'less than a minute';
+        }
+        if (minutes < 60) {
+            return minutes + ' minute(s)';
+        }
+        if (minutes < 48 * 60) {
+            return Math.floor(minutes / 60) + ' hour(s)';
+        }
+        return Math.floor(minutes / (24 * 60)) + ' day(s)';
+    }
+
+    main.factory('baiGfeOptimizationCache', ['$log', '$q', '$timeout', 'baiGfeNvNode', 'hardwareService',
+        function ($log, $q, $timeout, nvNode, hardwareService) {
+            var logger = $log.getInstance('baiGfe/optimizationCache');
+            var loading = null;
+            var gpu = null;
+            // Entries of the GPU by game id: {gameId, gameName, savedAt, data,
+            // imageCount}.
+            var entries = {};
+            // Date of the kept data each game uses, by game id.
+            var served = {};
+            var pendingSaves = {};
+            var gamesById = {};
+            var gamesByShortName = {};
+
+            //! Resolves with the entries of the GPU. Retried on the next call if
+            //! the GPU or the entries couldn't be read.
+            function Load() {
+                if (!loading) {
+                    loading = $q.when(hardwareService.getSystemInfo()).then(function (info) {
+                        var name = info && info.GPU && info.GPU[0] && info.GPU[0].LongGPUName;
+                        if (!angular.isString(name) || !name) {
+                            throw new Error('no GPU name in the system info');
+                        }
+                        gpu = name;
+                        return nvNode.request('GET', gamesPath, undefined, { gpu: gpu });
+                    }).then(function (list) {
+                        // Changes not saved yet are newer than NvNode's entries.
+                        (list || []).forEach(function (entry) {
+                            if (!entries[entry.gameId] || entries[entry.gameId].savedAt < entry.savedAt) {
+                                entries[entry.gameId] = entry;
+                            }
+                        });
+                        return entries;
+                    });
+                    loading.catch(function (err) {
+                        logger.warn('optimization cache not available', err);
+                        loading = null;
+                    });
+                }
+                return loading;
+            }
+
+            function Entry(game) {
+                return game && game.id !== undefined ? entries[String(game.id)] : undefined;
+            }
+
+            function Data(game) {
+                var entry = Entry(game);
+                return entry ? entry.data : {};
+            }
+
+            function IsStale(game) {
+                var entry = Entry(game);
+                return !entry || !(Date.now() - Date.parse(entry.savedAt) < refreshAfterMs);
+            }
+
+            //! Returns the URLs of the images of a VOPS preview.
+            function ImageUrls(vops) {
+                var urls = [];
+                (vops && vops.settingInfo || []).forEach(function (setting) {
+                    if (angular.isString(setting.image) && /^https?:/i.test(setting.image) && urls.indexOf(setting.image) < 0) {
+                        urls.push(setting.image);
+                    }
+                });
+                return urls;
+            }
+
+            function Save(gameId) {
+                var entry = entries[gameId];
+                delete pendingSaves[gameId];
+                nvNode.request('POST', gamesPath, {
+                    gpu: gpu,
+                    gameId: entry.gameId,
+                    gameName: entry.gameName,
+                    data: entry.data,
+                    imageUrls: ImageUrls(entry.data.vops)
+                }).then(function (result) {
+                    entry.imageCount = result.imageCount;
+                }).catch(function (err) {
+                    logger.warn('failed to save the optimization data of game', gameId, err);
+                });
+            }
+
+            //! Updates the entry of a game with change(data), data being a copy
+            //! of its kept data, and saves it shortly.
+            function Keep(game, change) {
+                if (!gpu || !game || game.id === undefined) {
+                    return;
+                }
+                var gameId = String(game.id);
+                var entry = entries[gameId];
+                var data = entry ? angular.copy(entry.data) : {};
+                change(data);
+                entries[gameId] = {
+                    gameId: gameId,
+                    gameName: game.displayName || game.shortName || (entry && entry.gameName) || '',
+                    savedAt: new Date().toISOString(),
+                    data: data,
+                    imageCount: entry ? entry.imageCount : 0
+                };
+                if (!pendingSaves[gameId]) {
+                    pendingSaves[gameId] = $timeout(function () {
+                        Save(gameId);
+                    }, saveDelayMs, false);
+                }
+            }
+
+            function Serve(game) {
+                served[String(game.id)] = Entry(game).savedAt;
+            }
+
+            //! Replaces holder[method] of a game, holder being the game or its
+            //! prototype, once.
+            function Wrap(game, method, wrapper) {
+                var holder = Object.prototype.hasOwnProperty.call(game, method) ? game : Object.getPrototypeOf(game);
+                var original = holder && holder[method];
+                if (!angular.isFunction(original) || original.baiGfeOptimizationCache) {
+                    return;
+                }
+                holder[method] = wrapper(original);
+                holder[method].baiGfeOptimizationCache = true;
+            }
+
+            function WrapGetter(original, method) {
+                return function () {
+                    var value = original.apply(this, arguments);
+                    var kept = Data(this).values && Data(this).values[method];
+                    if (IsMissing(value)) {
+                        if (!IsMissing(kept)) {
+                            Serve(this);
+                            return angular.copy(kept);
+                        }
+                    } else if (!angular.equals(value, kept) || IsStale(this)) {
+                        Keep(this, function (data) {
+                            data.values = data.values || {};
+                            data.values[method] = Clone(value);
+                        });
+                    }
+                    return value;
+                };
+            }
+
+            function WrapSpaceGetter(original, method) {
+                return function (space) {
+                    var key = space && space[spaceKeyProperty];
+                    var kept = key && Data(this).spaces && Data(this).spaces[key];
+                    var value;
+                    try {
+                        value = original.apply(this, arguments);
+                    } catch (err) {
+                        if (!kept || !kept.values || kept.values[method] === undefined) {
+                            throw err;
+                        }
+                        value = undefined;
+                    }
+                    if (!kept) {
+                        return value;
+                    }
+                    if (IsMissing(value)) {
+                        if (kept.values && !IsMissing(kept.values[method])) {
+                            Serve(this);
+                            return angular.copy(kept.values[method]);
+                        }
+                    } else if (!kept.values || !angular.equals(value, kept.values[method])) {
+                        Keep(this, function (data) {
+                            data.spaces[key].values = data.spaces[key].values || {};
+                            data.spaces[key].values[method] = Clone(value);
+                        });
+                    }
+                    return value;
+                };
+            }
+
+            //! Tags a settings space with its key, for the space getters.
+            function TagSpace(space, key) {
+                if (angular.isObject(space) && !space[spaceKeyProperty]) {
+                    Object.defineProperty(space, spaceKeyProperty, { value: key });
+                }
+                return space;
+            }
+
+            function WrapSettingsSpace(original) {
+                return function (resolution, displayMode) {
+                    var game = this;
+                    var key = SpaceKey(resolution, displayMode);
+                    var request = original.apply(this, arguments);
+
+                    var result = $q.when(request).then(function (space) {
+                        var kept = Data(game).spaces && Data(game).spaces[key];
+                        delete served[String(game.id)];
+                        if (!kept || !angular.equals(space, kept.space) || IsStale(game)) {
+                            Keep(game, function (data) {
+                                data.spaces = data.spaces || {};
+                                var previous = data.spaces[key];
+                                delete data.spaces[key];
+                                var keys = Object.keys(data.spaces);
+                                keys.slice(0, Math.max(0, keys.length - maxSpaceCount + 1)).forEach(function (old) {
+                                    delete data.spaces[old];
+                                });
+                                data.spaces[key] = {
+                                    space: Clone(space),
+                                    values: previous && angular.equals(space, previous.space) ? previous.values : {}
+                                };
+                            });
+                        }
+                        return TagSpace(space, key);
+                    }, function (err) {
+                        var kept = Data(game).spaces && Data(game).spaces[key];
+                        if (!kept || err && err.isCancelled) {
+                            return $q.reject(err);
+                        }
+                        logger.info('using the kept settings space of game', game.id, 'after', err);
+                        Serve(game);
+                        return TagSpace(angular.copy(kept.space), key);
+                    });
+
+                    // GameSettingsController cancels the requests it no longer needs.
+                    if (request && angular.isFunction(request.cancel)) {
+                        result.cancel = function () {
+                            return request.cancel.apply(request, arguments);
+                        };
+                    }
+                    return result;
+                };
+            }
+
+            //! Makes a GFE game object use and update the cache.
+            function Watch(game) {
+                if (!angular.isObject(game) || game.id === undefined) {
+                    return game;
+                }
+                gamesById[String(game.id)] = game;
+                if (game.shortName) {
+                    gamesByShortName[game.shortName] = game;
+                }
+                getters.forEach(function (method) {
+                    Wrap(game, method, function (original) {
+                        return WrapGetter(original, method);
+                    });
+                });
+                spaceGetters.forEach(function (method) {
+                    Wrap(game, method, function (original) {
+                        return WrapSpaceGetter(original, method);
+                    });
+                });
+                Wrap(game, 'getSettingsSpace', WrapSettingsSpace);
+                return game;
+            }
+
+            //! Resolves with the kept VOPS preview of a game, its images
+            //! replaced with the ones NvNode downloaded.
+            function KeptVops(game) {
+                var vops = angular.copy(Data(game).vops);
+                return nvNode.request('GET', imagesPath, undefined, { gpu: gpu, gameId: String(game.id) }).then(function (result) {
+                    var images = result && result.images || {};
+                    vops.settingInfo.forEach(function (setting) {
+                        if (images[setting.image]) {
+                            setting.image = images[setting.image];
+                        }
+                    });
+                    return vops;
+                }, function (err) {
+                    logger.warn('no kept images for game', game.id, err);
+                    return vops;
+                });
+            }
+
+            return {
+                load: Load,
+
+                watch: Watch,
+
+                //! Returns the GPU name the entries are kept for, null before
+                //! load().
+                gpu: function () {
+                    return gpu;
+                },
+
+                //! Returns the entries of the GPU, newest first.
+                entries: function () {
+                    return Object.keys(entries).map(function (gameId) {
+                        return entries[gameId];
+                    }).sort(function (a, b) {
+                        return a.savedAt < b.savedAt ? 1 : a.savedAt > b.savedAt ? -1 : 0;
+                    });
+                },
+
+                //! Returns the date of the kept data a game uses, null if it
+                //! uses GFE's.
+                servedFrom: function (gameId) {
+                    return served[String(gameId)] || null;
+                },
+
+                age: Age,
+
+                //! Keeps a VOPS preview (GAMEVOPS_FINISHED).
+                keepVops: function (shortName, vops) {
+                    var game = gamesByShortName[shortName];
+                    if (game && !IsMissing(vops) && angular.isArray(vops.settingInfo)) {
+                        delete served[String(game.id)];
+                        if (!angular.equals(vops, Data(game).vops) || IsStale(game)) {
+                            Keep(game, function (data) {
+                                data.vops = Clone(vops);
+                            });
+                        }
+                    }
+                },
+
+                //! Resolves with the kept VOPS preview of a game, rejects if
+                //! there is none.
+                keptVops: function (shortName) {
+                    var game = gamesByShortName[shortName];
+                    var vops = game && Data(game).vops;
+                    if (!vops || !angular.isArray(vops.settingInfo)) {
+                        return $q.reject(new Error('no kept VOPS preview for ' + shortName));
+                    }
+                    Serve(game);
+                    return KeptVops(game);
+                },
+
+                //! Keeps the settings translations of a game
+                //! (SETTINGS_TRANSLATION_FINISHED).
+                keepTranslation: function (gameId, translation) {
+                    var game = gamesById[String(gameId)];
+                    if (game && !IsMissing(translation) && (!angular.equals(translation, Data(game).translation) || IsStale(game))) {
+                        Keep(game, function (data) {
+                            data.translation = Clone(translation);
+                        });
+                    }
+                },
+
+                //! Returns the kept settings translations of a game, null if
+                //! there are none.
+                keptTranslation: function (gameId) {
+                    var game = gamesById[String(gameId)];
+                    var translation = game && Data(game).translation;
+                    if (IsMissing(translation)) {
+                        return null;
+                    }
+                    Serve(game);
+                    return angular.copy(translation);
+                },
+
+                //! Writes every kept entry, with its images, to a new snapshot
+                //! file in the given directory, resolves with {path, count}.
+                exportSnapshot: function (directory) {
+                    return nvNode.request('POST', exportPath, { directory: directory });
+                },
+
+                //! Imports the newer entries of a snapshot file, resolves with
+                //! {imported, skipped} once they are loaded.
+                importSnapshot: function (path) {
+                    return nvNode.request('POST', importPath, { path: path }).then(function (result) {
+                        loading = null;
+                        return Load().then(function () {
+                            return result;
+                        });
+                    });
+                }
+            };
+        }]);
+
+    main.component('baiGfeOptimizationCacheAge', {
+        template: ageTemplate,
+        controllerAs: 'cacheAge',
+        bindings: {
+            game: '<'
+        },
+        controller: ['baiGfeOptimizationCache', function (optimizationCache) {
+            var panel = this;
+
+            panel.servedFrom = function () {
+                return panel.game ? optimizationCache.servedFrom(panel.game.id) : null;
+            };
+
+            panel.age = function () {
+                return optimizationCache.age(panel.servedFrom());
+            };
+        }]
+    });
+
+    main.component('baiGfeOptimizationCache', {
+        template: panelTemplate,
+        controllerAs: 'optimizationCache',
+        controller: ['$log', 'cefService', 'baiGfeOptimizationCache', function ($log, cefService, optimizationCache) {
+            var logger = $log.getInstance('baiGfe/optimizationCache/panel');
+            var panel = this;
+
+            panel.entries = [];
+            panel.gpu = null;
+            panel.showList = false;
+            panel.busy = false;
+            panel.message = '';
+            panel.age = optimizationCache.age;
+
+            function Refresh() {
+                panel.entries = optimizationCache.entries();
+                panel.gpu = optimizationCache.gpu();
+            }
+
+            function Cancelled(err) {
+                if (!err || !err.isCancelled) {
+                    logger.error('cefService.localDirectoryExplorer failed', err);
+                }
+            }
+
+            function Done() {
+                panel.busy = false;
+                Refresh();
+            }
+
+            panel.newest = function () {
+                return panel.entries.length ? panel.entries[0].savedAt : null;
+            };
+
+            panel.oldest = function () {
+                return panel.entries.length ? panel.entries[panel.entries.length - 1].savedAt : null;
+            };
+
+            panel.exportSnapshot = function () {
+                return cefService.localDirectoryExplorer(false, {}, true).then(function (directory) {
+                    panel.busy = true;
+                    panel.message = '';
+                    return optimizationCache.exportSnapshot(directory).then(function (result) {
+                        panel.message = result.count + ' game(s) exported to ' + result.path;
+                    }).catch(function (err) {
+                        logger.error('failed to export the optimization data', err);
+                        panel.message = 'Export failed, or NvNode is not patched.';
+                    }).finally(Done);
+                }).catch(Cancelled);
+            };
+
+            panel.importSnapshot = function () {
+                return cefService.localDirectoryExplorer(true, { 'Optimization data snapshots': '*.json' }, true).then(function (path) {
+                    panel.busy = true;
+                    panel.message = '';
+                    return optimizationCache.importSnapshot(path).then(function (result) {
+                        panel.message = result.imported + ' game(s) imported' +
+                            (result.skipped ? ', ' + result.skipped + ' skipped (older than the kept ones or invalid).' : '.');
+                    }).catch(function (err) {
+                        logger.error('failed to import the optimization data', err);
+                        panel.message = 'This file is not an optimization data snapshot, or NvNode is not patched.';
+                    }).finally(Done);
+                }).catch(Cancelled);
+            };
+
+            panel.$onInit = function () {
+                optimizationCache.load().finally(Refresh);
+            };
+        }]
+    });
+
+    main.config(['$provide', 'baiGfeControllerHooksProvider', 'baiGfeTemplatesProvider', function ($provide, controllerHooks, templates) {
+        // The game objects come from gamesService, the controllers below also
+        // get them from their bindings.
+        $provide.decorator('gamesService', ['$delegate', '$injector', function ($delegate, $injector) {
+            var getSystemGame = $delegate.getSystemGame;
+            if (angular.isFunction(getSystemGame)) {
+                $delegate.getSystemGame = function () {
+                    return $injector.get('baiGfeOptimizationCache').watch(getSystemGame.apply(this, arguments));
+                };
+            }
+            return $delegate;
+        }]);
+
+        controllerHooks.register('GameSettingsController', ['controller', 'baiGfeOptimizationCache', function (gameSettings, optimizationCache) {
+            optimizationCache.watch(gameSettings.nvSystemGame);
+        }]);
+
+        controllerHooks.register('CustomOpsController', ['controller', 'baiGfeOptimizationCache', function (customOps, optimizationCache) {
+            optimizationCache.watch(customOps.nvSystemGame);
+        }]);
+
+        controllerHooks.register('VopsController', ['controller', 'baiGfeOptimizationCache', function (vops, optimizationCache) {
+            optimizationCache.watch(vops.systemGame);
+        }]);
+
+        // Show the age of the kept data in the game settings view.
+        $provide.decorator('nvGameSettingsDirective', ['$delegate', function ($delegate) {
+            var directive = $delegate[0];
+            var template = directive.template;
+            var panel = '<bai-gfe-optimization-cache-age game=gameSettings.nvSystemGame></bai-gfe-optimization-cache-age>';
+
+            directive.template = function () {
+                var html = angular.isFunction(template) ? template.apply(this, arguments) : template;
+                return panel + html;
+            };
+
+            return $delegate;
+        }]);
+
+        // Add the panel to the first column of Preferences > Games.
+        templates.insertIntoTemplate('nvPreferencesGamesDirective', '</nv-preference-games-location>',
+            '<bai-gfe-optimization-cache ng-if=preferencesGames.isOpsSupported></bai-gfe-optimization-cache>');
+    }]);
+
+    main.run(['$timeout', 'eventAggregator', 'GAME_EVENTS', 'baiGfeOptimizationCache', function ($timeout, eventAggregator, gameEvents, optimizationCache) {
+        // The kept data is read synchronously by the game objects.
+        optimizationCache.load();
+
+        // The events sent from here are marked, so that they aren't kept again.
+        eventAggregator.on(gameEvents.GAMEVOPS_FINISHED, function (event) {
+            if (event && !event.baiGfeOptimizationCache) {
+                optimizationCache.keepVops(event.shortName, event.vopsData);
+            }
+        });
+
+        // VopsController sets its state on these events first, the kept
+        // preview then follows them.
+        function SendKeptVops(shortName) {
+            optimizationCache.keptVops(shortName).then(function (vops) {
+                eventAggregator.trigger(gameEvents.GAMEVOPS_FINISHED, { shortName: shortName, vopsData: vops, baiGfeOptimizationCache: true });
+            }, angular.noop);
+        }
+        eventAggregator.on(gameEvents.GAMEVOPS_FAILED, SendKeptVops);
+        eventAggregator.on(gameEvents.GAMEVOPS_UNAVAILABLE, SendKeptVops);
+
+        eventAggregator.on(gameEvents.SETTINGS_TRANSLATION_FINISHED, function (event) {
+            if (event && !event.baiGfeOptimizationCache) {
+                optimizationCache.keepTranslation(event.id, event.data);
+            }
+        });
+
+        eventAggregator.on(gameEvents.SETTINGS_TRANSLATION_FAILED, function (gameId) {
+            $timeout(function () {
+                var translation = optimizationCache.keptTranslation(gameId);
+                if (translation) {
+                    eventAggregator.trigger(gameEvents.SETTINGS_TRANSLATION_FINISHED, { id: gameId, data: translation, baiGfeOptimizationCache: true });
+                }
+            });
+        });
+    }]);
+})(window.angular);
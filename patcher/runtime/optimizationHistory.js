@@ -0,0 +1,419 @@
+//
+// Game optimization history.
+//
+// Before GameSettingsController optimizes or reverts a game, and before
+// CustomOpsController / CustomFpsController apply a custom slider position or
+// frame rate, the game's settings are saved as a snapshot: its current
+// settings and, for the plugged in (AC) and on battery (DC) profiles, the
+// optimization state, resolution, display mode (by name, as GFE passes it to
+// customizeAC / customizeDC), slider position and FPS target (Whisper mode /
+// Battery Boost). The settings are read before GFE's method runs, which is
+// called at once with its result returned, so GFE shows its progress as
+// usual. The last maxSnapshotCount snapshots of each game are kept in
+// localStorage.
+//
+// The game settings view gets an "Optimization history" list, where a
+// snapshot can be compared with the current settings and restored. GFE only
+// applies optimization states, so a restore brings each profile back to the
+// recorded one: the custom slider position, the optimal settings, or no
+// optimization (GFE's revert, which puts back the settings it saved before
+// optimizing the game).
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var storageKey = 'baiGfe.optimizationHistory';
+
+    var maxSnapshotCount = 10;
+
+    // Methods of GFE's game objects for each power profile, and the FPS target
+    // range of CustomFpsController.
+    var profiles = {
+        AC: {
+            label: 'Plugged in',
+            isOptimized: 'isACOptimized',
+            isCustomized: 'isACCustomized',
+            position: 'getOpsPositionAC',
+            settings: 'getRegularTargetSettingsAC',
+            resolution: 'getRecommendedACResolution',
+            displayMode: 'getRecommendedACDisplayMode',
+            recommendationAvailable: 'isACRecommendationAvailable',
+            optimal: 'getOptimalACSettings',
+            optimize: 'optimizeAC',
+            customize: 'customizeAC',
+            revert: 'revertACOptimization',
+            getFps: 'getQuietModeFRLState',
+            setFps: 'setQuietModeFRLState',
+            minFps: 30,
+            maxFps: 120
+        },
+        DC: {
+            label: 'On battery',
+            isOptimized: 'isDCOptimized',
+            isCustomized: 'isDCCustomized',
+            position: 'getOpsPositionDC',
+            settings: 'getRegularTargetSettingsDC',
+            resolution: 'getRecommendedDCResolution',
+            displayMode: 'getRecommendedDCDisplayMode',
+            recommendationAvailable: 'isDCRecommendationAvailable',
+            optimal: 'getOptimalDCSettings',
+            optimize: 'optimizeDC',
+            customize: 'customizeDC',
+            revert: 'revertDCOptimization',
+            getFps: 'getBatteryBoostFRLState',
+            setFps: 'setBatteryBoostFRLState',
+            minFps: 30,
+            maxFps: 60
+        }
+    };
+
+    var actionNames = {
+        optimize: 'Optimize',
+        revert: 'Revert',
+        customize: 'Custom settings',
+        fps: 'Custom FPS',
+        restore: 'Restore',
+        import: 'Import',
+        bulk: 'Bulk optimize'
+    };
+
+    var panelTemplate =
+        '<div class="bai-gfe-optimization-history font-size-sm" layout=column ng-if=history.snapshots.length>' +
+        '<h4 class="color-white-hue-3 font-size-lg font-uppercase">Optimization history</h4>' +
+        '<table>' +
+        '<tr><th>Time</th><th>Before</th><th>Plugged in</th><th>On battery</th><th></th></tr>' +
+        '<tr ng-repeat-start="snapshot in history.snapshots track by snapshot.id">' +
+        '<td>{{snapshot.time | date:\'medium\'}}</td><td>{{history.actionName(snapshot)}}</td>' +
+        '<td>{{history.describe(snapshot.AC)}}</td><td>{{history.describe(snapshot.DC)}}</td>' +
+        '<td><md-button ng-click=history.toggleDiff(snapshot)>Diff</md-button>' +
+        '<md-button class=md-raised ng-disabled=history.busy ng-click=history.restore(snapshot)>Restore</md-button></td>' +
+        '</tr>' +
+        '<tr ng-repeat-end ng-if="history.diff.snapshot === snapshot"><td colspan=5>' +
+        '<p ng-if=!history.diff.rows.length>Same as the current settings.</p>' +
+        '<table ng-if=history.diff.rows.length>' +
+        '<tr><th>Setting</th><th>Snapshot</th><th>Current</th></tr>' +
+        '<tr ng-repeat="row in history.diff.rows"><td>{{row.name}}</td><td>{{row.before}}</td><td>{{row.now}}</td></tr>' +
+        '</table>' +
+        '</td></tr>' +
+        '</table>' +
+        '<p ng-if=history.message>{{history.message}}</p>' +
+        '</div>';
+
+    //! Returns a copy that can be stored as JSON, null for undefined.
+    function Clone(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    //! Returns the name of a display mode, given as one of GFE's { name, ... }
+    //! display modes or already as a name.
+    function DisplayModeName(displayMode) {
+        return angular.isObject(displayMode) ? displayMode.name : displayMode;
+    }
+
+    main.factory('baiGfeOptimizationHistory', ['$log', '$q', '$window', 'baiGfeFormat', function ($log, $q, $window, format) {
+        var logger = $log.getInstance('baiGfe/optimizationHistory');
+        var history = null;
+        var version = 0;
+        var nextSequence = 1;
+
+        function History() {
+            if (!history) {
+                try {
+                    history = JSON.parse($window.localStorage.getItem(storageKey)) || {};
+                } catch (err) {
+                    logger.error('ignoring invalid optimization history', err);
+                    history = {};
+                }
+            }
+            return history;
+        }
+
+        function Save() {
+            version++;
+            try {
+                $window.localStorage.setItem(storageKey, JSON.stringify(history));
+            } catch (err) {
+                logger.error('failed to save optimization history', err);
+            }
+        }
+
+        //! Calls a method of a game object, returns undefined if the method is
+        //! missing or throws.
+        function Call(game, method, args) {
+            if (!angular.isFunction(game[method])) {
+                return undefined;
+            }
+            try {
+                return game[method].apply(game, args || []);
+            } catch (err) {
+                logger.warn(method, 'failed for game', game.id, err);
+                return undefined;
+            }
+        }
+
+        //! Resolves with the state of one power profile of a game.
+        function CaptureProfile(game, profile) {
+            var customized = !!Call(game, profile.isCustomized);
+            var position = customized ? Call(game, profile.position) : null;
+            var state = {
+                state: customized ? 'custom' : Call(game, profile.isOptimized) ? 'optimized' : 'notOptimized',
+                resolution: Clone(position && position.tweak ? position.tweak.resolution : Call(game, profile.resolution)),
+                displayMode: Clone(DisplayModeName(position && position.tweak ? position.tweak.displayMode : Call(game, profile.displayMode))),
+                sliderIndex: position ? position.settingsIndex : null,
+                settings: Clone(Call(game, profile.settings)),
+                fps: null
+            };
+
+            return $q.when(Call(game, profile.getFps)).then(function (fps) {
+                state.fps = fps && fps.data && fps.data.value !== undefined ? fps.data.value : null;
+                return state;
+            }, function () {
+                return state;
+            });
+        }
+
+        //! Resolves with the settings of a game, as stored in a snapshot. They
+        //! are read when it is called, only the FPS targets are awaited.
+        function Capture(game) {
+            var snapshot = {
+                gameId: game.id,
+                gameName: game.displayName || game.shortName,
+                currentSettings: Clone(Call(game, 'getCurrentSettings')),
+                AC: null,
+                DC: null
+            };
+            var dcDisabled = Call(game, 'isDCDisabled');
+
+            return $q.all([CaptureProfile(game, profiles.AC), CaptureProfile(game, profiles.DC)]).then(function (states) {
+                snapshot.AC = states[0];
+                snapshot.DC = dcDisabled ? null : states[1];
+                return snapshot;
+            });
+        }
+
+        function SameProfile(a, b) {
+            return a.state === b.state && angular.equals(a.resolution, b.resolution) &&
+                DisplayModeName(a.displayMode) === DisplayModeName(b.displayMode) && a.sliderIndex === b.sliderIndex;
+        }
+
+        //! Puts one profile of a game back to a recorded state.
+        function RestoreProfile(game, profile, recorded, current) {
+            var applied = $q.when();
+            if (!SameProfile(recorded, current)) {
+                applied = $q.when().then(function () {
+                    if (recorded.state === 'custom') {
+                        return game[profile.customize](recorded.resolution, DisplayModeName(recorded.displayMode), recorded.sliderIndex);
+                    }
+                    if (recorded.state === 'optimized') {
+                        return game[profile.optimize]();
+                    }
+                    if (current.state !== 'notOptimized') {
+                        return game[profile.revert]();
+                    }
+                });
+            }
+
+            return applied.then(function () {
+                if (recorded.fps !== null && recorded.fps !== current.fps && angular.isFunction(game[profile.setFps])) {
+                    return game[profile.setFps](recorded.fps);
+                }
+            });
+        }
+
+        var service = {
+            profiles: profiles,
+
+            displayModeName: DisplayModeName,
+
+            //! Incremented on every change, for watchers.
+            version: function () {
+                return version;
+            },
+
+            capture: Capture,
+
+            //! Saves a snapshot of the game's settings before the given action
+            //! (see actionNames), read when it is called. Resolves with the
+            //! snapshot, or null if the settings couldn't be read: the action
+            //! should go on anyway.
+            record: function (game, action) {
+                if (!game || game.id === undefined) {
+                    return $q.resolve(null);
+                }
+                return Capture(game).then(function (snapshot) {
+                    snapshot.id = Date.now() + '-' + nextSequence++;
+                    snapshot.time = new Date().toISOString();
+                    snapshot.action = action;
+
+                    var snapshots = History()[game.id] || [];
+                    History()[game.id] = [snapshot].concat(snapshots).slice(0, maxSnapshotCount);
+                    Save();
+                    return snapshot;
+                }).catch(function (err) {
+                    logger.error('failed to save the settings of game', game.id, err);
+                    return null;
+                });
+            },
+
+            //! Returns the snapshots of a game, newest first.
+            list: function (gameId) {
+                return (History()[gameId] || []).slice();
+            },
+
+            //! Resolves with the differences between a snapshot and the game's
+            //! current settings: [{ name, before, now }].
+            diff: function (game, snapshot) {
+                return Capture(game).then(function (current) {
+                    var rows = [];
+
+                    function Compare(name, before, now) {
+                        if (!angular.equals(before, now)) {
+                            rows.push({ name: name, before: format.text(before), now: format.text(now) });
+                        }
+                    }
+
+                    angular.forEach(profiles, function (profile, name) {
+                        var before = snapshot[name] || {};
+                        var now = current[name] || {};
+                        Compare(profile.label + ': optimization', before.state, now.state);
+                        Compare(profile.label + ': resolution', before.resolution, now.resolution);
+                        Compare(profile.label + ': display mode', DisplayModeName(before.displayMode), now.displayMode);
+                        Compare(profile.label + ': slider position', before.sliderIndex, now.sliderIndex);
+                        Compare(profile.label + ': FPS target', before.fps, now.fps);
+                    });
+
+                    var before = format.settingValues(snapshot.currentSettings);
+                    var now = format.settingValues(current.currentSettings);
+                    Object.keys(angular.extend({}, before, now)).sort().forEach(function (name) {
+                        Compare(name, before[name], now[name]);
+                    });
+                    return rows;
+                });
+            },
+
+            //! Puts the game back to the settings of a snapshot, after saving
+            //! the current ones before the given action ('restore' by default).
+            //! Profiles missing from the snapshot are left as they are. Rejects
+            //! if GFE fails to apply them.
+            restore: function (game, snapshot, action) {
+                return service.record(game, action || 'restore').then(function () {
+                    return Capture(game);
+                }).then(function (current) {
+                    return Object.keys(profiles).reduce(function (previous, name) {
+                        return previous.then(function () {
+                            if (snapshot[name] && current[name]) {
+                                return RestoreProfile(game, profiles[name], snapshot[name], current[name]);
+                            }
+                        });
+                    }, $q.when());
+                });
+            }
+        };
+
+        return service;
+    }]);
+
+    main.component('baiGfeOptimizationHistory', {
+        template: panelTemplate,
+        controllerAs: 'history',
+        bindings: {
+            game: '<',
+            onRestored: '&'
+        },
+        controller: ['$scope', '$log', 'baiGfeFormat', 'baiGfeOptimizationHistory', function ($scope, $log, format, optimizationHistory) {
+            var logger = $log.getInstance('baiGfe/optimizationHistory/panel');
+            var panel = this;
+
+            panel.snapshots = [];
+            panel.diff = { snapshot: null, rows: [] };
+            panel.busy = false;
+            panel.message = '';
+
+            function Refresh() {
+                panel.snapshots = panel.game ? optimizationHistory.list(panel.game.id) : [];
+            }
+
+            panel.actionName = function (snapshot) {
+                return actionNames[snapshot.action] || snapshot.action;
+            };
+
+            panel.describe = format.describeProfile;
+
+            panel.toggleDiff = function (snapshot) {
+                if (panel.diff.snapshot === snapshot) {
+                    panel.diff = { snapshot: null, rows: [] };
+                    return;
+                }
+                optimizationHistory.diff(panel.game, snapshot).then(function (rows) {
+                    panel.diff = { snapshot: snapshot, rows: rows };
+                }).catch(function (err) {
+                    logger.error('failed to compare settings', err);
+                    panel.message = 'The current settings are not available.';
+                });
+            };
+
+            panel.restore = function (snapshot) {
+                panel.busy = true;
+                panel.message = '';
+                optimizationHistory.restore(panel.game, snapshot).then(function () {
+                    panel.message = 'Settings of ' + new Date(snapshot.time).toLocaleString() + ' restored.';
+                }).catch(function (err) {
+                    logger.error('failed to restore settings of game', panel.game.id, err);
+                    panel.message = 'Restore failed, the settings may be partly applied.';
+                }).finally(function () {
+                    panel.busy = false;
+                    panel.diff = { snapshot: null, rows: [] };
+                    panel.onRestored();
+                });
+            };
+
+            panel.$onChanges = Refresh;
+            $scope.$watch(optimizationHistory.version, Refresh);
+        }]
+    });
+
+    main.config(['baiGfeControllerHooksProvider', 'baiGfeTemplatesProvider', function (controllerHooks, templates) {
+        //! Replaces controller[method] so that a snapshot of the settings is
+        //! taken before it runs; record() reads them synchronously.
+        function RecordBefore(controller, method, record) {
+            var original = controller[method];
+            if (!angular.isFunction(original)) {
+                return;
+            }
+
+            controller[method] = function () {
+                record();
+                return original.apply(this, arguments);
+            };
+        }
+
+        controllerHooks.register('GameSettingsController', ['controller', 'baiGfeOptimizationHistory', function (gameSettings, optimizationHistory) {
+            RecordBefore(gameSettings, 'optimizeSettings', function () {
+                return optimizationHistory.record(gameSettings.nvSystemGame, 'optimize');
+            });
+            RecordBefore(gameSettings, 'resetOptimization', function () {
+                return optimizationHistory.record(gameSettings.nvSystemGame, 'revert');
+            });
+        }]);
+
+        controllerHooks.register('CustomOpsController', ['controller', 'baiGfeOptimizationHistory', function (customOps, optimizationHistory) {
+            RecordBefore(customOps, 'applyCustomSettings', function () {
+                return optimizationHistory.record(customOps.nvSystemGame, 'customize');
+            });
+        }]);
+
+        controllerHooks.register('CustomFpsController', ['controller', 'baiGfeOptimizationHistory', function (customFps, optimizationHistory) {
+            RecordBefore(customFps, 'applyCustomFps', function () {
+                return optimizationHistory.record(customFps.nvSystemGame, 'fps');
+            });
+        }]);
+
+        // Add the history at the end of the game settings view.
+        templates.insertIntoTemplate('nvGameSettingsDirective', null,
+            '<bai-gfe-optimization-history game=gameSettings.nvSystemGame on-restored=gameSettings.getGameState()>' +
+            '</bai-gfe-optimization-history>');
+    }]);
+})(window.angular);
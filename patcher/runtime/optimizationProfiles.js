@@ -0,0 +1,458 @@
+//
+// Optimization profiles.
+//
+// Exports the optimization settings of the PC to a JSON profile file, to be
+// imported on other PCs: for every optimized game, the state of its plugged
+// in (AC) and on battery (DC) profiles as baiGfeOptimizationHistory captures
+// them (optimal or custom settings, with the resolution, display mode and
+// slider position picked in CustomOpsController, and the FPS targets), and
+// the performance mode, Whisper mode (quietModeService) and Battery Boost
+// (framerateLimiterService) states. NvNode (NvOptimizationProfilesAPI.js)
+// writes and reads the files.
+//
+// An imported profile is checked against the PC before anything is applied:
+// each game must be installed, its custom resolution, display mode (matched
+// by name) and slider position must be among the ones GFE offers for it here,
+// its optimal settings must have a recommendation, and its FPS targets must be
+// in the range of CustomFpsController. Every entry is listed with its
+// problem, and only the valid ones are applied. A history snapshot of each
+// game is saved before it is changed (see optimizationHistory.js), so an
+// import can be undone game by game.
+//
+// The "Optimization profiles" panel is added to Preferences > Games.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var exportPath = '/OptimizationProfiles/v.1.0/Export';
+    var importPath = '/OptimizationProfiles/v.1.0/Import';
+
+    var profileFormat = 'baiGfe.optimizationProfile';
+    var profileVersion = 1;
+
+    var gameStates = ['optimized', 'custom', 'notOptimized'];
+
+    var panelTemplate =
+        '<div class="preferences-preference-section md-primary md-hue-3 background" flex>' +
+        '<div class=preferences-section-header>' +
+        '<h4 class="color-white-hue-3 font-size-lg font-uppercase">Optimization profiles</h4>' +
+        '</div>' +
+        '<div layout=column layout-align="start stretch" class="preferences-section-content">' +
+        '<p class=font-size-sm>Export the optimization settings of your games, the performance mode, Whisper mode and ' +
+        'Battery Boost to a file, and import them on another PC.</p>' +
+        '<table class=font-size-sm ng-if=optimizationProfiles.entries.length>' +
+        '<tr><th>Game or feature</th><th>Profile</th><th>Settings</th><th></th></tr>' +
+        '<tr ng-repeat="entry in optimizationProfiles.entries">' +
+        '<td>{{entry.name}}</td><td>{{entry.profile}}</td><td>{{entry.settings}}</td>' +
+        '<td>{{entry.problem || (entry.unchanged ? \'Unchanged\' : \'OK\')}}</td>' +
+        '</tr>' +
+        '</table>' +
+        '<p class=font-size-sm ng-if=optimizationProfiles.message>{{optimizationProfiles.message}}</p>' +
+        '<div layout=row>' +
+        '<md-button class=md-raised ng-disabled=optimizationProfiles.busy ng-click=optimizationProfiles.exportProfile()>Export</md-button>' +
+        '<md-button class=md-raised ng-disabled=optimizationProfiles.busy ng-click=optimizationProfiles.importProfile()>Import</md-button>' +
+        '<md-button class=md-raised ng-if=optimizationProfiles.entries.length ' +
+        'ng-disabled="optimizationProfiles.busy || !optimizationProfiles.applicableCount()" ' +
+        'ng-click=optimizationProfiles.apply()>Apply</md-button>' +
+        '<md-button ng-if=optimizationProfiles.entries.length ng-disabled=optimizationProfiles.busy ' +
+        'ng-click=optimizationProfiles.clear()>Cancel</md-button>' +
+        '</div>' +
+        '</div>' +
+        '</div>';
+
+    main.factory('baiGfeOptimizationProfiles', ['$log', '$q', 'baiGfeFormat', 'baiGfeNvNode', 'baiGfeOptimizationHistory', 'gamesService',
+        'userGamesService', 'performanceModeService', 'quietModeService', 'framerateLimiterService', 'PERFORMANCE_MODES',
+        function ($log, $q, format, nvNode, optimizationHistory, gamesService, userGamesService, performanceModeService,
+            quietModeService, framerateLimiterService, performanceModes) {
+            var logger = $log.getInstance('baiGfe/optimizationProfiles');
+            var profiles = optimizationHistory.profiles;
+
+            //! Resolves with the result of service[method](), null if it fails.
+            function Get(service, method) {
+                return $q.when().then(function () {
+                    return service[method]();
+                }).catch(function (err) {
+                    logger.warn('failed to read a feature state', err);
+                    return null;
+                });
+            }
+
+            //! Returns GFE's game objects of the games of the user.
+            function LocalGames() {
+                var games = [];
+                userGamesService.getUserGames().forEach(function (userGame) {
+                    var game = gamesService.getSystemGame(userGame.gameId);
+                    if (game && game.id !== undefined) {
+                        games.push(game);
+                    }
+                });
+                return games;
+            }
+
+            //! Returns the part of a captured profile that applies to any PC.
+            function PortableProfile(profile) {
+                return profile && {
+                    state: profile.state,
+                    resolution: profile.resolution,
+                    displayMode: optimizationHistory.displayModeName(profile.displayMode),
+                    sliderIndex: profile.sliderIndex,
+                    fps: profile.fps
+                };
+            }
+
+            function CaptureFeatures() {
+                return $q.all([
+                    Get(performanceModeService, 'getStateInfo'),
+                    Get(quietModeService, 'getStateInfo'),
+                    Get(framerateLimiterService, 'getSupportInfo'),
+                    Get(framerateLimiterService, 'getStateInfo')
+                ]).then(function (states) {
+                    return {
+                        performanceMode: states[0] && states[0].supported ? states[0].performanceMode : null,
+                        quietMode: states[1] && states[1].supported ? { enabled: !!states[1].enabled } : null,
+                        framerateLimiter: states[2] && states[2].supported && states[3] ?
+                            { enabled: !!states[3].enabled, value: states[3].value } : null
+                    };
+                });
+            }
+
+            //! Resolves with the profile of this PC: its features and its
+            //! optimized games.
+            function Capture() {
+                var games = LocalGames();
+                return $q.all([CaptureFeatures(), $q.all(games.map(optimizationHistory.capture))]).then(function (results) {
+                    return {
+                        format: profileFormat,
+                        version: profileVersion,
+                        exported: new Date().toISOString(),
+                        features: results[0],
+                        games: results[1].filter(function (snapshot) {
+                            return [snapshot.AC, snapshot.DC].some(function (profile) {
+                                return profile && profile.state !== 'notOptimized';
+                            });
+                        }).map(function (snapshot) {
+                            return {
+                                id: snapshot.gameId,
+                                name: snapshot.gameName,
+                                AC: PortableProfile(snapshot.AC),
+                                DC: PortableProfile(snapshot.DC)
+                            };
+                        })
+                    };
+                });
+            }
+
+            //! Resolves with the problem of an imported game profile on this PC,
+            //! null if it can be applied.
+            function CheckGameProfile(game, name, recorded) {
+                var profile = profiles[name];
+
+                if (gameStates.indexOf(recorded.state) < 0) {
+                    return $q.resolve('Unknown optimization state ' + format.text(recorded.state));
+                }
+                if (name === 'DC' && game.isDCDisabled()) {
+                    return $q.resolve('No battery profile on this PC');
+                }
+                if (recorded.fps !== null && recorded.fps !== undefined &&
+                    !(angular.isNumber(recorded.fps) && recorded.fps >= profile.minFps && recorded.fps <= profile.maxFps)) {
+                    return $q.resolve('FPS target ' + format.text(recorded.fps) + ' is not between ' + profile.minFps + ' and ' + profile.maxFps);
+                }
+                if (recorded.state === 'optimized' && !game[profile.resolution]()) {
+                    return $q.resolve('No optimal settings for this PC');
+                }
+                if (recorded.state !== 'custom') {
+                    return $q.resolve(null);
+                }
+
+                var sliderSettings = game.getSliderSettings();
+                var choices = sliderSettings && sliderSettings[name];
+                if (!choices) {
+                    return $q.resolve('Custom settings are not available for this game');
+                }
+                var resolution = null;
+                choices.resolution.values.forEach(function (value) {
+                    if (angular.equals(value.value, recorded.resolution)) {
+                        resolution = value;
+                    }
+                });
+                if (!resolution) {
+                    return $q.resolve('Resolution ' + format.text(recorded.resolution) + ' is not available on this PC');
+                }
+                var displayMode = optimizationHistory.displayModeName(recorded.displayMode);
+                var displayModeAvailable = choices.displayMode.values.some(function (value) {
+                    return optimizationHistory.displayModeName(value) === displayMode;
+                });
+                if (!angular.isString(displayMode) || !displayModeAvailable) {
+                    return $q.resolve('Display mode ' + format.text(recorded.displayMode) + ' is not available on this PC');
+                }
+
+                // As CustomOpsController, with the display mode by name.
+                return $q.when(game.getSettingsSpace(resolution, displayMode)).then(function (space) {
+                    var maxIndex = space.settings.length - 1;
+                    if (!(recorded.sliderIndex >= 0 && recorded.sliderIndex <= maxIndex && recorded.sliderIndex % 1 === 0)) {
+                        return 'Slider position ' + format.text(recorded.sliderIndex) + ' is not between 0 and ' + maxIndex;
+                    }
+                    return null;
+                });
+            }
+
+            //! Resolves with the entries of the imported games, see check().
+            function CheckGames(importedGames) {
+                var entries = [];
+                var checks = [];
+
+                importedGames.forEach(function (imported) {
+                    var game = imported && gamesService.getSystemGame(imported.id);
+                    angular.forEach(profiles, function (profile, name) {
+                        if (!imported || !imported[name]) {
+                            return;
+                        }
+                        var entry = {
+                            name: game && (game.displayName || game.shortName) || imported.name || format.text(imported.id),
+                            profile: profile.label,
+                            settings: format.describeProfile(imported[name]),
+                            problem: game ? null : 'Not installed on this PC',
+                            game: game,
+                            profileName: name,
+                            recorded: imported[name]
+                        };
+                        entries.push(entry);
+
+                        if (game) {
+                            checks.push(CheckGameProfile(game, name, imported[name]).catch(function (err) {
+                                logger.warn('failed to check the', name, 'settings of game', game.id, err);
+                                return 'The settings of this game are not available';
+                            }).then(function (problem) {
+                                entry.problem = problem;
+                            }));
+                        }
+                    });
+                });
+
+                return $q.all(checks).then(function () {
+                    return entries;
+                });
+            }
+
+            //! Resolves with the entries of the imported features, see check().
+            function CheckFeatures(features) {
+                features = features || {};
+                return CaptureFeatures().then(function (current) {
+                    var entries = [];
+                    var modes = Object.keys(performanceModes).filter(function (key) {
+                        return key !== 'INVALID';
+                    }).map(function (key) {
+                        return performanceModes[key];
+                    });
+
+                    function Add(key, name, problem, settings, apply) {
+                        var imported = features[key];
+                        if (imported !== null && imported !== undefined) {
+                            entries.push({
+                                name: name,
+                                profile: '',
+                                settings: settings,
+                                problem: problem,
+                                unchanged: !problem && angular.equals(imported, current[key]),
+                                apply: apply
+                            });
+                        }
+                    }
+
+                    var mode = features.performanceMode;
+                    Add('performanceMode', 'Performance mode',
+                        current.performanceMode === null ? 'Not supported on this PC' :
+                            modes.indexOf(mode) < 0 ? 'Unknown performance mode ' + format.text(mode) : null,
+                        format.text(mode), function () {
+                            return performanceModeService.setStateInfo(mode);
+                        });
+
+                    var quietMode = features.quietMode;
+                    Add('quietMode', 'Whisper mode',
+                        current.quietMode === null ? 'Not supported on this PC' :
+                            !angular.isObject(quietMode) || typeof quietMode.enabled !== 'boolean' ? 'Invalid Whisper mode state' : null,
+                        quietMode && quietMode.enabled ? 'On' : 'Off', function () {
+                            return quietModeService.setStateInfo(quietMode.enabled);
+                        });
+
+                    var limiter = features.framerateLimiter;
+                    Add('framerateLimiter', 'Battery Boost',
+                        current.framerateLimiter === null ? 'Not supported on this PC' :
+                            !angular.isObject(limiter) || typeof limiter.enabled !== 'boolean' || !angular.isNumber(limiter.value) ?
+                                'Invalid Battery Boost state' : null,
+                        limiter && (limiter.enabled ? 'On, ' + limiter.value + ' FPS' : 'Off'), function () {
+                            return framerateLimiterService.setStateInfo(limiter.enabled, limiter.value);
+                        });
+
+                    return entries;
+                });
+            }
+
+            return {
+                format: profileFormat,
+
+                capture: Capture,
+
+                //! Writes the profile of this PC to a new file in the given
+                //! directory, resolves with {path, count}.
+                exportProfile: function (directory) {
+                    return Capture().then(function (profile) {
+                        return nvNode.request('POST', exportPath, { directory: directory, profile: profile });
+                    });
+                },
+
+                //! Resolves with the profile in the given file.
+                readProfile: function (path) {
+                    return nvNode.request('POST', importPath, { path: path });
+                },
+
+                //! Resolves with the entries of a profile, features first, then
+                //! one per game and power profile: {name, profile, settings,
+                //! problem}, problem being null when the entry can be applied.
+                check: function (profile) {
+                    if (!profile || profile.format !== profileFormat || !angular.isArray(profile.games)) {
+                        return $q.reject(new Error('not an optimization profile'));
+                    }
+                    if (profile.version > profileVersion) {
+                        return $q.reject(new Error('optimization profile version ' + profile.version + ' is not supported'));
+                    }
+                    return $q.all([CheckFeatures(profile.features), CheckGames(profile.games)]).then(function (entries) {
+                        return entries[0].concat(entries[1]);
+                    });
+                },
+
+                //! Applies the checked entries without problem, features first.
+                //! Resolves with {applied, failed}, counts of entries.
+                apply: function (entries) {
+                    var result = { applied: 0, failed: 0 };
+                    var valid = entries.filter(function (entry) {
+                        return !entry.problem && !entry.unchanged;
+                    });
+                    var snapshots = {};
+                    var games = [];
+
+                    valid.forEach(function (entry) {
+                        if (entry.game) {
+                            if (!snapshots[entry.game.id]) {
+                                snapshots[entry.game.id] = { entries: [] };
+                                games.push(entry.game);
+                            }
+                            snapshots[entry.game.id][entry.profileName] = entry.recorded;
+                            snapshots[entry.game.id].entries.push(entry);
+                        }
+                    });
+
+                    function Count(count) {
+                        return function () {
+                            result.applied += count;
+                        };
+                    }
+
+                    function Failed(count, what) {
+                        return function (err) {
+                            logger.error('failed to import', what, err);
+                            result.failed += count;
+                        };
+                    }
+
+                    var applied = valid.filter(function (entry) {
+                        return !entry.game;
+                    }).reduce(function (previous, entry) {
+                        return previous.then(function () {
+                            return $q.when(entry.apply()).then(Count(1), Failed(1, entry.name));
+                        });
+                    }, $q.when());
+
+                    return games.reduce(function (previous, game) {
+                        var snapshot = snapshots[game.id];
+                        return previous.then(function () {
+                            return optimizationHistory.restore(game, snapshot, 'import')
+                                .then(Count(snapshot.entries.length), Failed(snapshot.entries.length, 'the settings of game ' + game.id));
+                        });
+                    }, applied).then(function () {
+                        return result;
+                    });
+                }
+            };
+        }]);
+
+    main.component('baiGfeOptimizationProfiles', {
+        template: panelTemplate,
+        controllerAs: 'optimizationProfiles',
+        controller: ['$log', 'cefService', 'baiGfeOptimizationProfiles', function ($log, cefService, optimizationProfiles) {
+            var logger = $log.getInstance('baiGfe/optimizationProfiles/panel');
+            var panel = this;
+
+            panel.entries = [];
+            panel.busy = false;
+            panel.message = '';
+
+            function Cancelled(err) {
+                if (!err || !err.isCancelled) {
+                    logger.error('cefService.localDirectoryExplorer failed', err);
+                }
+            }
+
+            function Done() {
+                panel.busy = false;
+            }
+
+            panel.applicableCount = function () {
+                return panel.entries.filter(function (entry) {
+                    return !entry.problem && !entry.unchanged;
+                }).length;
+            };
+
+            panel.clear = function () {
+                panel.entries = [];
+                panel.message = '';
+            };
+
+            panel.exportProfile = function () {
+                return cefService.localDirectoryExplorer(false, {}, true).then(function (directory) {
+                    panel.busy = true;
+                    panel.clear();
+                    return optimizationProfiles.exportProfile(directory).then(function (result) {
+                        panel.message = result.count + ' game(s) exported to ' + result.path;
+                    }).catch(function (err) {
+                        logger.error('failed to export the optimization profile', err);
+                        panel.message = 'Export failed.';
+                    }).finally(Done);
+                }).catch(Cancelled);
+            };
+
+            panel.importProfile = function () {
+                return cefService.localDirectoryExplorer(true, { 'Optimization profiles': '*.json' }, true).then(function (path) {
+                    panel.busy = true;
+                    panel.clear();
+                    return optimizationProfiles.readProfile(path).then(optimizationProfiles.check).then(function (entries) {
+                        panel.entries = entries;
+                        panel.message = entries.length ? panel.applicableCount() + ' of ' + entries.length +
+                            ' setting(s) will be applied, the others are skipped.' : 'The profile is empty.';
+                    }).catch(function (err) {
+                        logger.error('failed to import the optimization profile', err);
+                        panel.message = 'This file is not an optimization profile, or NvNode is not patched.';
+                    }).finally(Done);
+                }).catch(Cancelled);
+            };
+
+            panel.apply = function () {
+                panel.busy = true;
+                return optimizationProfiles.apply(panel.entries).then(function (result) {
+                    panel.entries = [];
+                    panel.message = result.applied + ' setting(s) applied' +
+                        (result.failed ? ', ' + result.failed + ' failed.' : '.');
+                }).finally(Done);
+            };
+        }]
+    });
+
+    main.config(['baiGfeTemplatesProvider', function (templates) {
+        // Add the panel to the first column of Preferences > Games.
+        templates.insertIntoTemplate('nvPreferencesGamesDirective', '</nv-preference-games-location>',
+            '<bai-gfe-optimization-profiles ng-if=preferencesGames.isOpsSupported></bai-gfe-optimization-profiles>');
+    }]);
+})(window.angular);
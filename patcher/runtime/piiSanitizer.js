@@ -0,0 +1,200 @@
+//
+// PII sanitizer.
+//
+// GFE only scrubs the values piiSanityService registers with
+// loggingSanityService: the birthdate, display name and session tokens of the
+// logged in user. Game install paths (PreferencesGamesLocationController,
+// gamesService) still carry the Windows user name, hardwareService and
+// rigService data carry serial-like identifiers, and e-mail addresses appear
+// in account responses.
+//
+// With baiGfeConfig.pii.sanitize set, the rules below (and the extra patterns
+// of pii.patterns) are applied:
+//
+//     - by loggingSanityService.sanitizeForPii, hence piiSanityService.sanitize
+//     - to the arguments of every $log call, including the getInstance() loggers,
+//       before they reach any log sink
+//     - to the payload of every feedback posted by preferencesService, like the
+//       automatic FEEDBACK_AUTOMATIC_CRIMSON_UI_ERROR reports of exceptionService
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    // Path separator as written in logs: "\", "/" or "\\" (JSON escaped).
+    var separator = '(?:\\\\\\\\|\\\\|/)';
+
+    var rules = [
+        {
+            // C:\Users\<name>, C:/Users/<name>, \Users\<name>... but not the
+            // /users/ of an URL. A user name may contain spaces, the whole path
+            // segment is replaced.
+            name: 'userProfilePath',
+            pattern: new RegExp('((?:[A-Z]:' + separator + '|\\\\\\\\|\\\\)(?:Users|Documents and Settings)' + separator + ')' +
+                '(?!<user>)[^\\\\/"\'<>:|?*\\r\\n]+', 'gi'),
+            replacement: '$1<user>'
+        },
+        {
+            // The top-level domain is letters only and not a file extension,
+            // so that asset names like icon@2x.png are left alone.
+            name: 'email',
+            pattern: /[A-Z0-9._%+-]+@(?:[A-Z0-9-]+\.)+(?!(?:png|jpe?g|gif|svg|webp|bmp|ico|js|css|json|html?|map|woff2?|ttf|mp4|webm)\b)[A-Z]{2,}\b/gi,
+            replacement: '<email>'
+        },
+        {
+            // "serialNumber": "...", uuid=..., TelemetryDeviceId: ...
+            name: 'identifierValue',
+            pattern: /((?:\b|")(?:\w*serial\w*|\w*uuid|\w*guid|macAddress|deviceId|telemetryDeviceId|machineId)"?\s*[:=]\s*"?)(?!<redacted>)[^",;}\]\s]+/gi,
+            replacement: '$1<redacted>'
+        },
+        {
+            // nvidia-smi style GPU UUIDs.
+            name: 'gpuUuid',
+            pattern: /\bGPU-[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}\b/gi,
+            replacement: 'GPU-<redacted>'
+        },
+        {
+            name: 'macAddress',
+            pattern: /\b(?:[0-9A-F]{2}[:-]){5}[0-9A-F]{2}\b/gi,
+            replacement: '<mac>'
+        }
+    ];
+
+    // Object keys whose values are replaced whatever they look like.
+    var identifierKey = /^(?:\w*serial\w*|\w*uuid|\w*guid|macAddress|deviceId|telemetryDeviceId|machineId)$/i;
+
+    // Objects nested deeper are left as is.
+    var maxDepth = 8;
+
+    var logLevels = ['log', 'info', 'warn', 'error', 'debug'];
+
+    function IsPlainObject(value) {
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+        var prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+
+    main.factory('baiGfePiiSanitizer', ['baiGfeConfig', function (config) {
+        var allRules = rules.concat(config.pii.patterns.map(function (pattern, index) {
+            return { name: 'pattern' + index, pattern: new RegExp(pattern, 'gi'), replacement: '<redacted>' };
+        }));
+
+        function SanitizeString(text) {
+            return allRules.reduce(function (result, rule) {
+                return result.replace(rule.pattern, rule.replacement);
+            }, text);
+        }
+
+        //! Returns a sanitized copy of strings, arrays, plain objects and errors,
+        //! other values as is.
+        function Sanitize(value, depth, seen) {
+            if (typeof value === 'string') {
+                return SanitizeString(value);
+            }
+            if (value instanceof Error) {
+                return SanitizeString(value.stack || String(value));
+            }
+            if (depth >= maxDepth || !(angular.isArray(value) || IsPlainObject(value)) || seen.indexOf(value) >= 0) {
+                return value;
+            }
+
+            seen.push(value);
+            var copy;
+            if (angular.isArray(value)) {
+                copy = value.map(function (item) {
+                    return Sanitize(item, depth + 1, seen);
+                });
+            } else {
+                copy = {};
+                Object.keys(value).forEach(function (key) {
+                    copy[key] = identifierKey.test(key) && value[key] !== null && typeof value[key] !== 'object' ?
+                        '<redacted>' : Sanitize(value[key], depth + 1, seen);
+                });
+            }
+            seen.pop();
+            return copy;
+        }
+
+        return {
+            rules: allRules,
+
+            sanitize: function (value) {
+                return Sanitize(value, 0, []);
+            },
+
+            //! Returns a copy of an arguments list with every argument sanitized.
+            sanitizeArguments: function (args) {
+                return Array.prototype.map.call(args, function (arg) {
+                    return Sanitize(arg, 0, []);
+                });
+            }
+        };
+    }]);
+
+    main.config(['$provide', 'baiGfeConfig', function ($provide, config) {
+        if (!config.pii.sanitize) {
+            return;
+        }
+
+        //! Replaces the functions of an object by ones passing them sanitized arguments.
+        function WrapMethods(target, names, sanitizer) {
+            names.forEach(function (name) {
+                var method = target[name];
+                if (angular.isFunction(method)) {
+                    target[name] = function () {
+                        return method.apply(this, sanitizer.sanitizeArguments(arguments));
+                    };
+                }
+            });
+        }
+
+        $provide.decorator('$log', ['$delegate', 'baiGfePiiSanitizer', function ($log, sanitizer) {
+            var getInstance = $log.getInstance;
+
+            WrapMethods($log, logLevels, sanitizer);
+
+            if (angular.isFunction(getInstance)) {
+                $log.getInstance = function () {
+                    var instance = getInstance.apply(this, arguments);
+                    var sanitized = Object.create(instance);
+                    logLevels.forEach(function (level) {
+                        if (angular.isFunction(instance[level])) {
+                            sanitized[level] = function () {
+                                return instance[level].apply(instance, sanitizer.sanitizeArguments(arguments));
+                            };
+                        }
+                    });
+                    return sanitized;
+                };
+            }
+
+            return $log;
+        }]);
+
+        $provide.decorator('loggingSanityService', ['$delegate', 'baiGfePiiSanitizer', function (loggingSanityService, sanitizer) {
+            var sanitizeForPii = loggingSanityService.sanitizeForPii;
+
+            loggingSanityService.sanitizeForPii = function () {
+                return sanitizer.sanitize(sanitizeForPii.apply(this, arguments));
+            };
+
+            return loggingSanityService;
+        }]);
+
+        $provide.decorator('preferencesService', ['$delegate', 'baiGfePiiSanitizer', function (preferencesService, sanitizer) {
+            var feedbackMethods = [];
+            for (var name in preferencesService) {
+                if (/^(post|send|add)\w*feedback/i.test(name)) {
+                    feedbackMethods.push(name);
+                }
+            }
+
+            WrapMethods(preferencesService, feedbackMethods, sanitizer);
+            return preferencesService;
+        }]);
+    }]);
+})(window.angular);
@@ -0,0 +1,184 @@
+//
+// Telemetry audit log.
+//
+// With telemetry.mode set to "capture", baiGfeTelemetryPolicy hands every
+// telemetry event to baiGfeTelemetryAudit instead of sending it. The events are
+// batched and posted to NvNode (NvTelemetryAuditAPI.js), which appends them to
+// a rolling JSON-lines file in its appdata directory.
+//
+// A "Telemetry audit" panel is added to Preferences > General to list, filter
+// and export the captured events. It also shows events captured earlier, so
+// the log can be checked after switching capture off.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var eventsPath = '/TelemetryAudit/v.1.0/Events';
+    var exportPath = '/TelemetryAudit/v.1.0/Export';
+
+    // Fields of the telemetry data kept at the top level of a captured event.
+    var auditedFields = ['originalService', 'serviceUseCase', 'url', 'durationMs', 'responseData', 'destinationIp'];
+
+    // Captured events are posted at most once per flushDelayMs.
+    var flushDelayMs = 2000;
+
+    // Number of events listed by the panel, the most recent ones.
+    var listedEventCount = 200;
+
+    var panelTemplate =
+        '<div class="preferences-preference-section md-primary md-hue-3 background" flex>' +
+        '<div class=preferences-section-header>' +
+        '<h4 class="color-white-hue-3 font-size-lg font-uppercase">Telemetry audit</h4>' +
+        '</div>' +
+        '<div layout=column layout-align="start stretch" class="preferences-section-content">' +
+        '<p class=font-size-sm ng-if="telemetryAudit.mode !== \'capture\'">' +
+        'Capture is off (telemetry mode: {{telemetryAudit.mode}}), only events captured earlier are listed.</p>' +
+        '<div layout=row layout-align="start center">' +
+        '<md-input-container flex><label>Event</label>' +
+        '<md-select ng-model=telemetryAudit.filter.event ng-change=telemetryAudit.refresh() aria-label="Event filter">' +
+        '<md-option value="">All</md-option>' +
+        '<md-option ng-repeat="name in telemetryAudit.eventNames" ng-value=name>{{name}}</md-option>' +
+        '</md-select></md-input-container>' +
+        '<md-input-container flex><label>Service</label>' +
+        '<md-select ng-model=telemetryAudit.filter.originalService ng-change=telemetryAudit.refresh() aria-label="Service filter">' +
+        '<md-option value="">All</md-option>' +
+        '<md-option ng-repeat="service in telemetryAudit.services" ng-value=service>{{service}}</md-option>' +
+        '</md-select></md-input-container>' +
+        '<md-input-container flex><label>Search</label>' +
+        '<input ng-model=telemetryAudit.filter.search ng-model-options="{debounce: 500}" ng-change=telemetryAudit.refresh()>' +
+        '</md-input-container>' +
+        '</div>' +
+        '<p class=font-size-sm>{{telemetryAudit.total}} event(s), the last {{telemetryAudit.events.length}} listed.</p>' +
+        '<table class=font-size-sm ng-if=telemetryAudit.events.length>' +
+        '<tr><th>Time</th><th>Event</th><th>Service</th><th>Use case</th><th>URL</th><th>Duration (ms)</th><th>Destination IP</th></tr>' +
+        '<tr ng-repeat="event in telemetryAudit.events track by $index" title="{{event.responseData}}">' +
+        '<td>{{event.time | date:\'medium\'}}</td><td>{{event.event}}</td><td>{{event.originalService}}</td>' +
+        '<td>{{event.serviceUseCase}}</td><td>{{event.url}}</td><td>{{event.durationMs}}</td><td>{{event.destinationIp}}</td>' +
+        '</tr>' +
+        '</table>' +
+        '<p class=font-size-sm ng-if=telemetryAudit.message>{{telemetryAudit.message}}</p>' +
+        '<div layout=row>' +
+        '<md-button class=md-raised ng-click=telemetryAudit.refresh()>Refresh</md-button>' +
+        '<md-button class=md-raised ng-click=telemetryAudit.exportEvents() ng-disabled=!telemetryAudit.total>Export</md-button>' +
+        '</div>' +
+        '</div>' +
+        '</div>';
+
+    main.factory('baiGfeTelemetryAudit', ['$log', '$timeout', 'baiGfeNvNode', function ($log, $timeout, nvNode) {
+        var logger = $log.getInstance('baiGfe/telemetryAudit');
+        var queue = [];
+        var flushPending = false;
+
+        function Flush() {
+            var events = queue;
+            queue = [];
+            flushPending = false;
+            nvNode.request('POST', eventsPath, events).catch(function (err) {
+                logger.error('failed to capture', events.length, 'telemetry event(s)', err);
+            });
+        }
+
+        //! Removes the empty filter values, NvNode takes the others as query parameters.
+        function Query(filter) {
+            var query = {};
+            angular.forEach(filter, function (value, key) {
+                if (value) {
+                    query[key] = value;
+                }
+            });
+            return query;
+        }
+
+        return {
+            //! Queues a telemetry event for the audit log.
+            capture: function (name, data) {
+                var event = { time: new Date().toISOString(), event: name };
+                var details = {};
+                angular.forEach(data, function (value, key) {
+                    if (auditedFields.indexOf(key) >= 0) {
+                        event[key] = value;
+                    } else {
+                        details[key] = value;
+                    }
+                });
+                if (!angular.equals(details, {})) {
+                    event.details = details;
+                }
+
+                queue.push(event);
+                if (!flushPending) {
+                    flushPending = true;
+                    $timeout(Flush, flushDelayMs, false);
+                }
+            },
+
+            //! Resolves with {events, total, eventNames, services}: the last `limit` events
+            //! matching the filter ({event, originalService, search}), and the values to filter on.
+            list: function (filter, limit) {
+                return nvNode.request('GET', eventsPath, undefined, angular.extend(Query(filter), { limit: limit }));
+            },
+
+            //! Writes the events matching the filter to a new file in the given directory,
+            //! resolves with {path, count}.
+            exportEvents: function (filter, directory) {
+                return nvNode.request('POST', exportPath, { directory: directory, filter: Query(filter) });
+            }
+        };
+    }]);
+
+    main.component('baiGfeTelemetryAudit', {
+        template: panelTemplate,
+        controllerAs: 'telemetryAudit',
+        controller: ['$log', 'cefService', 'baiGfeConfig', 'baiGfeTelemetryAudit', function ($log, cefService, config, telemetryAudit) {
+            var logger = $log.getInstance('baiGfe/telemetryAudit/panel');
+            var panel = this;
+
+            panel.mode = config.telemetry.mode;
+            panel.filter = { event: '', originalService: '', search: '' };
+            panel.events = [];
+            panel.total = 0;
+            panel.eventNames = [];
+            panel.services = [];
+            panel.message = '';
+
+            panel.refresh = function () {
+                return telemetryAudit.list(panel.filter, listedEventCount).then(function (result) {
+                    panel.events = result.events.slice().reverse();
+                    panel.total = result.total;
+                    panel.eventNames = result.eventNames;
+                    panel.services = result.services;
+                    panel.message = '';
+                }).catch(function (err) {
+                    logger.error('failed to list captured telemetry events', err);
+                    panel.message = 'The telemetry audit log is not available, is NvNode patched?';
+                });
+            };
+
+            panel.exportEvents = function () {
+                return cefService.localDirectoryExplorer(false, {}, true).then(function (directory) {
+                    return telemetryAudit.exportEvents(panel.filter, directory).then(function (result) {
+                        panel.message = result.count + ' event(s) exported to ' + result.path;
+                    }).catch(function (err) {
+                        logger.error('failed to export captured telemetry events', err);
+                        panel.message = 'Export failed.';
+                    });
+                }).catch(function (err) {
+                    if (!err || !err.isCancelled) {
+                        logger.error('cefService.localDirectoryExplorer failed', err);
+                    }
+                });
+            };
+
+            panel.$onInit = panel.refresh;
+        }]
+    });
+
+    main.config(['baiGfeTemplatesProvider', function (templates) {
+        // Add the panel to the first column of Preferences > General.
+        templates.insertIntoTemplate('nvPreferencesGeneralDirective', '</nv-preference-general-downloads>',
+            '<bai-gfe-telemetry-audit></bai-gfe-telemetry-audit>');
+    }]);
+})(window.angular);
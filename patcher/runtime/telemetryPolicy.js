@@ -0,0 +1,110 @@
+//
+// Telemetry policy.
+//
+// Every telemetryService event (push, changeSetting, endView, ...) and every
+// HTTP telemetry record of httpTelemetryService goes through
+// baiGfeTelemetryPolicy, which applies baiGfeConfig.telemetry.mode:
+//
+//     allow    send it as GFE does
+//     log      write it to the GFE log only
+//     capture  write it to the telemetry audit log only, see telemetryAudit.js
+//     drop     discard it
+//
+// The requests made through httpTelemetryService.endpointHttpCallback are
+// always performed, only the telemetry about them is affected. This replaces
+// the telemetry part of the hosts file blocklists without breaking Game
+// Optimizations.
+//
+// In capture mode httpTelemetryService is left as is: it pushes its records
+// through telemetryService.push, with every field the audit log shows.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    // telemetryService methods that send an event rather than only record state.
+    var sendingMethods = ['push', 'changeSetting', 'changeSettingFail', 'endView', 'endLoad'];
+
+    main.factory('baiGfeTelemetryPolicy', ['$log', 'baiGfeConfig', 'baiGfeTelemetryAudit', function ($log, config, telemetryAudit) {
+        var logger = $log.getInstance('baiGfe/telemetryPolicy');
+        var mode = config.telemetry.mode;
+
+        return {
+            mode: mode,
+
+            //! Returns whether the event may be sent upstream, logging or capturing it when the mode asks for it.
+            allows: function (name, data) {
+                if (mode === 'log') {
+                    logger.info('telemetry event', name, data);
+                } else if (mode === 'capture') {
+                    telemetryAudit.capture(name, data);
+                }
+                return mode === 'allow';
+            }
+        };
+    }]);
+
+    main.config(['$provide', function ($provide) {
+        $provide.decorator('telemetryService', ['$delegate', '$q', 'baiGfeTelemetryPolicy', function (telemetryService, $q, policy) {
+            if (policy.mode === 'allow') {
+                return telemetryService;
+            }
+
+            sendingMethods.forEach(function (method) {
+                var original = telemetryService[method];
+                if (typeof original !== 'function') {
+                    return;
+                }
+                telemetryService[method] = function () {
+                    var args = Array.prototype.slice.call(arguments);
+                    var allowed = method === 'push' ? policy.allows(args[0], args[1]) : policy.allows(method, args);
+                    return allowed ? original.apply(this, arguments) : $q.resolve();
+                };
+            });
+
+            return telemetryService;
+        }]);
+
+        $provide.decorator('httpTelemetryService', ['$delegate', '$http', '$q', 'TELEMETRY_CRIMSON_EVENT_NAMES', 'baiGfeTelemetryPolicy', function (httpTelemetryService, $http, $q, eventNames, policy) {
+            if (policy.mode === 'allow' || policy.mode === 'capture') {
+                return httpTelemetryService;
+            }
+
+            function Record(originalService, config, start, response) {
+                var status = response && response.status;
+                var success = status >= 200 && status < 300;
+                policy.allows(success ? eventNames.GFE_HTTPSUCCESS : eventNames.GFE_HTTPFAILURE, {
+                    originalService: originalService,
+                    serviceUseCase: config.headers && config.headers.telemetry,
+                    url: config.url,
+                    httpStatus: status,
+                    durationMs: Date.now() - start
+                });
+            }
+
+            httpTelemetryService.endpointHttpCallback = function (config, online, baseUrl, originalService) {
+                var start = Date.now();
+                return $http(config).then(function (response) {
+                    Record(originalService, config, start, response);
+                    return response;
+                }).catch(function (response) {
+                    Record(originalService, config, start, response);
+                    return $q.reject(response);
+                });
+            };
+
+            httpTelemetryService.sendSdkHttpTelemetry = function (success, online, baseUrl, durationMs, status, url, data, originalService) {
+                policy.allows(success ? eventNames.GFE_HTTPSUCCESS : eventNames.GFE_HTTPFAILURE, {
+                    originalService: originalService,
+                    url: url,
+                    httpStatus: status,
+                    durationMs: durationMs
+                });
+            };
+
+            return httpTelemetryService;
+        }]);
+    }]);
+})(window.angular);
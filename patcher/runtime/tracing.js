@@ -0,0 +1,140 @@
+//
+// Tracing mode.
+//
+// When GFECLIENT_CONFIG.tracerFeature is set, GFE initializes tracingService
+// with a tracer reporting its spans to NVIDIA's collector, and
+// opentracingHttpInterceptor adds the span context headers to the traced
+// requests. baiGfeConfig.tracing.mode chooses instead:
+//
+//     upstream  as GFE does
+//     local     spans are posted to NvNode (NvLocalTracingAPI.js), which
+//               writes them to a file, and no context is propagated
+//     off       no tracer at all, tracingService does nothing
+//
+// In "local" and "off" modes no span context leaves the machine: no trace
+// header is added to any request.
+//
+
+(function (angular) {
+    'use strict';
+
+    var main = angular.module('main');
+
+    var spansPath = '/Tracing/v.1.0/Spans';
+
+    // Finished spans are posted at most once per flushDelayMs.
+    var flushDelayMs = 5000;
+
+    function RandomId() {
+        var id = '';
+        for (var i = 0; i < 4; i++) {
+            id += ('0000' + Math.floor(Math.random() * 0x10000).toString(16)).slice(-4);
+        }
+        return id;
+    }
+
+    //! Minimal opentracing span, handed to report(span) when finished.
+    function LocalSpan(report, name, parentContext) {
+        this._report = report;
+        this._name = name;
+        this._context = {
+            traceId: parentContext ? parentContext.traceId : RandomId(),
+            spanId: RandomId()
+        };
+        this._parentId = parentContext ? parentContext.spanId : undefined;
+        this._start = Date.now();
+        this._tags = {};
+    }
+
+    LocalSpan.prototype.context = function () {
+        return this._context;
+    };
+
+    LocalSpan.prototype.setTag = function (key, value) {
+        this._tags[key] = value;
+        return this;
+    };
+
+    LocalSpan.prototype.addTags = function (tags) {
+        angular.extend(this._tags, tags);
+        return this;
+    };
+
+    LocalSpan.prototype.setOperationName = function (name) {
+        this._name = name;
+        return this;
+    };
+
+    LocalSpan.prototype.log = function () {
+        return this;
+    };
+
+    LocalSpan.prototype.finish = function (finishTime) {
+        var end = finishTime || Date.now();
+        this._report({
+            traceId: this._context.traceId,
+            spanId: this._context.spanId,
+            parentId: this._parentId,
+            name: this._name,
+            start: new Date(this._start).toISOString(),
+            durationMs: end - this._start,
+            tags: this._tags
+        });
+    };
+
+    //! Minimal opentracing tracer whose spans never leave the machine.
+    function LocalTracer(report) {
+        this._report = report;
+    }
+
+    LocalTracer.prototype.startSpan = function (name, options) {
+        var parent = options && options.childOf;
+        var parentContext = parent && (angular.isFunction(parent.context) ? parent.context() : parent);
+        return new LocalSpan(this._report, name, parentContext);
+    };
+
+    // Local spans are not propagated: nothing is added to headers or URLs.
+    LocalTracer.prototype.inject = function () {};
+
+    LocalTracer.prototype.extract = function () {
+        return null;
+    };
+
+    main.factory('baiGfeLocalTracer', ['$log', '$timeout', 'baiGfeNvNode', function ($log, $timeout, nvNode) {
+        var logger = $log.getInstance('baiGfe/tracing');
+        var queue = [];
+        var flushPending = false;
+
+        function Flush() {
+            var spans = queue;
+            queue = [];
+            flushPending = false;
+            nvNode.request('POST', spansPath, spans).catch(function (err) {
+                logger.error('failed to write', spans.length, 'span(s)', err);
+            });
+        }
+
+        return new LocalTracer(function (span) {
+            queue.push(span);
+            if (!flushPending) {
+                flushPending = true;
+                $timeout(Flush, flushDelayMs, false);
+            }
+        });
+    }]);
+
+    main.run(['$log', 'baiGfeConfig', 'GFECLIENT_CONFIG', 'GFECLIENT_BUILD_INFO', 'tracingService', 'baiGfeLocalTracer', function ($log, config, clientConfig, buildInfo, tracingService, localTracer) {
+        var mode = config.tracing.mode;
+        if (mode === 'upstream') {
+            return;
+        }
+
+        // Keeps the "main" state hardwareInfo resolve from creating GFE's tracer.
+        clientConfig.tracerFeature = false;
+        $log.getInstance('baiGfe/tracing').info('tracing mode:', mode);
+
+        if (mode === 'local') {
+            tracingService.init(localTracer, { clientVersion: buildInfo.gfePackageVersion });
+        }
+    }]);
+})(window.angular);
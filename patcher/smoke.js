@@ -0,0 +1,138 @@
+'use strict'
+
+////////////////////////////////////////////////////////////////////////////////
+// BaiGfe smoke test                                                          //
+//                                                                            //
+// Boots patched app.js bundles headless and checks that the patched login    //
+// reaches the home page and that the runtime scripts hook into the UI (see   //
+// lib/smoke.js).                                                             //
+//                                                                            //
+// Usage: node patcher/smoke.js [--config config.json] [--verbose]            //
+//        node patcher/smoke.js [--verbose] <patched app.js> ...              //
+//                                                                            //
+// Without files, the app-orig.js of the known builds (baselines.json) is     //
+// patched in memory and tested. A bundle fails on any failed check, any      //
+// error the UI reports and when it doesn't parse.                            //
+// Exit codes: 0 every bundle passed, 1 any failed.                           //
+////////////////////////////////////////////////////////////////////////////////
+
+var fs = require('fs');
+var path = require('path');
+
+var config = require('./lib/config.js');
+var smoke = require('./lib/smoke.js');
+var patcher = require('./index.js');
+
+var repositoryPath = path.join(__dirname, '..');
+
+var usage = 'Usage: node patcher/smoke.js [--config config.json] [--verbose] [<patched app.js> ...]';
+
+//! Returns the app-orig.js of the known builds (baselines.json) with a version
+//! folder, oldest first. The other version folders are listed as not tested.
+function OriginalBundles() {
+    var known = require('./baselines.json').map(function (baseline) {
+        return baseline.version;
+    });
+
+    return fs.readdirSync(repositoryPath).filter(function (name) {
+        if (!/^\d+(\.\d+)+$/.test(name) || !fs.existsSync(path.join(repositoryPath, name, 'app-orig.js'))) {
+            return false;
+        }
+        if (known.indexOf(name) < 0) {
+            console.log('NOT TESTED ' + path.join(name, 'app-orig.js') + ': not a known build (baselines.json)');
+            return false;
+        }
+        return true;
+    }).sort(function (a, b) {
+        return a.localeCompare(b, 'en', { numeric: true });
+    }).map(function (name) {
+        return path.join(repositoryPath, name, 'app-orig.js');
+    });
+}
+
+function ParseArguments(argv) {
+    var parsed = { positional: [], verbose: false };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config' && i + 1 < argv.length) {
+            parsed.configPath = argv[++i];
+        } else if (argv[i] === '--verbose') {
+            parsed.verbose = true;
+        } else {
+            parsed.positional.push(argv[i]);
+        }
+    }
+    return parsed;
+}
+
+//! Tests one bundle, resolves with true if it passed.
+function Test(filePath, patchOptions, verbose) {
+    var label = path.relative(process.cwd(), filePath);
+    var source;
+
+    try {
+        source = fs.readFileSync(filePath, 'utf8');
+        if (patchOptions) {
+            source = patcher.patchSource(source, patchOptions);
+        }
+    } catch (err) {
+        console.log('FAIL ' + label + ': ' + (err instanceof SyntaxError ? 'not a parsable app.js (' + err.message + ')' :
+            err.code ? err.message : err.stack));
+        return Promise.resolve(false);
+    }
+
+    return Promise.resolve().then(function () {
+        return smoke.runSmokeTest(source);
+    }).then(function (report) {
+        console.log((report.passed ? 'PASS ' : 'FAIL ') + label);
+        report.checks.forEach(function (check) {
+            if (verbose || !check.passed) {
+                console.log('    ' + (check.passed ? 'ok   ' : 'FAIL ') + check.name + (check.detail ? ': ' + check.detail : ''));
+            }
+        });
+        report.errors.forEach(function (error) {
+            console.log('    (ui error) ' + error);
+        });
+        return report.passed;
+    }, function (err) {
+        console.log('FAIL ' + label + ': ' + (err instanceof SyntaxError ? 'not a parsable app.js (' + err.message + ')' : err.stack));
+        return false;
+    });
+}
+
+function Main(argv) {
+    var args = ParseArguments(argv);
+    var patchOptions = null;
+    var files = args.positional;
+
+    if (args.configPath && files.length) {
+        console.error(usage);
+        return Promise.resolve(1);
+    }
+
+    if (!files.length) {
+        try {
+            patchOptions = { config: args.configPath ? config.loadConfig(args.configPath) : config.defaultConfig() };
+        } catch (err) {
+            console.error(err.message);
+            return Promise.resolve(1);
+        }
+        files = OriginalBundles();
+    }
+
+    // One bundle at a time, a jsdom window with GFE's UI is heavy.
+    return files.reduce(function (previous, filePath) {
+        return previous.then(function (allPassed) {
+            return Test(filePath, patchOptions, args.verbose).then(function (passed) {
+                return allPassed && passed;
+            });
+        });
+    }, Promise.resolve(true)).then(function (allPassed) {
+        return allPassed ? 0 : 1;
+    });
+}
+
+if (require.main === module) {
+    Main(process.argv.slice(2)).then(function (exitCode) {
+        process.exitCode = exitCode;
+    });
+}
@@ -0,0 +1,499 @@
+//
+// Smoke test environment, evaluated in the jsdom window before app.js.
+//
+// app.js is the last webpack chunk of GFE's UI: the webpack runtime, the
+// vendor DLL and the main.common chunk (cefService, socketService,
+// jarvisService, hardwareService...) are not part of it. This script stands in
+// for them:
+//
+//     - window.webpackJsonp runs the chunk, every module it lacks is a stub
+//       whose ng*Module exports are angular modules (ngMainCommonModule is
+//       "main.common") so the registrations made on them still count, and
+//       whose functions named like lodash's are lodash's (window._)
+//     - angular.module(name) creates the modules defined in the other chunks
+//     - every service, constant and provider the bundle injects without
+//       registering it is a stub, except the few stubbed explicitly below
+//     - updatesService.getUpdateDetails resolves with baiGfeSmoke.drivers
+//     - hardwareService has the oldest of them installed
+//     - dbService stores nothing but the completed OOBE, and gfeService.login
+//       goes to the home state, as on a PC whose session was lost
+//     - $mdPanel and mdVirtualRepeat stand in for angular material's
+//
+// A stub accepts anything: its properties are stubs, calling it returns a
+// stub that is also a promise resolving synchronously with a stub, and
+// constructing it returns a stub. As a string it is "0", like the numeric
+// constants it often stands for (the telemetry ids of the templates).
+//
+
+(function (window, angular) {
+    'use strict';
+
+    var errors = [];
+    var sessions = [];
+    var controllers = {};
+
+    // What updatesService.getUpdateDetails resolves with, newest first.
+    var drivers = [
+        { version: '461.40', isCRD: 0, isBeta: false, name: 'GeForce Game Ready Driver' },
+        { version: '460.89', isCRD: 0, isBeta: false, name: 'GeForce Game Ready Driver' },
+        { version: '456.71', isCRD: 0, isBeta: false, name: 'GeForce Game Ready Driver' }
+    ];
+
+    //! Promise-like value settled synchronously, so that stubbed services
+    //! resolve within the digest that called them.
+    function Settled(value, error, failed) {
+        return {
+            then: function (onFulfilled, onRejected) {
+                try {
+                    if (failed) {
+                        return onRejected ? Resolved(onRejected(error)) : this;
+                    }
+                    return onFulfilled ? Resolved(onFulfilled(value)) : this;
+                } catch (err) {
+                    return Settled(undefined, err, true);
+                }
+            },
+            catch: function (onRejected) {
+                return this.then(null, onRejected);
+            },
+            finally: function (callback) {
+                try {
+                    callback();
+                } catch (err) {
+                    return Settled(undefined, err, true);
+                }
+                return this;
+            }
+        };
+    }
+
+    function Resolved(value) {
+        return value && typeof value.then === 'function' ? value : Settled(value, undefined, false);
+    }
+
+    //! Returns a stub named after the expression it stands for. Only the stubs
+    //! returned by calls are thenable, so that $q doesn't adopt them forever.
+    function Stub(name, thenable) {
+        var values = {};
+        var result = null;
+
+        return new Proxy(function () {}, {
+            get: function (target, property) {
+                if (Object.prototype.hasOwnProperty.call(values, property)) {
+                    return values[property];
+                }
+                if (property === 'then' || property === 'catch' || property === 'finally') {
+                    if (!thenable) {
+                        return undefined;
+                    }
+                    var settled = Settled(Stub(name + '.value', false), undefined, false);
+                    return settled[property].bind(settled);
+                }
+                if (property === Symbol.toPrimitive) {
+                    return function (hint) {
+                        return hint === 'number' ? 0 : '0';
+                    };
+                }
+                if (property === 'toString' || property === 'valueOf') {
+                    return function () {
+                        return '0';
+                    };
+                }
+                if (property === 'toJSON') {
+                    return function () {
+                        return null;
+                    };
+                }
+                if (property === 'length') {
+                    return 0;
+                }
+                if (typeof property === 'symbol' || property === 'constructor' || property === '$$hashKey') {
+                    return undefined;
+                }
+                return (values[property] = Stub(name + '.' + property, false));
+            },
+
+            set: function (target, property, value) {
+                values[property] = value;
+                return true;
+            },
+
+            // The same result every time, so that watchers on stubs settle.
+            apply: function () {
+                return result || (result = Stub(name + '()', true));
+            },
+
+            construct: function () {
+                return Stub('new ' + name, false);
+            }
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Webpack runtime                                                        //
+    ////////////////////////////////////////////////////////////////////////////
+
+    //! Returns the angular module name of an ng*Module export: ngMainCommonModule
+    //! is "main.common".
+    function ModuleName(exportName) {
+        return exportName.replace(/^ng/, '').replace(/Module$/, '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1.$2').toLowerCase();
+    }
+
+    //! Exports of a module defined in another chunk.
+    function MissingModule(id) {
+        var stub = Stub('module' + id, false);
+
+        return new Proxy(function () {}, {
+            get: function (target, property) {
+                if (typeof property === 'string' && /^ng[A-Z]\w*Module$/.test(property)) {
+                    return angular.module(ModuleName(property));
+                }
+                if (property === '__esModule') {
+                    return true;
+                }
+                if (typeof property === 'string' && typeof window._[property] === 'function') {
+                    return window._[property];
+                }
+                return stub[property];
+            },
+
+            set: function (target, property, value) {
+                stub[property] = value;
+                return true;
+            },
+
+            apply: function () {
+                return stub();
+            },
+
+            construct: function () {
+                return Stub('new module' + id, false);
+            }
+        });
+    }
+
+    var modules = [];
+    var installedModules = {};
+
+    function Require(id) {
+        if (installedModules[id]) {
+            return installedModules[id].exports;
+        }
+
+        var module = installedModules[id] = { id: id, exports: {}, loaded: false };
+        var body = modules[id];
+
+        // DedupePlugin: the index of an identical module, or a template and its arguments.
+        if (typeof body === 'number') {
+            body = modules[body];
+        } else if (Array.isArray(body)) {
+            var template = modules[body[0]];
+            var templateArguments = body.slice(1);
+            body = function (module, exports, require) {
+                return template.apply(this, [module, exports, require].concat(templateArguments));
+            };
+        }
+
+        if (typeof body !== 'function') {
+            module.exports = MissingModule(id);
+        } else {
+            body.call(module.exports, module, module.exports, Require);
+        }
+        module.loaded = true;
+        return module.exports;
+    }
+
+    Require.p = '';
+
+    window.webpackJsonp = function (chunkIds, moreModules) {
+        modules = moreModules;
+        return Require(0);
+    };
+
+    var angularModule = angular.module;
+    angular.module = function (name, requires) {
+        if (!requires) {
+            try {
+                return angularModule(name);
+            } catch (err) {
+                return angularModule(name, []);
+            }
+        }
+        return angularModule.apply(this, arguments);
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Services                                                               //
+    ////////////////////////////////////////////////////////////////////////////
+
+    //! Returns the names of the modules "main" depends on, directly or not.
+    function MainModules() {
+        var names = [];
+        (function Visit(name) {
+            if (names.indexOf(name) < 0) {
+                names.push(name);
+                angular.module(name).requires.forEach(Visit);
+            }
+        })('main');
+        return names;
+    }
+
+    //! Registers a stub for every injected name that no module provides.
+    function RegisterStubs(stubs, injectedNames) {
+        var registered = {};
+        MainModules().forEach(function (name) {
+            angular.module(name)._invokeQueue.forEach(function (invocation) {
+                var nameOrObject = invocation[2][0];
+                if (typeof nameOrObject === 'string') {
+                    registered[nameOrObject] = true;
+                } else if (nameOrObject && typeof nameOrObject === 'object') {
+                    Object.keys(nameOrObject).forEach(function (key) {
+                        registered[key] = true;
+                    });
+                }
+            });
+        });
+
+        var builtIn = angular.injector(['ng', ['$provide', function ($provide) {
+            $provide.value('$rootElement', angular.element(window.document.body));
+        }], 'ui.router']);
+
+        injectedNames.forEach(function (name) {
+            var serviceName = name.replace(/Provider$/, '');
+            if (registered[serviceName] || registered[name] || builtIn.has(name) || builtIn.has(serviceName) ||
+                /(Directive|Filter)$/.test(serviceName)) {
+                return;
+            }
+
+            if (serviceName !== name) {
+                stubs.provider(serviceName, function () {
+                    var provider = Stub(name, false);
+                    provider.$get = function () {
+                        return Stub(serviceName, false);
+                    };
+                    return provider;
+                });
+            } else if (/^[A-Z][A-Z0-9_]*$/.test(name)) {
+                // Constants may be injected in config blocks.
+                stubs.constant(name, Stub(name, false));
+            } else {
+                stubs.factory(name, function () {
+                    return Stub(name, false);
+                });
+            }
+        });
+    }
+
+    function StubbedService(name, methods) {
+        return ['$q', function ($q) {
+            var service = Stub(name, false);
+            angular.forEach(methods($q), function (method, key) {
+                service[key] = method;
+            });
+            return service;
+        }];
+    }
+
+    //! Creates the "baiGfeSmoke" module, which must be loaded before "main".
+    function Install(injectedNames) {
+        var smoke = angularModule('baiGfeSmoke', []);
+
+        // First, so that the services stubbed explicitly below override them.
+        RegisterStubs(smoke, injectedNames);
+
+        smoke.config(['$provide', function ($provide) {
+            // The main.common chunk adds getInstance(name) to $log.
+            $provide.decorator('$log', ['$delegate', function ($log) {
+                var noop = function () {};
+                $log.getInstance = function () {
+                    return { log: noop, info: noop, debug: noop, warn: noop, error: noop };
+                };
+                return $log;
+            }]);
+
+            // Filters of other chunks (translate...) are the identity.
+            $provide.decorator('$filter', ['$delegate', function ($filter) {
+                return function (name) {
+                    try {
+                        return $filter(name);
+                    } catch (err) {
+                        return function (value) {
+                            return value;
+                        };
+                    }
+                };
+            }]);
+
+            // The controllers created by name, for the checks of the smoke test.
+            $provide.decorator('$controller', ['$delegate', function ($controller) {
+                return function (expression, locals, later) {
+                    var result = $controller.apply(this, arguments);
+                    if (angular.isString(expression)) {
+                        (controllers[expression] = controllers[expression] || []).push(later ? result.instance : result);
+                    }
+                    return result;
+                };
+            }]);
+
+            // The smoke test fails on any error the UI reports.
+            $provide.factory('$exceptionHandler', function () {
+                return function (exception) {
+                    errors.push(exception);
+                };
+            });
+        }]);
+
+        smoke.factory('cefService', StubbedService('cefService', function ($q) {
+            return {
+                localNodeInfo: function () {
+                    return $q.resolve(JSON.stringify({ port: 0, secret: '', active: true }));
+                }
+            };
+        }));
+
+        smoke.factory('socketService', StubbedService('socketService', function ($q) {
+            return {
+                connect: function () {
+                    return $q.resolve();
+                },
+                register: function () {},
+                disconnect: function () {}
+            };
+        }));
+
+        smoke.factory('jarvisService', StubbedService('jarvisService', function ($q) {
+            return {
+                hasSession: function () {
+                    return true;
+                },
+                startSession: function (session) {
+                    sessions.push(session);
+                    return $q.resolve(session);
+                }
+            };
+        }));
+
+        // The game lists repeat with angular material, which isn't loaded.
+        smoke.directive('mdVirtualRepeat', ['ngRepeatDirective', function (ngRepeatDirective) {
+            var ngRepeat = ngRepeatDirective[0];
+            return angular.extend({}, ngRepeat, {
+                compile: function (element, attributes) {
+                    attributes.ngRepeat = attributes.mdVirtualRepeat;
+                    return ngRepeat.compile.apply(this, arguments);
+                }
+            });
+        }]);
+
+        // The OOBE opens in a panel of angular material too: its
+        // template is compiled into the document with the controller's locals.
+        smoke.factory('$mdPanel', ['$compile', '$q', '$rootScope', function ($compile, $q, $rootScope) {
+            var service = Stub('$mdPanel', false);
+            service.create = function (config) {
+                var panel = Stub('$mdPanel.panel', false);
+                panel.open = function () {
+                    var scope = $rootScope.$new();
+                    scope[config.controllerAs] = angular.extend({}, config.locals);
+                    panel.element = $compile('<div class="' + config.panelClass + '">' + config.template + '</div>')(scope);
+                    window.document.body.appendChild(panel.element[0]);
+                    return $q.resolve(panel);
+                };
+                return panel;
+            };
+            return service;
+        }]);
+
+        // GFE's storage holds nothing but the OOBE, completed before the session
+        // was lost: once logged in, the OOBE goes to the home state. Its
+        // provider is configured by "main".
+        smoke.provider('dbService', function () {
+            var provider = Stub('dbServiceProvider', false);
+            provider.$get = ['$injector', '$q', function ($injector, $q) {
+                var service = Stub('dbService', false);
+                var store = Stub('dbService.getGlobalStore()', false);
+                var items = new Map();
+
+                if ($injector.has('DB_NAMES') && $injector.has('OOBE_STATE')) {
+                    items.set($injector.get('DB_NAMES').OOBE_STATE, $injector.get('OOBE_STATE').COMPLETED_ALL);
+                }
+                store.getItem = function (key) {
+                    return $q.resolve(items.get(key));
+                };
+                store.setItem = function (key, value) {
+                    items.set(key, value);
+                    return $q.resolve(value);
+                };
+                store.removeItem = function (key) {
+                    items.delete(key);
+                    return $q.resolve();
+                };
+                service.getGlobalStore = function () {
+                    return store;
+                };
+                return service;
+            }];
+            return provider;
+        });
+
+        // updatesService rejects, unhandled, when no driver is installed.
+        smoke.factory('hardwareService', StubbedService('hardwareService', function ($q) {
+            function SystemInfo() {
+                return $q.resolve({
+                    DriverVersion: drivers[drivers.length - 1].version,
+                    DriverType: '0',
+                    OSName: 'Windows 10',
+                    OSVersion: '10.0.19045',
+                    TelemetryDeviceId: '0123456789abcdef0123456789abcdef'
+                });
+            }
+
+            return {
+                getSystemInfo: SystemInfo,
+                getLaunchTimeSystemInfo: SystemInfo
+            };
+        }));
+
+        // Logging in from the OOBE goes on to the home page.
+        smoke.factory('gfeService', ['$injector', function ($injector) {
+            var service = Stub('gfeService', false);
+            service.login = function () {
+                $injector.get('$state').go('main.auth.home', {}, { location: 'replace' });
+            };
+            return service;
+        }]);
+
+        // A system without Share: only a patched MainToolbarController shows it.
+        smoke.factory('preferencesService', StubbedService('preferencesService', function ($q) {
+            return {
+                isShareFeatureSupportedOnSystem: function () {
+                    return $q.reject('Share is not supported by the smoke test stubs');
+                }
+            };
+        }));
+
+        // GFE's updatesService gets the drivers through the main.common chunk.
+        // Its getUpdateDetails is replaced by the first config block of "main":
+        // after GFE registered the service, before the runtime scripts decorate it.
+        angular.module('main')._configBlocks.unshift(['$injector', 'invoke', [['$injector', '$provide', function ($injector, $provide) {
+            if (!$injector.has('updatesServiceProvider')) {
+                return;
+            }
+            $provide.decorator('updatesService', ['$delegate', '$q', function (updatesService, $q) {
+                updatesService.getUpdateDetails = function () {
+                    return $q.resolve(drivers.slice());
+                };
+                return updatesService;
+            }]);
+        }]]]);
+
+        angular.module('main').requires.unshift('baiGfeSmoke');
+    }
+
+    window.baiGfeSmoke = {
+        install: Install,
+        errors: errors,
+        sessions: sessions,
+        controllers: controllers,
+        drivers: drivers
+    };
+})(window, window.angular);
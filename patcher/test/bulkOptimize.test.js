@@ -0,0 +1,124 @@
+'use strict'
+
+//
+// Bulk optimization (runtime/bulkOptimize.js): filter counters, dry run of
+// the plugged in and on battery profiles, and optimization of the changes.
+//
+
+var assert = require('assert');
+var test = require('node:test');
+
+var games = require('./helpers/games.js');
+var runtime = require('./helpers/runtime.js');
+
+var low = [{ name: 'Shadows', value: 'Low' }, { name: 'Texture quality', value: 'Low' }];
+var high = [{ name: 'Shadows', value: 'Low' }, { name: 'Texture quality', value: 'High' }];
+
+//! Returns the runtime with the given user games ({gameId, favorite,
+//! hidden}) and their game objects, made by games.fakeGame from the options.
+function CreateRuntime(t, userGames, gameOptions) {
+    var installed = {};
+    var context = runtime.createRuntime(t, ['optimizationHistory', 'bulkOptimize'], {}, function (module) {
+        ['nvGameSettings', 'nvPreferencesGames'].forEach(function (name) {
+            module.directive(name, function () {
+                return { template: '' };
+            });
+        });
+        module
+            .value('gamesService', { getSystemGame: function (id) {
+                return installed[id];
+            } })
+            .value('userGamesService', { getUserGames: function () {
+                return userGames;
+            } });
+    });
+
+    var $q = context.injector.get('$q');
+    gameOptions.forEach(function (options) {
+        installed[options.id] = games.fakeGame($q, options);
+    });
+    context.games = installed;
+    context.bulkOptimize = context.injector.get('baiGfeBulkOptimize');
+    return context;
+}
+
+function Games(t) {
+    return CreateRuntime(t, [
+        { gameId: 1, favorite: true },
+        { gameId: 2, favorite: 'yes', hidden: true },
+        { gameId: 3 },
+        { gameId: 4 },
+        { gameId: 5 }
+    ], [
+        { id: 1, currentSettings: low, optimal: { AC: high, DC: low }, DC: { state: 'optimized' } },
+        { id: 2, flags: { isFreestyleReady: true } },
+        { id: 3, dcDisabled: true, hasRecommendation: false, flags: { isAnselReady: true } },
+        { id: 4, currentSettings: high, optimal: { AC: high, DC: high }, AC: { state: 'optimized' } },
+        { id: 5, belowMinSpec: true }
+    ]);
+}
+
+test('the games are counted with the predicates of GameListController', function (t) {
+    assert.deepStrictEqual(runtime.plain(Games(t).bulkOptimize.counts()), {
+        favorite: 1, hidden: 1, anselReady: 1, freestyleReady: 1, optimized: 2, belowMinSpec: 1
+    });
+});
+
+test('the dry run compares the current settings with the optimal ones of both profiles', function (t) {
+    var context = Games(t);
+
+    var rows;
+    context.bulkOptimize.dryRun({ hidden: 'exclude', belowMinSpec: 'exclude' }).then(function (result) {
+        rows = result;
+    });
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(runtime.plain(rows.map(function (row) {
+        return [row.game.id, row.profile, row.problem, row.changes];
+    })), [
+        [1, 'Plugged in', null, [{ name: 'Texture quality', now: 'Low', after: 'High' }]],
+        [1, 'On battery', null, []],
+        [3, 'Plugged in', 'No optimal settings for this PC', []],
+        [4, 'Plugged in', null, []],
+        [4, 'On battery', null, [{ name: 'Optimization', now: 'Off', after: 'On' }]]
+    ]);
+    assert.deepStrictEqual(runtime.plain(context.games[1].calls), [
+        ['getSettingsSpace', '1920x1080', games.displayModes[0]],
+        ['getSettingsSpace', '1920x1080', games.displayModes[0]]
+    ]);
+
+    var result;
+    context.bulkOptimize.apply(rows).then(function (applied) {
+        result = applied;
+    });
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(runtime.plain(result), { optimized: 2, failed: 0 });
+    assert.deepStrictEqual(runtime.plain(context.games[1].calls.slice(2)), [['optimizeAC']]);
+    assert.deepStrictEqual(runtime.plain(context.games[4].calls.slice(2)), [['optimizeDC']]);
+    assert.deepStrictEqual(context.injector.get('baiGfeOptimizationHistory').list(1)[0].action, 'bulk');
+});
+
+test('the filters require, exclude or ignore each criterion', function (t) {
+    var context = Games(t);
+
+    function Matching(filter) {
+        var ids;
+        context.bulkOptimize.dryRun(filter).then(function (rows) {
+            ids = [];
+            rows.forEach(function (row) {
+                if (ids.indexOf(row.game.id) < 0) {
+                    ids.push(row.game.id);
+                }
+            });
+        });
+        context.$rootScope.$digest();
+        return runtime.plain(ids);
+    }
+
+    assert.deepStrictEqual(Matching(context.bulkOptimize.defaultFilter), [3]);
+    assert.deepStrictEqual(Matching({ favorite: 'only' }), [1]);
+    assert.deepStrictEqual(Matching({ hidden: 'only', favorite: 'exclude' }), [2]);
+    assert.deepStrictEqual(Matching({ optimized: 'only', anselReady: 'exclude' }), [1, 4]);
+    assert.deepStrictEqual(Matching({}), [1, 2, 3, 4, 5]);
+});
@@ -0,0 +1,135 @@
+'use strict'
+
+//
+// Local crash reports of NvNode (beta/NvCrashReports.js) and their routes
+// (beta/NvCrashReportsAPI.js).
+//
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+
+var nvNode = require('./helpers/nvNode.js');
+
+var crashReports = nvNode.requireBeta('NvCrashReports.js');
+var crashReportsApi = nvNode.requireBeta('NvCrashReportsAPI.js');
+
+function TemporaryDirectory(t) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'crash-reports-'));
+    t.after(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    return path.join(directory, 'CrashReports');
+}
+
+//! Serves the routes of a store whose uploads are recorded in server.uploaded,
+//! and fail with uploadError when given.
+function Serve(t, uploadError) {
+    var store = crashReports.createStore(TemporaryDirectory(t));
+    var uploaded = [];
+
+    return nvNode.serve(t, function (app, io, logger) {
+        return crashReportsApi(app, io, logger, store, function (report) {
+            uploaded.push(report.id);
+            return uploadError;
+        });
+    }).then(function (server) {
+        server.store = store;
+        server.uploaded = uploaded;
+        return server;
+    });
+}
+
+//! Gives each new Date a time one second after the previous one.
+function Clock(t) {
+    var seconds = 0;
+    t.mock.method(Date.prototype, 'toISOString', function () {
+        var time = seconds++;
+        return '2026-01-01T00:' + String(Math.floor(time / 60)).padStart(2, '0') + ':' + String(time % 60).padStart(2, '0') + '.000Z';
+    });
+}
+
+test('in review mode, the reports are queued until uploaded or discarded', function (t) {
+    Clock(t);
+    return Serve(t).then(function (server) {
+        return server.request('POST', '/CrashReports/v.1.0/Settings', { mode: 'review' }).then(function (response) {
+            assert.deepStrictEqual(response.body, { mode: 'review' });
+            server.store.add('uncaughtException', 'TypeError: x is undefined\n    at Object.<anonymous>');
+            server.store.add('ShadowPlayAPI', 'Error: module not found');
+            return server.request('GET', '/CrashReports/v.1.0/Reports');
+        }).then(function (response) {
+            assert.strictEqual(response.body.mode, 'review');
+            assert.deepStrictEqual(response.body.reports.map(function (report) {
+                return [report.source, report.title, report.status];
+            }), [
+                ['ShadowPlayAPI', 'Error: module not found', 'queued'],
+                ['uncaughtException', 'TypeError: x is undefined', 'queued']
+            ]);
+
+            var ids = response.body.reports.map(function (report) {
+                return report.id;
+            });
+            return Promise.all([
+                server.request('POST', '/CrashReports/v.1.0/Reports/' + ids[1] + '/Upload'),
+                server.request('POST', '/CrashReports/v.1.0/Reports/' + ids[0] + '/Discard')
+            ]).then(function (responses) {
+                assert.deepStrictEqual(responses.map(function (response) {
+                    return response.status;
+                }), [200, 200]);
+                assert.deepStrictEqual(server.uploaded, [ids[1]]);
+                assert.deepStrictEqual(server.store.list().map(function (report) {
+                    return [report.id, report.status];
+                }), [[ids[1], 'uploaded']]);
+                assert.strictEqual(server.store.read(ids[1]).message, 'TypeError: x is undefined\n    at Object.<anonymous>');
+            });
+        });
+    });
+});
+
+test('an unknown mode or report is refused, a failed upload is kept', function (t) {
+    return Serve(t, 'status 503').then(function (server) {
+        var report = server.store.add('uncaughtException', 'Error: boom');
+        return Promise.all([
+            server.request('POST', '/CrashReports/v.1.0/Settings', { mode: 'never' }),
+            server.request('GET', '/CrashReports/v.1.0/Reports/crash-unknown'),
+            server.request('POST', '/CrashReports/v.1.0/Reports/crash-unknown/Discard'),
+            server.request('POST', '/CrashReports/v.1.0/Reports/' + report.id + '/Upload')
+        ]).then(function (responses) {
+            assert.deepStrictEqual(responses.map(function (response) {
+                return [response.status, response.body.error];
+            }), [
+                [400, 'Expected a mode among upload, review, local'],
+                [400, 'Unknown crash report: crash-unknown'],
+                [400, 'Unknown crash report: crash-unknown'],
+                [500, 'Upload failed: status 503']
+            ]);
+            assert.strictEqual(server.store.mode(), 'upload');
+            assert.strictEqual(server.store.read(report.id).status, 'uploadFailed');
+        });
+    });
+});
+
+test('the oldest reports are deleted beyond 50, the index is rebuilt from the files', function (t) {
+    Clock(t);
+    var directory = TemporaryDirectory(t);
+    var store = crashReports.createStore(directory);
+
+    var added = [];
+    for (var i = 0; i < 52; i++) {
+        added.push(store.add('uncaughtException', 'Error: ' + i).id);
+    }
+
+    var kept = added.slice(2).reverse();
+    assert.deepStrictEqual(store.list().map(function (report) {
+        return report.id;
+    }), kept);
+    assert.strictEqual(fs.existsSync(path.join(directory, added[0] + '.json')), false);
+
+    fs.writeFileSync(path.join(directory, 'index.json'), '{');
+    assert.deepStrictEqual(store.list().map(function (report) {
+        return report.id;
+    }), kept);
+    assert.strictEqual(store.read(added[51]).message, 'Error: 51');
+});
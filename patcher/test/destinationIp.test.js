@@ -0,0 +1,118 @@
+'use strict'
+
+//
+// Destination IP lookups (patches/destinationIp.js, runtime/destinationIp.js).
+//
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+
+var bundle = require('../lib/bundle.js');
+var edits = require('../lib/edits.js');
+var destinationIp = require('../patches/destinationIp.js');
+var runtime = require('./helpers/runtime.js');
+
+var dayMs = 24 * 60 * 60 * 1000;
+
+//! Returns the runtime with a cefService whose dnsLookup(host) answers
+//! { hostname: "ip of <host>" } and counts its calls per host.
+function CreateRuntime(t, lookup, cache) {
+    var lookups = {};
+    var context = runtime.createRuntime(t, ['destinationIp'], {
+        telemetry: { destinationIpLookup: lookup, lookupUnreachableHosts: true }
+    }, function (module, window) {
+        if (cache) {
+            window.localStorage.setItem('baiGfe.destinationIps', JSON.stringify(cache));
+        }
+        module.factory('cefService', ['$q', function ($q) {
+            return {
+                dnsLookup: function (host) {
+                    assert.strictEqual(arguments.length, 1);
+                    lookups[host] = (lookups[host] || 0) + 1;
+                    return $q.resolve(JSON.stringify({ hostname: 'ip of ' + host }));
+                }
+            };
+        }]);
+    });
+    context.lookups = lookups;
+
+    //! Resolves the host as GFE does, returns the result.
+    context.lookup = function (host, service) {
+        var result;
+        context.injector.get('cefService').dnsLookup(host, service).then(function (value) {
+            result = JSON.parse(value).hostname;
+        });
+        context.$rootScope.$digest();
+        return result;
+    };
+    context.stored = function () {
+        return JSON.parse(context.window.localStorage.getItem('baiGfe.destinationIps'));
+    };
+    return context;
+}
+
+test('cached lookups are per service', function (t) {
+    var context = CreateRuntime(t, 'cached');
+
+    assert.strictEqual(context.lookup('gfwsl.geforce.com', 'GFWSL'), 'ip of gfwsl.geforce.com');
+    assert.strictEqual(context.lookup('gfwsl.geforce.com', 'GFWSL'), 'ip of gfwsl.geforce.com');
+    assert.strictEqual(context.lookup('gfwsl.geforce.com', 'GFWSL_ARTICLE'), 'ip of gfwsl.geforce.com');
+    assert.strictEqual(context.lookup('other.nvidia.com', 'GFWSL'), 'ip of other.nvidia.com');
+    assert.strictEqual(context.lookup('no-service.nvidia.com'), 'ip of no-service.nvidia.com');
+    assert.strictEqual(context.lookup('no-service.nvidia.com'), 'ip of no-service.nvidia.com');
+
+    // The GFWSL service moved to another host, which is looked up again.
+    assert.deepStrictEqual(context.lookups, { 'gfwsl.geforce.com': 2, 'other.nvidia.com': 1, 'no-service.nvidia.com': 1 });
+    assert.deepStrictEqual(Object.keys(context.stored()).sort(), ['GFWSL', 'GFWSL_ARTICLE', 'no-service.nvidia.com']);
+});
+
+test('expired lookups are done again and pruned from the cache', function (t) {
+    var now = Date.now();
+    var context = CreateRuntime(t, 'cached', {
+        FRESH: { host: 'fresh.nvidia.com', result: JSON.stringify({ hostname: '1.1.1.1' }), time: now - dayMs },
+        EXPIRED: { host: 'expired.nvidia.com', result: JSON.stringify({ hostname: '2.2.2.2' }), time: now - 8 * dayMs },
+        INVALID: 'not an entry'
+    });
+
+    assert.strictEqual(context.lookup('fresh.nvidia.com', 'FRESH'), '1.1.1.1');
+    assert.deepStrictEqual(Object.keys(context.stored()), ['FRESH']);
+
+    assert.strictEqual(context.lookup('expired.nvidia.com', 'EXPIRED'), 'ip of expired.nvidia.com');
+    assert.deepStrictEqual(context.lookups, { 'expired.nvidia.com': 1 });
+});
+
+test('the cache keeps the most recent lookups only', function (t) {
+    var cache = {};
+    for (var i = 0; i < 150; i++) {
+        cache['SERVICE' + i] = { host: 'h' + i, result: '{}', time: Date.now() - dayMs + i };
+    }
+    var context = CreateRuntime(t, 'cached', cache);
+
+    context.lookup('new.nvidia.com', 'NEW');
+    var stored = Object.keys(context.stored());
+    assert.strictEqual(stored.length, 100);
+    assert.ok(stored.indexOf('NEW') >= 0 && stored.indexOf('SERVICE149') >= 0 && stored.indexOf('SERVICE50') < 0);
+});
+
+test('"lookup" resolves every time and "off" never', function (t) {
+    var context = CreateRuntime(t, 'lookup');
+    context.lookup('gfwsl.geforce.com', 'GFWSL');
+    context.lookup('gfwsl.geforce.com', 'GFWSL');
+    assert.deepStrictEqual(context.lookups, { 'gfwsl.geforce.com': 2 });
+
+    var off = CreateRuntime(t, 'off');
+    assert.strictEqual(off.lookup('gfwsl.geforce.com', 'GFWSL'), '');
+    assert.deepStrictEqual(off.lookups, {});
+});
+
+test('the patch passes the service of httpTelemetryService to dnsLookup', function () {
+    var source = fs.readFileSync(path.join(__dirname, '..', '..', '3.26.0.160', 'app-orig.js'), 'utf8');
+    var parsed = bundle.parse(source);
+    assert.strictEqual(destinationIp.detect(parsed), 'unpatched');
+
+    var patched = bundle.parse(edits.applyEdits(source, destinationIp.apply(parsed, {})));
+    assert.strictEqual(destinationIp.detect(patched), 'patched');
+    assert.ok(/\w+\.dnsLookup\(\w+,\w+\)/.test(patched.source));
+});
@@ -0,0 +1,99 @@
+'use strict'
+
+//
+// Driver pinning (runtime/driverPinning.js): the drivers a pin holds back.
+//
+
+var assert = require('assert');
+var test = require('node:test');
+
+var runtime = require('./helpers/runtime.js');
+
+function SetUp(module) {
+    module
+        .constant('DRIVER_TYPE', { AVAILABLE: 'available', AVAILABLE_BETA: 'beta' })
+        .value('preferencesService', {})
+        .value('updatesService', {})
+        .directive('nvUpdatesDriver', function () {
+            return { template: '' };
+        });
+}
+
+function Versions(drivers) {
+    return drivers.map(function (driver) {
+        return driver.version + (driver.isCRD ? ' studio' : '') + (driver.isBeta ? ' beta' : '');
+    });
+}
+
+test('a pin holds back the newer drivers and the other types of its version, comparing versions as numbers', function (t) {
+    var context = runtime.createRuntime(t, ['driverPinning'], {}, SetUp);
+    var driverPinning = context.injector.get('baiGfeDriverPinning');
+
+    driverPinning.setPin({ version: '460.89', isCRD: 0, isBeta: false });
+    context.$rootScope.$digest();
+
+    var offered = driverPinning.filter([
+        { version: '461.40', isCRD: 0, isBeta: false },
+        { version: '460.100', isCRD: 0, isBeta: false },
+        { version: '460.89', isCRD: 1, isBeta: false },
+        { version: '460.89', isCRD: 0, isBeta: true },
+        { version: '460.89', isCRD: 0, isBeta: false },
+        { version: '460.9', isCRD: 0, isBeta: false },
+        { version: '456.71', isCRD: 0, isBeta: false }
+    ]);
+
+    assert.deepStrictEqual(Versions(offered), ['460.89', '460.9', '456.71']);
+    assert.deepStrictEqual(Versions(driverPinning.heldBack()), ['461.40', '460.100', '460.89 studio', '460.89 beta']);
+});
+
+test('without a pin every driver is offered', function (t) {
+    var context = runtime.createRuntime(t, ['driverPinning'], {}, SetUp);
+    var driverPinning = context.injector.get('baiGfeDriverPinning');
+    var drivers = [{ version: '461.40', isCRD: 0, isBeta: false }, { version: '456.71', isCRD: 0, isBeta: false }];
+
+    driverPinning.setPin(drivers[1]);
+    driverPinning.unpin();
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(Versions(driverPinning.filter(drivers)), ['461.40', '456.71']);
+    assert.strictEqual(driverPinning.heldBack().length, 0);
+    assert.strictEqual(driverPinning.pin(), null);
+});
+
+test('without GFE\'s rollback list, the packages seen installed are checked on disk', function (t) {
+    var checked = [];
+    var context = runtime.createRuntime(t, ['driverPinning'], {}, function (module) {
+        SetUp(module);
+        module
+            .factory('updatesService', ['$q', function ($q) {
+                return { getInstalledDriver: function () {
+                    return $q.resolve({ version: '461.40', isCRD: 0 });
+                } };
+            }])
+            .factory('cefService', ['$q', function ($q) {
+                return { localNodeInfo: function () {
+                    return $q.resolve({ port: 1, secret: 'secret' });
+                } };
+            }])
+            .value('$httpBackend', function (method, url, data, callback) {
+                checked.push([method, url, JSON.parse(data).paths]);
+                callback(200, JSON.stringify({ paths: { 'C:\\460.89': true, 'C:\\456.71.exe': false } }), '', 'OK', 'complete');
+            });
+    });
+    var driverPinning = context.injector.get('baiGfeDriverPinning');
+
+    driverPinning.record({ version: '460.89', isCRD: 0, downloadStatus: { extractedPath: 'C:\\460.89' } });
+    driverPinning.record({ version: '456.71', isCRD: 0, downloadStatus: { downloadedLocation: 'C:\\456.71.exe' } });
+    driverPinning.record({ version: '461.40', isCRD: 0, downloadStatus: { extractedPath: 'C:\\461.40' } });
+
+    var packages;
+    driverPinning.packages().then(function (result) {
+        packages = result;
+    });
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(runtime.plain(checked), [
+        ['POST', 'http://127.0.0.1:1/DriverPackages/v.1.0/Check', ['C:\\456.71.exe', 'C:\\460.89']]
+    ]);
+    assert.deepStrictEqual(runtime.plain(Versions(packages)), ['460.89']);
+});
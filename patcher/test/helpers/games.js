@@ -0,0 +1,172 @@
+'use strict'
+
+//
+// Fake GFE game objects (gamesService.getSystemGame) for the unit tests of the
+// optimization runtime scripts.
+//
+
+var profileMethods = {
+    AC: {
+        isOptimized: 'isACOptimized',
+        isCustomized: 'isACCustomized',
+        position: 'getOpsPositionAC',
+        settings: 'getRegularTargetSettingsAC',
+        resolution: 'getRecommendedACResolution',
+        displayMode: 'getRecommendedACDisplayMode',
+        recommendationAvailable: 'isACRecommendationAvailable',
+        optimal: 'getOptimalACSettings',
+        optimize: 'optimizeAC',
+        customize: 'customizeAC',
+        revert: 'revertACOptimization',
+        getFps: 'getQuietModeFRLState',
+        setFps: 'setQuietModeFRLState'
+    },
+    DC: {
+        isOptimized: 'isDCOptimized',
+        isCustomized: 'isDCCustomized',
+        position: 'getOpsPositionDC',
+        settings: 'getRegularTargetSettingsDC',
+        resolution: 'getRecommendedDCResolution',
+        displayMode: 'getRecommendedDCDisplayMode',
+        recommendationAvailable: 'isDCRecommendationAvailable',
+        optimal: 'getOptimalDCSettings',
+        optimize: 'optimizeDC',
+        customize: 'customizeDC',
+        revert: 'revertDCOptimization',
+        getFps: 'getBatteryBoostFRLState',
+        setFps: 'setBatteryBoostFRLState'
+    }
+};
+
+// Display modes as GFE's slider settings list them; GFE passes their name.
+var displayModes = [{ name: 'Fullscreen', label: 'Full screen' }, { name: 'Windowed', label: 'Windowed' }];
+
+var resolutions = [{ value: '1920x1080', label: '1920 x 1080' }, { value: '2560x1440', label: '2560 x 1440' }];
+
+//! Returns a game whose profiles AC and DC are { state, resolution,
+//! displayMode (a name), sliderIndex, fps }, as given in options.AC /
+//! options.DC (default: not optimized). Its methods change them as GFE does,
+//! returning promises of the given $q, and record their calls in game.calls.
+//! options.currentSettings and options.optimal ({ AC, DC }) are the
+//! [{ name, value }] settings of the game and its optimal ones, options.flags
+//! the properties of GFE's game objects, like isAnselReady.
+function fakeGame($q, options) {
+    var game = {
+        id: options.id,
+        shortName: options.shortName || 'game' + options.id,
+        displayName: options.displayName || 'Game ' + options.id,
+        calls: [],
+        profiles: {},
+        sliderSteps: options.sliderSteps || 5,
+        hasRecommendation: options.hasRecommendation !== false,
+        dcDisabled: !!options.dcDisabled
+    };
+
+    function Record(name, args) {
+        game.calls.push([name].concat(Array.prototype.slice.call(args)));
+    }
+
+    Object.assign(game, options.flags);
+
+    game.getState = function () {
+        return $q.resolve();
+    };
+    game.getCurrentSettings = function () {
+        return options.currentSettings ||
+            [{ name: 'Texture quality', value: game.profiles.AC.state === 'notOptimized' ? 'Low' : 'High' }];
+    };
+    game.isACorDCoptimized = function () {
+        return game.profiles.AC.state !== 'notOptimized' || game.profiles.DC.state !== 'notOptimized';
+    };
+    game.isRecommendedACBelowMinspecFromState = function () {
+        return !!options.belowMinSpec;
+    };
+    game.isDCDisabled = function () {
+        return game.dcDisabled;
+    };
+    game.getSliderSettings = function () {
+        var choices = { resolution: { values: resolutions, recommended: 0 }, displayMode: { values: displayModes, recommended: 0 } };
+        return { AC: choices, DC: choices };
+    };
+    game.getSettingsSpace = function (resolution, displayMode) {
+        Record('getSettingsSpace', arguments);
+        var settings = [];
+        for (var i = 0; i < game.sliderSteps; i++) {
+            settings.push({ index: i });
+        }
+        return $q.resolve({ settings: settings });
+    };
+
+    Object.keys(profileMethods).forEach(function (name) {
+        var methods = profileMethods[name];
+        var profile = game.profiles[name] = Object.assign({
+            state: 'notOptimized', resolution: null, displayMode: null, sliderIndex: null, fps: null
+        }, options[name]);
+
+        game[methods.isOptimized] = function () {
+            return profile.state === 'optimized';
+        };
+        game[methods.isCustomized] = function () {
+            return profile.state === 'custom';
+        };
+        game[methods.position] = function () {
+            if (profile.state !== 'custom') {
+                return null;
+            }
+            // The tweak holds the display mode object, as CustomOpsController reads it.
+            var displayMode = displayModes.filter(function (mode) {
+                return mode.name === profile.displayMode;
+            })[0];
+            return { tweak: { resolution: profile.resolution, displayMode: displayMode }, settingsIndex: profile.sliderIndex };
+        };
+        game[methods.settings] = function () {
+            return { state: profile.state };
+        };
+        game[methods.resolution] = function () {
+            return game.hasRecommendation ? resolutions[0].value : null;
+        };
+        game[methods.displayMode] = function () {
+            return displayModes[0];
+        };
+        game[methods.recommendationAvailable] = function () {
+            return game.hasRecommendation;
+        };
+        game[methods.optimal] = function () {
+            if (!game.hasRecommendation) {
+                return null;
+            }
+            return options.optimal && options.optimal[name] || [{ name: 'Texture quality', value: 'High' }];
+        };
+        game[methods.optimize] = function () {
+            Record(methods.optimize, arguments);
+            profile.state = 'optimized';
+            return $q.resolve();
+        };
+        game[methods.customize] = function (resolution, displayMode, sliderIndex) {
+            Record(methods.customize, arguments);
+            Object.assign(profile, { state: 'custom', resolution: resolution, displayMode: displayMode, sliderIndex: sliderIndex });
+            return $q.resolve();
+        };
+        game[methods.revert] = function () {
+            Record(methods.revert, arguments);
+            Object.assign(profile, { state: 'notOptimized', resolution: null, displayMode: null, sliderIndex: null });
+            return $q.resolve();
+        };
+        game[methods.getFps] = function () {
+            return $q.resolve({ data: { value: profile.fps } });
+        };
+        game[methods.setFps] = function (fps) {
+            Record(methods.setFps, arguments);
+            profile.fps = fps;
+            return $q.resolve();
+        };
+    });
+
+    return game;
+}
+
+module.exports = {
+    fakeGame: fakeGame,
+    displayModes: displayModes,
+    resolutions: resolutions
+};
@@ -0,0 +1,94 @@
+'use strict'
+
+//
+// Serves NvNode modules (beta/*.js) for the unit tests, with Express on a free
+// local port, a Socket.IO server that records what is emitted and a logger
+// that records what is logged.
+//
+
+var http = require('http');
+var path = require('path');
+
+var express = require('express');
+
+var betaDirectoryPath = path.join(__dirname, '..', '..', '..', 'beta');
+
+//! Returns the module exports of beta/<fileName>.
+function requireBeta(fileName) {
+    return require(path.join(betaDirectoryPath, fileName));
+}
+
+function Logger() {
+    var logged = [];
+    var logger = { logged: logged, addSecret: function () {} };
+    ['error', 'warn', 'info', 'debug'].forEach(function (level) {
+        logger[level] = function (message) {
+            logged.push(level + ' ' + message);
+        };
+    });
+    return logger;
+}
+
+//! Calls install(app, io, logger), which registers the routes of a module and
+//! returns it, and serves the app until the end of the test t. Resolves with
+//! { module, logger, emitted, request(method, path, body) }; request resolves
+//! with { status, body }, body parsed when it is JSON.
+function serve(t, install) {
+    var app = express();
+    var emitted = [];
+    var io = {
+        emit: function (name, data) {
+            emitted.push([name, data]);
+        },
+        on: function () {}
+    };
+    var logger = Logger();
+    var module = install(app, io, logger);
+    var server = http.createServer(app);
+
+    t.after(function () {
+        server.close();
+        return module && module.cleanup && module.cleanup();
+    });
+
+    function Request(method, requestPath, body) {
+        return new Promise(function (resolve, reject) {
+            var data = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+            var req = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                method: method,
+                path: requestPath,
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+            }, function (res) {
+                var chunks = [];
+                res.on('data', function (chunk) {
+                    chunks.push(chunk);
+                });
+                res.on('end', function () {
+                    var text = Buffer.concat(chunks).toString('utf8');
+                    var parsed = text;
+                    try {
+                        parsed = JSON.parse(text);
+                    } catch (err) {
+                        // Not JSON, kept as text.
+                    }
+                    resolve({ status: res.statusCode, body: parsed });
+                });
+            });
+            req.on('error', reject);
+            req.end(data);
+        });
+    }
+
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            resolve({ module: module, logger: logger, emitted: emitted, request: Request });
+        });
+    });
+}
+
+module.exports = {
+    requireBeta: requireBeta,
+    serve: serve
+};
@@ -0,0 +1,71 @@
+'use strict'
+
+//
+// Runs runtime scripts (patcher/runtime/*.js) for the unit tests: in jsdom,
+// with the real angular, on an empty "main" module.
+//
+// The GFE services, constants and directives a script injects or decorates
+// are registered by the test on the "baiGfeTest" module, loaded before "main".
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var runtimeDirectory = path.join(__dirname, '..', '..', 'runtime');
+
+//! Returns { window, injector, $rootScope } of "main" with runtime/core.js, the
+//! named runtime scripts and baiGfeConfig. setUp(module, window) registers the
+//! stubs of GFE on module. The window is closed after the test t.
+function createRuntime(t, scripts, config, setUp) {
+    var JSDOM = require('jsdom').JSDOM;
+    var window = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only'
+    }).window;
+    t.after(function () {
+        window.close();
+    });
+
+    [
+        require.resolve('angular/angular.js'),
+        require.resolve('angular-ui-router/release/angular-ui-router.js')
+    ].forEach(function (scriptPath) {
+        window.eval(fs.readFileSync(scriptPath, 'utf8'));
+    });
+
+    window.angular.module('main', []);
+    ['core'].concat(scripts).forEach(function (name) {
+        window.eval(fs.readFileSync(path.join(runtimeDirectory, name + '.js'), 'utf8'));
+    });
+
+    var module = window.angular.module('baiGfeTest', [])
+        .constant('baiGfeConfig', config)
+        .value('$rootElement', window.angular.element(window.document.body))
+        .config(['$provide', function ($provide) {
+            // The main.common chunk adds getInstance(name) to $log.
+            $provide.decorator('$log', ['$delegate', function ($log) {
+                var noop = function () {};
+                $log.getInstance = function () {
+                    return { log: noop, info: noop, debug: noop, warn: noop, error: noop };
+                };
+                return $log;
+            }]);
+        }]);
+    if (setUp) {
+        setUp(module, window);
+    }
+
+    var injector = window.angular.injector(['ng', 'baiGfeTest', 'main']);
+    return { window: window, injector: injector, $rootScope: injector.get('$rootScope') };
+}
+
+//! Returns a copy of a value made of the window's objects, for assert's deep
+//! comparisons.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    createRuntime: createRuntime,
+    plain: plain
+};
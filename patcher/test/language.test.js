@@ -0,0 +1,113 @@
+'use strict'
+
+//
+// UI language routes (/Settings/v.1.0/Language and Languages), as served by
+// the mock NvNode with the locales of beta/NvLocales.js.
+//
+
+var assert = require('assert');
+var http = require('http');
+var test = require('node:test');
+
+var mockNvNode = require('../lib/mockNvNode.js');
+
+function Logger() {
+    var noop = function () {};
+    return { debug: noop, info: noop, error: noop };
+}
+
+//! Serves a mock NvNode until the end of the test, resolves with
+//! { emitted, request(method, path, body) }.
+function Serve(t) {
+    var mock = mockNvNode.createMockNvNode({ security: false, logger: Logger() });
+    var emitted = [];
+    t.mock.method(mock.io, 'emit', function (name, data) {
+        emitted.push([name, data]);
+    });
+    t.after(function () {
+        return mock.close();
+    });
+
+    function Request(method, path, body) {
+        return new Promise(function (resolve, reject) {
+            var data = body === undefined ? '' : JSON.stringify(body);
+            var req = http.request({
+                host: '127.0.0.1',
+                port: mock.httpServer.address().port,
+                method: method,
+                path: path,
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+            }, function (res) {
+                var text = '';
+                res.setEncoding('utf8');
+                res.on('data', function (chunk) {
+                    text += chunk;
+                });
+                res.on('end', function () {
+                    resolve({ status: res.statusCode, body: text ? JSON.parse(text) : undefined });
+                });
+            });
+            req.on('error', reject);
+            req.end(data);
+        });
+    }
+
+    return mock.listen().then(function () {
+        return { emitted: emitted, request: Request };
+    });
+}
+
+//! Resolves once the callbacks queued with setImmediate have run.
+function NextTurn() {
+    return new Promise(function (resolve) {
+        setImmediate(resolve);
+    });
+}
+
+test('a supported language is saved, then told to the UI windows', function (t) {
+    return Serve(t).then(function (server) {
+        return server.request('POST', '/Settings/v.1.0/Language', { language: 'de-DE' }).then(function (response) {
+            assert.strictEqual(response.status, 200);
+            return NextTurn();
+        }).then(function () {
+            assert.deepStrictEqual(server.emitted, [['/Settings/v.1.0/Language', { language: 'de-DE' }]]);
+            return server.request('GET', '/Settings/v.1.0/Language');
+        }).then(function (response) {
+            assert.deepStrictEqual(response.body, { language: 'de-DE' });
+        });
+    });
+});
+
+test('an unsupported language is refused with a message', function (t) {
+    return Serve(t).then(function (server) {
+        return Promise.all([
+            server.request('POST', '/Settings/v.1.0/Language', { language: 'xx-XX' }),
+            server.request('POST', '/Settings/v.1.0/Language', {})
+        ]).then(function (responses) {
+            assert.deepStrictEqual(responses.map(function (response) {
+                return [response.status, response.body];
+            }), [
+                [400, { error: 'Unsupported language: "xx-XX"' }],
+                [400, { error: 'Unsupported language: undefined' }]
+            ]);
+            return NextTurn();
+        }).then(function () {
+            assert.deepStrictEqual(server.emitted, []);
+            return server.request('GET', '/Settings/v.1.0/Language');
+        }).then(function (response) {
+            assert.deepStrictEqual(response.body, { language: 'en-US' });
+        });
+    });
+});
+
+test('the languages are listed with the names the UI shows', function (t) {
+    return Serve(t).then(function (server) {
+        return server.request('GET', '/Settings/v.1.0/Languages');
+    }).then(function (response) {
+        var languages = response.body.languages;
+        assert.ok(languages.length > 1);
+        assert.deepStrictEqual(languages.filter(function (language) {
+            return language.code === 'de-DE';
+        }), [{ code: 'de-DE', name: 'Deutsch' }]);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict'
+
+//
+// Structured NvNode log (beta/NvLogger.js) and the size-based rotation of its
+// rolling file (beta/NvJsonLines.js).
+//
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+
+var nvNode = require('./helpers/nvNode.js');
+
+var jsonLines = nvNode.requireBeta('NvJsonLines.js');
+var createLogger = nvNode.requireBeta('NvLogger.js');
+
+function TemporaryDirectory(t) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nv-logger-'));
+    t.after(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    return directory;
+}
+
+//! Returns the records of a JSON-lines file.
+function Records(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(function (line) {
+        return JSON.parse(line);
+    });
+}
+
+test('the file is rotated by size and the oldest one deleted', function (t) {
+    var directory = TemporaryDirectory(t);
+    var file = jsonLines.createRollingFile(path.join(directory, 'logs'), 'nvnode', {
+        extension: '.log', maxFileSize: 45, maxFileCount: 3
+    });
+
+    // {"n":10}\n is 9 bytes: 5 records per file.
+    for (var n = 10; n <= 25; n++) {
+        file.append([{ n: n }]);
+    }
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'logs')).sort(), ['nvnode.1.log', 'nvnode.2.log', 'nvnode.log']);
+    assert.deepStrictEqual(Records(path.join(directory, 'logs', 'nvnode.log')), [{ n: 25 }]);
+    assert.deepStrictEqual(file.read().map(function (record) {
+        return record.n;
+    }), [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25]);
+});
+
+test('with a flush delay, the records are written together', function (t) {
+    var filePath = path.join(TemporaryDirectory(t), 'nvnode.log');
+    var file = jsonLines.createRollingFile(path.dirname(filePath), 'nvnode', { extension: '.log', flushDelay: 60000 });
+
+    file.append([{ n: 1 }]);
+    file.append([{ n: 2 }]);
+    assert.strictEqual(fs.existsSync(filePath), false);
+
+    file.flush();
+    assert.deepStrictEqual(Records(filePath), [{ n: 1 }, { n: 2 }]);
+});
+
+test('records below the level are dropped, the security cookie is redacted', function (t) {
+    var filePath = path.join(TemporaryDirectory(t), 'nvnode.log');
+    var logger = createLogger(filePath);
+    t.after(function () {
+        logger.destroyLogger();
+    });
+
+    logger.addSecret('c00kie');
+    logger.debug('Incoming request %d', 1);
+    logger.record('info', 'Response finished', {
+        requestId: 1,
+        status: 200,
+        headers: { 'x_local_security_cookie': 'c00kie', host: '127.0.0.1' },
+        url: '/up?X_LOCAL_SECURITY_COOKIE=c00kie'
+    });
+    logger.setLevel('warn');
+    logger.info('dropped');
+    logger.warning('Socket c00kie disconnected');
+    assert.throws(function () {
+        logger.setLevel('verbose');
+    }, function (err) {
+        return err.invalidArgument === true;
+    });
+    logger.flush();
+
+    assert.deepStrictEqual(Records(filePath).map(function (record) {
+        delete record.time;
+        return record;
+    }), [
+        { level: 'debug', message: 'Incoming request 1' },
+        {
+            level: 'info',
+            message: 'Response finished',
+            requestId: 1,
+            status: 200,
+            headers: { 'x_local_security_cookie': '<redacted>', host: '127.0.0.1' },
+            url: '/up?X_LOCAL_SECURITY_COOKIE=<redacted>'
+        },
+        { level: 'warn', message: 'Socket <redacted> disconnected' }
+    ]);
+    assert.strictEqual(logger.level(), 'warn');
+});
@@ -0,0 +1,171 @@
+'use strict'
+
+//
+// Registry of the NVIDIA modules of NvNode (beta/NvModuleRegistry.js): load
+// order, optional and mandatory modules, the disable manifest, the cleanups
+// on shutdown.
+//
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+
+var nvNode = require('./helpers/nvNode.js');
+
+var moduleRegistry = nvNode.requireBeta('NvModuleRegistry.js');
+
+function Logger() {
+    var logger = { errors: [] };
+    logger.info = function () {};
+    logger.error = function (message) {
+        logger.errors.push(message);
+    };
+    return logger;
+}
+
+//! Returns a definition whose module records its initialization in started.
+function Definition(name, started, options) {
+    return Object.assign({
+        name: name,
+        load: function () {
+            return {
+                initialize: function () {
+                    started.push(name);
+                },
+                version: function () {
+                    return name + ' 1.0';
+                }
+            };
+        }
+    }, options);
+}
+
+test('modules start after their dependencies, a failed optional one skips its dependents', function () {
+    var started = [];
+    var reported = [];
+    var logger = Logger();
+    var registry = moduleRegistry.createRegistry([
+        Definition('Gallery', started, { optional: true, after: ['ShadowPlay'] }),
+        Definition('GameStream', started, { optional: true, dependencies: ['ShadowPlay'] }),
+        Definition('ShadowPlay', started, { optional: true, dependencies: ['Backend'], load: function () {
+            throw new Error('NvShadowPlayAPINode.node not found');
+        } }),
+        Definition('Backend', started),
+        Definition('AbHub', started, { optional: true })
+    ], logger, {
+        disabled: ['AbHub'],
+        onOptionalModuleError: function (err) {
+            reported.push(err.message);
+        }
+    });
+
+    assert.deepStrictEqual(registry.enabled().map(function (definition) {
+        return definition.name;
+    }), ['Backend', 'ShadowPlay', 'Gallery', 'GameStream']);
+
+    return registry.startAll().then(function () {
+        assert.deepStrictEqual(started, ['Backend', 'Gallery']);
+        assert.deepStrictEqual(reported, ['NvShadowPlayAPINode.node not found']);
+        assert.deepStrictEqual(Object.keys(registry.states()).map(function (name) {
+            return name + ' ' + registry.states()[name].state;
+        }), ['Backend loaded', 'ShadowPlay failed', 'Gallery loaded', 'GameStream skipped', 'AbHub disabled']);
+        assert.strictEqual(registry.get('ShadowPlay'), undefined);
+        return registry.versions();
+    }).then(function (versions) {
+        assert.deepStrictEqual(versions, { Backend: 'Backend 1.0', Gallery: 'Gallery 1.0' });
+    });
+});
+
+test('a mandatory module that fails to initialize stops the start', function () {
+    var registry = moduleRegistry.createRegistry([
+        Definition('Backend', [], { initialize: function () {
+            return Promise.reject(new Error('NvContainer is not running'));
+        } }),
+        Definition('Account', [], { dependencies: ['Backend'] })
+    ], Logger(), {});
+
+    return assert.rejects(registry.startAll(), /NvContainer is not running/);
+});
+
+test('unknown dependencies and cycles are refused', function () {
+    assert.throws(function () {
+        moduleRegistry.createRegistry([Definition('Gallery', [], { dependencies: ['ShadowPlay'] })], Logger(), {});
+    }, /Gallery depends on unknown module ShadowPlay/);
+    assert.throws(function () {
+        moduleRegistry.createRegistry([
+            Definition('Gallery', [], { dependencies: ['ShadowPlay'] }),
+            Definition('ShadowPlay', [], { after: ['Gallery'] })
+        ], Logger(), {});
+    }, /cycle: Gallery -> ShadowPlay -> Gallery/);
+});
+
+test('the manifest disables optional modules only', function (t) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nv-modules-'));
+    t.after(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    var manifestPath = path.join(directory, 'NvNodeModules.json');
+    var logger = Logger();
+
+    assert.deepStrictEqual(moduleRegistry.readManifest(manifestPath, logger), []);
+    fs.writeFileSync(manifestPath, '{ "disabled": "AbHub" }');
+    assert.deepStrictEqual(moduleRegistry.readManifest(manifestPath, logger), []);
+    assert.strictEqual(logger.errors.length, 1);
+
+    fs.writeFileSync(manifestPath, '{ "disabled": ["AbHub", "Backend", "Camera"] }');
+    var registry = moduleRegistry.createRegistry([
+        Definition('Backend', []),
+        Definition('AbHub', [], { optional: true })
+    ], logger, { disabled: moduleRegistry.readManifest(manifestPath, logger) });
+
+    assert.deepStrictEqual(logger.errors.slice(1), ['Cannot disable mandatory module Backend', 'Cannot disable unknown module Camera']);
+    assert.deepStrictEqual(registry.enabled().map(function (definition) {
+        return definition.name;
+    }), ['Backend']);
+});
+
+test('the cleanups run in reverse load order, a failed or late one is reported', function () {
+    var cleaned = [];
+    var logger = Logger();
+
+    //! Returns a definition whose cleanup hook records the module and returns
+    //! what cleanup() returns.
+    function Cleaned(name, options, cleanup) {
+        return Definition(name, [], Object.assign({
+            cleanup: 'Cleanup',
+            load: function () {
+                return {
+                    initialize: function () {},
+                    Cleanup: function () {
+                        cleaned.push(name);
+                        return cleanup && cleanup();
+                    }
+                };
+            }
+        }, options));
+    }
+
+    var registry = moduleRegistry.createRegistry([
+        Cleaned('Backend'),
+        Cleaned('ShadowPlay', { dependencies: ['Backend'] }, function () {
+            return new Promise(function () {});
+        }),
+        Cleaned('Gallery', { dependencies: ['ShadowPlay'] }, function () {
+            throw new Error('gallery.db is locked');
+        }),
+        Definition('Account', [], { dependencies: ['Backend'] }),
+        Cleaned('AbHub', { optional: true })
+    ], logger, { disabled: ['AbHub'] });
+
+    return registry.startAll().then(function () {
+        return registry.cleanup(50);
+    }).then(function (unfinished) {
+        assert.deepStrictEqual(cleaned, ['Gallery', 'ShadowPlay', 'Backend']);
+        assert.deepStrictEqual(unfinished, ['Gallery', 'ShadowPlay']);
+        assert.deepStrictEqual(logger.errors.map(function (message) {
+            return message.split('\n')[0];
+        }), ['Gallery: cleanup failed: Error: gallery.db is locked', 'ShadowPlay: cleanup failed: timed out after 50 ms']);
+    });
+});
@@ -0,0 +1,68 @@
+'use strict'
+
+//
+// Network profiles of the UI (runtime/networkPolicy.js).
+//
+
+var assert = require('assert');
+var test = require('node:test');
+
+var runtime = require('./helpers/runtime.js');
+
+//! Returns the runtime with the network settings; the requests that reach the
+//! network are recorded in context.sent.
+function CreateRuntime(t, network) {
+    var sent = [];
+    var context = runtime.createRuntime(t, ['networkPolicy'], { network: network }, function (module) {
+        module.value('$httpBackend', function (method, url, data, callback) {
+            sent.push(method + ' ' + url);
+            callback(200, '{}', '', 'OK', 'complete');
+        });
+    });
+    context.sent = sent;
+    return context;
+}
+
+test('the profile denies its hosts, deny adds some and allow lets some through', function (t) {
+    var lite = CreateRuntime(t, { profile: 'lite', allow: [], deny: [] }).injector.get('baiGfeNetworkPolicy');
+    assert.strictEqual(lite.allows('https://telemetry.gfe.nvidia.com/v1/events'), false);
+    assert.strictEqual(lite.allows('HTTPS://LS.DTRACE.NVIDIA.COM:443/'), false);
+    assert.strictEqual(lite.allows('https://gfwsl.geforce.com/services_toolkit/'), true);
+    assert.strictEqual(lite.allows('/Settings/v.1.0/Language'), true);
+
+    var full = CreateRuntime(t, {
+        profile: 'full',
+        allow: ['images.nvidia.com', '*.geforce.com'],
+        deny: ['*.example.com']
+    }).injector.get('baiGfeNetworkPolicy');
+    assert.strictEqual(full.allows('https://services.gfe.nvidia.com/'), false);
+    assert.strictEqual(full.allows('https://images.nvidia.com/x.png'), true);
+    assert.strictEqual(full.allows('https://gfwsl.geforce.com/'), true);
+    assert.strictEqual(full.allows('https://example.com/'), false);
+    assert.strictEqual(full.allows('https://cdn.example.com/'), false);
+    assert.strictEqual(full.allows('https://notexample.com/'), true);
+});
+
+test('a denied request fails as a request without answer and is not sent', function (t) {
+    var context = CreateRuntime(t, { profile: 'lite', allow: [], deny: [] });
+    var $http = context.injector.get('$http');
+
+    var results = [];
+    [
+        'https://accounts.nvgs.nvidia.com/token',
+        'https://gfwsl.geforce.com/news'
+    ].forEach(function (url) {
+        $http.get(url).then(function (response) {
+            results.push([url, response.status]);
+        }, function (response) {
+            results.push([url, response.status, response.xhrStatus]);
+        });
+    });
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(runtime.plain(results), [
+        ['https://accounts.nvgs.nvidia.com/token', -1, 'error'],
+        ['https://gfwsl.geforce.com/news', 200]
+    ]);
+    assert.deepStrictEqual(context.sent, ['GET https://gfwsl.geforce.com/news']);
+});
@@ -0,0 +1,76 @@
+'use strict'
+
+//
+// Unit tests of the security settings, cookie and CORS origins of NvNode
+// (beta/NvSecurity.js).
+//
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+
+var nvSecurity = require(path.join(__dirname, '..', '..', 'beta', 'NvSecurity.js'));
+
+function Logger() {
+    var logger = { secrets: [], errors: [] };
+    logger.addSecret = function (secret) {
+        logger.secrets.push(secret);
+    };
+    logger.error = function (message) {
+        logger.errors.push(message);
+    };
+    return logger;
+}
+
+//! Reads the given settings file content, null for no file.
+function ReadSettings(t, content) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nv-security-'));
+    t.after(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    var filePath = path.join(directory, 'NvNodeSecurity.json');
+    if (content !== null) {
+        fs.writeFileSync(filePath, content);
+    }
+
+    var logger = Logger();
+    return { settings: nvSecurity.readSettings(filePath, logger), errors: logger.errors };
+}
+
+test('the settings default to the "null" origin of the UI', function (t) {
+    assert.deepStrictEqual(ReadSettings(t, null), { settings: { allowedOrigins: ['null'] }, errors: [] });
+    assert.deepStrictEqual(ReadSettings(t, '{}'), { settings: { allowedOrigins: ['null'] }, errors: [] });
+    assert.deepStrictEqual(ReadSettings(t, '{ "allowedOrigins": ["null", "http://localhost:8080"] }').settings,
+        { allowedOrigins: ['null', 'http://localhost:8080'] });
+});
+
+test('invalid settings are logged and ignored', function (t) {
+    ['not json', '[]', '{ "allowedOrigins": "null" }', '{ "allowedOrigins": [null] }'].forEach(function (content) {
+        var read = ReadSettings(t, content);
+        assert.deepStrictEqual(read.settings, { allowedOrigins: ['null'] }, content);
+        assert.strictEqual(read.errors.length, 1, content);
+    });
+});
+
+test('only the cookie of this start is accepted, and kept out of the log', function () {
+    var logger = Logger();
+    var security = nvSecurity.createSecurity({ allowedOrigins: ['null'] }, 'cookie1', logger);
+
+    assert.deepStrictEqual(logger.secrets, ['cookie1']);
+    assert.strictEqual(security.cookie(), 'cookie1');
+    assert.ok(security.acceptsCookie('cookie1'));
+    [undefined, '', 'cookie2', ['cookie1']].forEach(function (value) {
+        assert.ok(!security.acceptsCookie(value), String(value));
+    });
+});
+
+test('only the allowed origins are', function () {
+    var security = nvSecurity.createSecurity({ allowedOrigins: ['null', 'http://localhost:8080'] }, 'cookie1', Logger());
+
+    assert.ok(security.isOriginAllowed('null'));
+    assert.ok(security.isOriginAllowed('http://localhost:8080'));
+    assert.ok(!security.isOriginAllowed('http://localhost:8081'));
+    assert.ok(!security.isOriginAllowed('https://example.com'));
+});
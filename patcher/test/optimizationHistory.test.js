@@ -0,0 +1,99 @@
+'use strict'
+
+//
+// Game optimization history (runtime/optimizationHistory.js): snapshots taken
+// before GFE's optimization methods, and their restore.
+//
+
+var assert = require('assert');
+var test = require('node:test');
+
+var games = require('./helpers/games.js');
+var runtime = require('./helpers/runtime.js');
+
+//! Returns the runtime with a GameSettingsController whose optimizeSettings()
+//! sets requestInProgress and returns the promise of game.optimizeAC(), like
+//! GFE's.
+function CreateRuntime(t) {
+    return runtime.createRuntime(t, ['optimizationHistory'], {}, function (module) {
+        module
+            .directive('nvGameSettings', function () {
+                return { template: '<div class=game-settings></div>' };
+            })
+            .controller('GameSettingsController', function () {
+                this.requestInProgress = false;
+                this.optimizeSettings = function () {
+                    this.requestInProgress = true;
+                    return this.nvSystemGame.optimizeAC();
+                };
+            });
+    });
+}
+
+test('a restored custom profile is applied with the name of its display mode', function (t) {
+    var context = CreateRuntime(t);
+    var history = context.injector.get('baiGfeOptimizationHistory');
+    var game = games.fakeGame(context.injector.get('$q'), {
+        id: 1,
+        AC: { state: 'custom', resolution: '2560x1440', displayMode: 'Windowed', sliderIndex: 3, fps: 60 },
+        DC: { state: 'optimized' }
+    });
+
+    var snapshot;
+    history.record(game, 'optimize').then(function (recorded) {
+        snapshot = recorded;
+    });
+    context.$rootScope.$digest();
+    assert.deepStrictEqual(runtime.plain(snapshot.AC), {
+        state: 'custom', resolution: '2560x1440', displayMode: 'Windowed', sliderIndex: 3, settings: { state: 'custom' }, fps: 60
+    });
+
+    Object.assign(game.profiles.AC, { state: 'optimized', resolution: null, displayMode: null, sliderIndex: null, fps: 90 });
+    history.restore(game, snapshot);
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(game.calls, [['customizeAC', '2560x1440', 'Windowed', 3], ['setQuietModeFRLState', 60]]);
+    assert.deepStrictEqual(runtime.plain(history.list(1).map(function (saved) {
+        return saved.action;
+    })), ['restore', 'optimize']);
+});
+
+test('snapshots of older versions, with display mode objects, are restored by name', function (t) {
+    var context = CreateRuntime(t);
+    var history = context.injector.get('baiGfeOptimizationHistory');
+    var game = games.fakeGame(context.injector.get('$q'), { id: 1 });
+
+    history.restore(game, {
+        AC: { state: 'custom', resolution: '1920x1080', displayMode: { name: 'Fullscreen', label: 'Full screen' }, sliderIndex: 1, fps: null }
+    });
+    context.$rootScope.$digest();
+
+    assert.deepStrictEqual(game.calls, [['customizeAC', '1920x1080', 'Fullscreen', 1]]);
+});
+
+test('GFE\'s method runs at once, with its result, after the settings are read', function (t) {
+    var context = CreateRuntime(t);
+    var history = context.injector.get('baiGfeOptimizationHistory');
+    var gameSettings = context.injector.get('$controller')('GameSettingsController', {});
+    var game = gameSettings.nvSystemGame = games.fakeGame(context.injector.get('$q'), { id: 1 });
+
+    var result = gameSettings.optimizeSettings();
+    assert.strictEqual(gameSettings.requestInProgress, true);
+    assert.strictEqual(typeof result.then, 'function');
+
+    // A second click while the first snapshot is saved is not ignored.
+    gameSettings.optimizeSettings();
+    assert.strictEqual(game.calls.length, 2);
+
+    context.$rootScope.$digest();
+    assert.deepStrictEqual(runtime.plain(history.list(1).map(function (saved) {
+        return saved.AC.state;
+    })), ['optimized', 'notOptimized']);
+});
+
+test('the history is added at the end of the game settings view', function (t) {
+    var context = CreateRuntime(t);
+    var template = context.injector.get('nvGameSettingsDirective')[0].template();
+
+    assert.ok(/^<div class=game-settings><\/div><bai-gfe-optimization-history /.test(template), template);
+});
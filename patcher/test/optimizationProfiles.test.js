@@ -0,0 +1,153 @@
+'use strict'
+
+//
+// Optimization profiles (runtime/optimizationProfiles.js): checking an
+// imported profile against the games of this PC, and applying it.
+//
+
+var assert = require('assert');
+var test = require('node:test');
+
+var games = require('./helpers/games.js');
+var runtime = require('./helpers/runtime.js');
+
+//! Returns the runtime with the given games installed, made by
+//! games.fakeGame from the options, and no feature supported.
+function CreateRuntime(t, gameOptions) {
+    var installed = {};
+    var context = runtime.createRuntime(t, ['optimizationHistory', 'optimizationProfiles'], {}, function (module) {
+        function Unsupported() {
+            return { getStateInfo: function () {
+                return { supported: false };
+            }, getSupportInfo: function () {
+                return { supported: false };
+            } };
+        }
+
+        ['nvGameSettings', 'nvPreferencesGames'].forEach(function (name) {
+            module.directive(name, function () {
+                return { template: '' };
+            });
+        });
+        module
+            .constant('PERFORMANCE_MODES', { INVALID: 0, QUIET: 1, BALANCED: 2 })
+            .value('performanceModeService', Unsupported())
+            .value('quietModeService', Unsupported())
+            .value('framerateLimiterService', Unsupported())
+            .value('gamesService', { getSystemGame: function (id) {
+                return installed[id];
+            } })
+            .value('userGamesService', { getUserGames: function () {
+                return Object.keys(installed).map(function (id) {
+                    return { gameId: Number(id) };
+                });
+            } });
+    });
+
+    var $q = context.injector.get('$q');
+    gameOptions.forEach(function (options) {
+        installed[options.id] = games.fakeGame($q, options);
+    });
+    context.games = installed;
+    context.profiles = context.injector.get('baiGfeOptimizationProfiles');
+    return context;
+}
+
+//! Returns the entries of check(profile) as [name, profile, problem].
+function Check(context, profile) {
+    var entries;
+    context.profiles.check(context.window.JSON.parse(JSON.stringify(profile))).then(function (checked) {
+        entries = checked;
+    });
+    context.$rootScope.$digest();
+    return entries;
+}
+
+function Problems(entries) {
+    return runtime.plain(entries.map(function (entry) {
+        return [entry.name, entry.profile, entry.problem];
+    }));
+}
+
+function Profile(games) {
+    return { format: 'baiGfe.optimizationProfile', version: 1, features: {}, games: games };
+}
+
+test('custom settings are checked with the display mode by name', function (t) {
+    var context = CreateRuntime(t, [{ id: 1, displayName: 'Game 1' }]);
+
+    var entries = Check(context, Profile([{
+        id: 1,
+        AC: { state: 'custom', resolution: '2560x1440', displayMode: 'Windowed', sliderIndex: 2, fps: 60 },
+        DC: { state: 'custom', resolution: '1920x1080', displayMode: 'Borderless', sliderIndex: 2, fps: null }
+    }]));
+
+    assert.deepStrictEqual(Problems(entries), [
+        ['Game 1', 'Plugged in', null],
+        ['Game 1', 'On battery', 'Display mode Borderless is not available on this PC']
+    ]);
+    assert.deepStrictEqual(runtime.plain(context.games[1].calls), [
+        ['getSettingsSpace', games.resolutions[1], 'Windowed']
+    ]);
+});
+
+test('the entries that can\'t be applied on this PC say why', function (t) {
+    var context = CreateRuntime(t, [{ id: 1, displayName: 'Game 1', dcDisabled: true }, { id: 3, displayName: 'Game 3', hasRecommendation: false }]);
+
+    var entries = Check(context, Profile([
+        {
+            id: 1,
+            AC: { state: 'custom', resolution: '2560x1440', displayMode: 'Fullscreen', sliderIndex: 7, fps: null },
+            DC: { state: 'optimized', fps: null }
+        },
+        { id: 2, name: 'Game 2', AC: { state: 'optimized', fps: null } },
+        { id: 3, AC: { state: 'optimized', fps: 200 }, DC: { state: 'paused', fps: null } },
+        { id: 3, AC: { state: 'optimized', fps: null } },
+        { id: 1, AC: { state: 'custom', resolution: '800x600', displayMode: 'Fullscreen', sliderIndex: 0, fps: null } }
+    ]));
+
+    assert.deepStrictEqual(Problems(entries), [
+        ['Game 1', 'Plugged in', 'Slider position 7 is not between 0 and 4'],
+        ['Game 1', 'On battery', 'No battery profile on this PC'],
+        ['Game 2', 'Plugged in', 'Not installed on this PC'],
+        ['Game 3', 'Plugged in', 'FPS target 200 is not between 30 and 120'],
+        ['Game 3', 'On battery', 'Unknown optimization state paused'],
+        ['Game 3', 'Plugged in', 'No optimal settings for this PC'],
+        ['Game 1', 'Plugged in', 'Resolution 800x600 is not available on this PC']
+    ]);
+});
+
+test('an exported profile is imported on another PC with the same display modes', function (t) {
+    var source = CreateRuntime(t, [
+        { id: 1, displayName: 'Game 1', AC: { state: 'custom', resolution: '2560x1440', displayMode: 'Windowed', sliderIndex: 3, fps: 90 } },
+        { id: 2, displayName: 'Game 2' }
+    ]);
+    var exported;
+    source.profiles.capture().then(function (profile) {
+        exported = JSON.parse(source.window.JSON.stringify(profile));
+    });
+    source.$rootScope.$digest();
+    assert.deepStrictEqual(exported.games, [{
+        id: 1,
+        name: 'Game 1',
+        AC: { state: 'custom', resolution: '2560x1440', displayMode: 'Windowed', sliderIndex: 3, fps: 90 },
+        DC: { state: 'notOptimized', resolution: '1920x1080', displayMode: 'Fullscreen', sliderIndex: null, fps: null }
+    }]);
+
+    var target = CreateRuntime(t, [{ id: 1, displayName: 'Game 1', DC: { state: 'optimized' } }]);
+    var entries = Check(target, exported);
+    var result;
+    target.profiles.apply(entries).then(function (applied) {
+        result = applied;
+    });
+    target.$rootScope.$digest();
+
+    assert.deepStrictEqual(runtime.plain(result), { applied: 2, failed: 0 });
+    assert.deepStrictEqual(runtime.plain(target.games[1].calls.filter(function (call) {
+        return call[0] !== 'getSettingsSpace';
+    })), [
+        ['customizeAC', '2560x1440', 'Windowed', 3],
+        ['setQuietModeFRLState', 90],
+        ['revertDCOptimization']
+    ]);
+});
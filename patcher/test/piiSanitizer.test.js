@@ -0,0 +1,54 @@
+'use strict'
+
+//
+// Rules of the PII sanitizer (runtime/piiSanitizer.js).
+//
+
+var assert = require('assert');
+var test = require('node:test');
+
+var runtime = require('./helpers/runtime.js');
+
+function Sanitizer(t, patterns) {
+    return runtime.createRuntime(t, ['piiSanitizer'], { pii: { sanitize: false, patterns: patterns } })
+        .injector.get('baiGfePiiSanitizer');
+}
+
+test('the rules replace user names, e-mail addresses and identifiers', function (t) {
+    var sanitizer = Sanitizer(t, []);
+
+    [
+        ['C:\\Users\\John Doe\\Games\\x.exe', 'C:\\Users\\<user>\\Games\\x.exe'],
+        ['"C:\\\\Users\\\\jdoe\\\\AppData"', '"C:\\\\Users\\\\<user>\\\\AppData"'],
+        ['d:/Documents and Settings/jdoe/x', 'd:/Documents and Settings/<user>/x'],
+        ['mail john.doe@example.co.uk now', 'mail <email> now'],
+        ['{"serialNumber": "0324A1B2"}', '{"serialNumber": "<redacted>"}'],
+        ['uuid=1234-abcd; machineId: m1', 'uuid=<redacted>; machineId: <redacted>'],
+        ['GPU-12345678-9abc-def0-1234-56789abcdef0', 'GPU-<redacted>'],
+        ['mac 00:1A:2b:3C:4d:5E', 'mac <mac>']
+    ].forEach(function (example) {
+        assert.strictEqual(sanitizer.sanitize(example[0]), example[1]);
+    });
+});
+
+test('the rules leave URLs and asset names alone', function (t) {
+    var sanitizer = Sanitizer(t, []);
+
+    ['https://example.com/users/jdoe', 'icon@2x.png', 'logo@3x.webp, sprite@2x.json'].forEach(function (text) {
+        assert.strictEqual(sanitizer.sanitize(text), text);
+    });
+});
+
+test('pii.patterns adds rules', function (t) {
+    assert.strictEqual(Sanitizer(t, ['ticket-\\d+']).sanitize('see ticket-42'), 'see <redacted>');
+});
+
+test('identifier keys of plain objects are redacted whatever their value', function (t) {
+    var context = runtime.createRuntime(t, ['piiSanitizer'], { pii: { sanitize: false, patterns: [] } });
+    var sanitizer = context.injector.get('baiGfePiiSanitizer');
+
+    // Only plain objects of the window are sanitized, as in GFE.
+    var value = context.window.JSON.parse(JSON.stringify({ deviceId: 42, gpu: { serial: null, name: 'RTX' }, paths: ['C:/Users/jdoe'] }));
+    assert.deepStrictEqual(runtime.plain(sanitizer.sanitize(value)),
+        { deviceId: '<redacted>', gpu: { serial: null, name: 'RTX' }, paths: ['C:/Users/<user>'] });
+});
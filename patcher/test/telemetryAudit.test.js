@@ -0,0 +1,81 @@
+'use strict'
+
+//
+// Telemetry audit log of NvNode (beta/NvTelemetryAuditAPI.js).
+//
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+
+var nvNode = require('./helpers/nvNode.js');
+
+var telemetryAuditApi = nvNode.requireBeta('NvTelemetryAuditAPI.js');
+
+function Serve(t) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-audit-'));
+    t.after(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    return nvNode.serve(t, function (app, io, logger) {
+        return telemetryAuditApi(app, io, logger, path.join(directory, 'TelemetryAudit'));
+    }).then(function (server) {
+        server.directory = directory;
+        return server.request('POST', '/TelemetryAudit/v.1.0/Events', [
+            { time: '2026-01-01T00:00:00.000Z', event: 'PREF_VIEW' },
+            { time: '2026-01-01T00:00:01.000Z', event: 'S', originalService: 'GFWSL' }
+        ]).then(function (response) {
+            assert.strictEqual(response.status, 200);
+            return server;
+        });
+    });
+}
+
+test('the matching events are exported to a new file of the directory', function (t) {
+    return Serve(t).then(function (server) {
+        return server.request('POST', '/TelemetryAudit/v.1.0/Export', {
+            directory: server.directory,
+            filter: { originalService: 'GFWSL' }
+        }).then(function (response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.count, 1);
+            assert.strictEqual(path.dirname(response.body.path), server.directory);
+            assert.deepStrictEqual(fs.readFileSync(response.body.path, 'utf8').trim().split('\n').map(JSON.parse),
+                [{ time: '2026-01-01T00:00:01.000Z', event: 'S', originalService: 'GFWSL' }]);
+        });
+    });
+});
+
+test('the export directory must be an absolute path of an existing directory', function (t) {
+    return Serve(t).then(function (server) {
+        return Promise.all([
+            server.request('POST', '/TelemetryAudit/v.1.0/Export', { directory: 'relative' }),
+            server.request('POST', '/TelemetryAudit/v.1.0/Export', { directory: path.join(server.directory, 'missing') }),
+            server.request('POST', '/TelemetryAudit/v.1.0/Export', {})
+        ]).then(function (responses) {
+            responses.forEach(function (response) {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.error, 'Expected the absolute path of an existing directory');
+            });
+            assert.ok(!fs.existsSync(path.join(process.cwd(), 'relative')));
+        });
+    });
+});
+
+test('an existing file is never replaced', function (t) {
+    return Serve(t).then(function (server) {
+        t.mock.method(Date.prototype, 'toISOString', function () {
+            return '2026-01-01T00:00:00.000Z';
+        });
+        var existingPath = path.join(server.directory, 'telemetry-audit-2026-01-01T00-00-00-000Z.jsonl');
+        fs.writeFileSync(existingPath, 'kept\n');
+
+        return server.request('POST', '/TelemetryAudit/v.1.0/Export', { directory: server.directory }).then(function (response) {
+            assert.strictEqual(response.status, 500);
+            assert.strictEqual(fs.readFileSync(existingPath, 'utf8'), 'kept\n');
+        });
+    });
+});